@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Command line tool for Hue bridges and the room layouts exported from the app.
+ *
+ * Usage: node bin/hue.js <command> [arguments] [--bridge <address or id>] [--username <name>] [--json]
+ *
+ *   pair <address>                        pair with a bridge, press its link button first
+ *   lights | groups | scenes | sensors    list them
+ *   light <light> [on|off] [state]        set the state of a light, by id or name
+ *   group <group> [on|off] [state]        the same for a room or zone, 0 for all lights
+ *   scene <scene> [--transition <s>]      apply a scene, by id or name
+ *   dump                                  full bridge state as JSON
+ *   near <layout.json> <place> <meters> [on|off] [state]
+ *                                         list or set the lights within a distance of a place in the layout:
+ *                                         named furniture, a room or zone, a light or sensor, or x,y,z
+ *
+ * State options: --bri <1-254 or percent%>, --color <name, #rrggbb or kelvin like 2700K>, --transition <s>
+ *
+ * Paired bridges are stored in ~/.hue-vrcontrollers.json (or $HUE_CONFIG), the
+ * first one is used unless --bridge chooses another. --bridge with --username
+ * works without pairing, near uses all paired bridges.
+ *
+ * Example: node bin/hue.js near room.json sofa 2 on --color warm-white
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const jshue = require('../src/jshue.js');
+const {colorCapabilities, namedColorState, NAMED_COLORS} = require('../src/color.js');
+const {migrateLayout} = require('../src/layout.js');
+const {findPlace, entriesNear} = require('../src/spatial.js');
+
+const DEVICE_TYPE = 'hue-vrcontrollers#cli';
+const REQUEST_TIMEOUT = 10000;
+const CONFIG_PATH = process.env.HUE_CONFIG || path.join(os.homedir(), '.hue-vrcontrollers.json');
+const BOOLEAN_OPTIONS = ['json'];
+// Capabilities of groups, the bridge converts colors for each of their lights
+const GROUP_CAPABILITIES = {colormodes: ['xy', 'ct'], gamut: null, ct: {min: 153, max: 500}};
+
+class UsageError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'UsageError';
+	}
+}
+
+/**
+ * fetch for jsHue on Node versions without one, enough for the plain HTTP
+ * API of a bridge.
+ */
+function httpFetch(address, init) {
+	let {method = 'GET', body} = init || {};
+	return new Promise((resolve, reject) => {
+		let req = http.request(address, {method, headers: body ? {'Content-Type': 'application/json'} : {}}, res => {
+			let text = '';
+			res.setEncoding('utf8');
+			res.on('data', chunk => {
+				text += chunk;
+			});
+			res.on('end', () => resolve({
+				ok: res.statusCode < 400,
+				status: res.statusCode,
+				text: () => Promise.resolve(text),
+				json: () => Promise.resolve().then(() => JSON.parse(text))
+			}));
+		});
+		req.on('error', reject);
+		req.setTimeout(REQUEST_TIMEOUT, () => req.destroy(new Error(`No answer from ${address}`)));
+		req.end(body);
+	});
+}
+
+const hue = jshue({fetch: typeof fetch === 'function' ? fetch : httpFetch});
+
+function parseArgs(argv) {
+	let args = [];
+	let options = {};
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i];
+		if(arg.startsWith('--')) {
+			let name = arg.slice(2);
+			if(BOOLEAN_OPTIONS.indexOf(name) !== -1) options[name] = true;
+			else if(i + 1 < argv.length) options[name] = argv[++i];
+			else throw new UsageError(`${arg} needs a value`);
+		} else {
+			args.push(arg);
+		}
+	}
+	return {args, options};
+}
+
+function readConfig() {
+	try {
+		return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+	} catch (e) {
+		if(e.code === 'ENOENT') return {bridges: []};
+		throw new Error(`Can't read ${CONFIG_PATH}: ${e.message}`);
+	}
+}
+
+/**
+ * Paired bridges the command uses, [{id, address, username}].
+ */
+function bridgesFor(options, all) {
+	let {bridges} = readConfig();
+	if(options.bridge && options.username) return [{id: options.bridge, address: options.bridge, username: options.username}];
+	if(options.bridge) {
+		bridges = bridges.filter(bridge => bridge.address === options.bridge || bridge.id === options.bridge);
+		if(bridges.length === 0) throw new UsageError(`${options.bridge} isn't paired, pair with it or pass --username`);
+	}
+	if(bridges.length === 0) throw new UsageError('No bridge paired yet, run pair <address> first');
+	return all ? bridges : bridges.slice(0, 1);
+}
+
+function userOf(bridge) {
+	return hue.bridge(bridge.address).user(bridge.username);
+}
+
+function firstUser(options) {
+	return userOf(bridgesFor(options)[0]);
+}
+
+function sameName(a, b) {
+	return a !== undefined && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Finds a light, group or scene of a bridge response by id or name.
+ */
+function findResource(resources, key, kind) {
+	let id = Object.keys(resources).find(id => id === key) ||
+		Object.keys(resources).find(id => sameName(resources[id].name, key));
+	if(id === undefined) throw new UsageError(`No ${kind} ${key}, see the list of ${kind}s`);
+	return {id, resource: resources[id]};
+}
+
+function parseBrightness(value) {
+	let percent = /^(\d+(?:\.\d+)?)%$/.exec(value);
+	let bri = percent ? Math.round(parseFloat(percent[1]) * 254 / 100) : parseInt(value);
+	if(isNaN(bri)) throw new UsageError(`Invalid brightness ${value}`);
+	return Math.max(1, Math.min(254, bri));
+}
+
+/**
+ * Light state of the state arguments and options.
+ *
+ * @param {Array} args 'on' or 'off'
+ * @param {Object} options bri, color and transition
+ * @param {Object} capabilities of the light, see color.js
+ * @return {Object} state
+ */
+function parseState(args, options, capabilities) {
+	let state = {};
+	args.forEach(arg => {
+		if(arg === 'on' || arg === 'off') state.on = arg === 'on';
+		else throw new UsageError(`Unknown argument ${arg}`);
+	});
+	if(options.bri !== undefined) state.bri = parseBrightness(options.bri);
+	if(options.color !== undefined) {
+		let color = namedColorState(capabilities, options.color);
+		if(color === undefined) {
+			throw new UsageError(`Unknown color ${options.color}, use ${Object.keys(NAMED_COLORS).join(', ')}, #rrggbb or a temperature like 2700K`);
+		}
+		Object.assign(state, color);
+	}
+	// Lights that are off ignore everything else
+	if(state.on === undefined && Object.keys(state).length > 0) state.on = true;
+	if(options.transition !== undefined) state.transitiontime = Math.round(parseFloat(options.transition) * 10);
+	if(state.on === undefined) throw new UsageError('Nothing to set, use on, off, --bri or --color');
+	return state;
+}
+
+function print(options, rows, json) {
+	if(options.json) {
+		console.log(JSON.stringify(json, null, 2));
+		return;
+	}
+	rows.forEach(row => console.log(row.join('\t')));
+}
+
+function lightStatus(state) {
+	if(state.reachable === false) return 'unreachable';
+	return state.on ? `on ${Math.round((state.bri || 254) * 100 / 254)}%` : 'off';
+}
+
+const COMMANDS = {
+	pair: function ([address], options) {
+		if(!address) throw new UsageError('pair needs the address of the bridge');
+		let bridge = hue.bridge(address);
+		console.log('Press the link button of the bridge…');
+		return bridge.pair(DEVICE_TYPE, {timeout: 30000}).then(username => {
+			return bridge.user(username).getConfig().then(bridgeConfig => {
+				let config = readConfig();
+				let entry = {id: bridgeConfig.bridgeid, name: bridgeConfig.name, address, username};
+				config.bridges = [entry].concat(config.bridges.filter(other => other.id !== entry.id && other.address !== address));
+				fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), {mode: 0o600});
+				console.log(`Paired with ${entry.name} (${entry.id}), stored in ${CONFIG_PATH}`);
+			});
+		});
+	},
+
+	lights: function (args, options) {
+		return firstUser(options).getLights().then(lights => print(options,
+			Object.keys(lights).map(id => [id, lights[id].name, lights[id].type, lightStatus(lights[id].state)]), lights));
+	},
+
+	groups: function (args, options) {
+		return firstUser(options).getGroups().then(groups => print(options,
+			Object.keys(groups).map(id => [id, groups[id].name, groups[id].type, `${groups[id].lights.length} lights`,
+				groups[id].state.all_on ? 'all on' : groups[id].state.any_on ? 'some on' : 'off']), groups));
+	},
+
+	scenes: function (args, options) {
+		return firstUser(options).getScenes().then(scenes => print(options,
+			Object.keys(scenes).map(id => [id, scenes[id].name, scenes[id].group ? `group ${scenes[id].group}` : `${scenes[id].lights.length} lights`]), scenes));
+	},
+
+	sensors: function (args, options) {
+		return firstUser(options).getSensors().then(sensors => print(options,
+			Object.keys(sensors).map(id => [id, sensors[id].name, sensors[id].type, JSON.stringify(sensors[id].state)]), sensors));
+	},
+
+	light: function ([key, ...args], options) {
+		if(!key) throw new UsageError('light needs the id or name of a light');
+		let user = firstUser(options);
+		return user.getLights().then(lights => {
+			let {id, resource} = findResource(lights, key, 'light');
+			return user.setLightState(id, parseState(args, options, colorCapabilities(resource)));
+		});
+	},
+
+	group: function ([key, ...args], options) {
+		if(!key) throw new UsageError('group needs the id or name of a group, 0 for all lights');
+		let user = firstUser(options);
+		let state = parseState(args, options, GROUP_CAPABILITIES);
+		if(key === '0') return user.setGroupState(0, state);
+		return user.getGroups().then(groups => user.setGroupState(findResource(groups, key, 'group').id, state));
+	},
+
+	scene: function ([key], options) {
+		if(!key) throw new UsageError('scene needs the id or name of a scene');
+		let user = firstUser(options);
+		return user.getScenes().then(scenes => {
+			let {id, resource} = findResource(scenes, key, 'scene');
+			let state = {scene: id};
+			if(options.transition !== undefined) state.transitiontime = Math.round(parseFloat(options.transition) * 10);
+			return user.setGroupState(resource.group || 0, state);
+		});
+	},
+
+	dump: function (args, options) {
+		return firstUser(options).getFullState().then(state => console.log(JSON.stringify(state, null, 2)));
+	},
+
+	near: function ([file, name, meters, ...args], options) {
+		if(!file || !name || meters === undefined) throw new UsageError('near needs a layout file, a place and a distance in meters');
+		let radius = parseFloat(meters);
+		if(isNaN(radius)) throw new UsageError(`Invalid distance ${meters}`);
+		let layout = migrateLayout(JSON.parse(fs.readFileSync(file, 'utf8')));
+		let place = findPlace(layout, name);
+		if(!place) throw new UsageError(`No furniture, room, light or sensor named ${name} in ${file}`);
+		let near = entriesNear(layout.lights, place, radius);
+		let setting = args.length > 0 || options.bri !== undefined || options.color !== undefined;
+
+		// Layout lights are matched by their uniqueid, on whichever bridge they are now
+		let users = bridgesFor(options, true).map(userOf);
+		return Promise.all(users.map(user => user.getLights())).then(results => {
+			let found = near.map(({entry, distance}) => {
+				let index = results.findIndex(lights => Object.keys(lights).some(id => lights[id].uniqueid === entry.uniqueid));
+				let lights = results[index];
+				let id = index === -1 ? undefined : Object.keys(lights).find(id => lights[id].uniqueid === entry.uniqueid);
+				return {entry, distance, user: users[index], id, light: id && lights[id]};
+			});
+			print(options, found.map(({entry, distance, id, light}) =>
+				[id || '-', entry.name, `${distance.toFixed(2)} m`, light ? lightStatus(light.state) : 'not on a paired bridge']),
+			found.map(({entry, distance, id}) => ({id, name: entry.name, uniqueid: entry.uniqueid, distance})));
+			if(!setting) return;
+			return Promise.all(found.filter(({light}) => light).map(({user, id, light}) =>
+				user.setLightState(id, parseState(args, options, colorCapabilities(light)))));
+		});
+	}
+};
+
+function usage() {
+	let source = fs.readFileSync(__filename, 'utf8');
+	return source.slice(source.indexOf(' * Usage'), source.indexOf(' */')).replace(/^ \* ?/gm, '');
+}
+
+if(require.main === module) {
+	let command;
+	let parsed;
+	try {
+		parsed = parseArgs(process.argv.slice(2));
+		command = COMMANDS[parsed.args[0]];
+		if(!command) throw new UsageError(parsed.args[0] ? `Unknown command ${parsed.args[0]}` : 'No command given');
+	} catch (e) {
+		console.error(`${e.message}\n\n${usage()}`);
+		process.exit(2);
+	}
+	Promise.resolve().then(() => command(parsed.args.slice(1), parsed.options)).catch(e => {
+		console.error(e instanceof UsageError ? `${e.message}\n\n${usage()}` : `Error: ${e.message}`);
+		process.exit(e instanceof UsageError ? 2 : 1);
+	});
+}
+
+module.exports = {
+	COMMANDS,
+	parseArgs,
+	parseState,
+	httpFetch
+};
@@ -0,0 +1,768 @@
+/**
+ * In-memory Hue bridge emulator.
+ *
+ * Implements the subset of the v1 REST API that jsHue uses, including the
+ * bridge's `[{success: …}]` / `[{error: …}]` response arrays. It has no
+ * dependency on Node so it can be driven by the HTTP server in server.js or
+ * called directly.
+ */
+
+const ERRORS = {
+  UNAUTHORIZED_USER: 1,
+  INVALID_JSON: 2,
+  RESOURCE_NOT_AVAILABLE: 3,
+  METHOD_NOT_AVAILABLE: 4,
+  MISSING_PARAMETERS: 5,
+  PARAMETER_NOT_AVAILABLE: 6,
+  INVALID_VALUE: 7,
+  PARAMETER_NOT_MODIFIABLE: 8,
+  LINK_BUTTON_NOT_PRESSED: 101,
+  DEVICE_OFF: 201,
+  INTERNAL_ERROR: 901
+};
+
+// Light archetypes as reported by real bridges.
+const LIGHT_TYPES = {
+  color: {
+    type: 'Extended color light',
+    modelid: 'LCT007',
+    manufacturername: 'Philips',
+    colormodes: ['hs', 'xy', 'ct'],
+    gamut: 'B',
+    ct: {min: 153, max: 500}
+  },
+  colorOnly: {
+    type: 'Color light',
+    modelid: 'LST001',
+    manufacturername: 'Philips',
+    colormodes: ['hs', 'xy'],
+    gamut: 'A'
+  },
+  ambiance: {
+    type: 'Color temperature light',
+    modelid: 'LTW001',
+    manufacturername: 'Philips',
+    colormodes: ['ct'],
+    ct: {min: 153, max: 454}
+  },
+  white: {
+    type: 'Dimmable light',
+    modelid: 'LWB006',
+    manufacturername: 'Philips',
+    colormodes: []
+  }
+};
+
+const GAMUTS = {
+  A: [[0.704, 0.296], [0.2151, 0.7106], [0.138, 0.08]],
+  B: [[0.675, 0.322], [0.409, 0.518], [0.167, 0.04]],
+  C: [[0.6915, 0.3083], [0.17, 0.7], [0.1532, 0.0475]]
+};
+
+const LINK_BUTTON_DURATION = 30000;
+
+function error(type, address, description) {
+  return {error: {type, address, description}};
+}
+
+function success(key, value) {
+  let result = {};
+  if (value === undefined) {
+    result = key;
+  } else {
+    result[key] = value;
+  }
+  return {success: result};
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function timestamp() {
+  return new Date().toISOString().slice(0, 19);
+}
+
+function randomHex(length) {
+  let out = '';
+  while (out.length < length) {
+    out += Math.floor(Math.random() * 16).toString(16);
+  }
+  return out;
+}
+
+function nextId(collection) {
+  let id = 1;
+  while (collection[id] !== undefined) id++;
+  return String(id);
+}
+
+function isInteger(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Creates a light object the way the bridge reports it.
+ *
+ * @param {Number} index light number, used for the name and unique id
+ * @param {String|Object} spec archetype name from LIGHT_TYPES or {type, name}
+ * @return {Object} light
+ */
+function createLight(index, spec) {
+  if (typeof spec === 'string') spec = {type: spec};
+  let archetype = LIGHT_TYPES[spec.type] || LIGHT_TYPES.color;
+  let hex = ('0' + index.toString(16)).slice(-2);
+  let state = {on: false, bri: 254, alert: 'none', reachable: true, mode: 'homeautomation'};
+
+  if (archetype.colormodes.indexOf('hs') !== -1) {
+    Object.assign(state, {hue: 8418, sat: 140, effect: 'none', xy: [0.4573, 0.41]});
+  }
+  if (archetype.colormodes.indexOf('ct') !== -1) state.ct = 366;
+  if (archetype.colormodes.length > 0) state.colormode = archetype.colormodes.indexOf('ct') !== -1 ? 'ct' : 'xy';
+
+  let control = {mindimlevel: 1000, maxlumen: 600};
+  if (archetype.gamut) {
+    control.colorgamuttype = archetype.gamut;
+    control.colorgamut = GAMUTS[archetype.gamut];
+  }
+  if (archetype.ct) control.ct = archetype.ct;
+
+  return {
+    state,
+    swupdate: {state: 'noupdates', lastinstall: null},
+    type: archetype.type,
+    name: spec.name || `Hue light ${index}`,
+    modelid: archetype.modelid,
+    manufacturername: archetype.manufacturername,
+    capabilities: {certified: true, control, streaming: {renderer: true, proxy: false}},
+    uniqueid: `00:17:88:01:00:00:00:${hex}-0b`,
+    swversion: '5.105.0.21169'
+  };
+}
+
+/**
+ * Expands the `lights` option into a list of light specs.
+ *
+ * Accepts an array of specs, or a count together with a type. The type
+ * 'mixed' cycles through all archetypes.
+ */
+function lightSpecs(options) {
+  if (Array.isArray(options.lights)) return options.lights;
+  let count = options.lights === undefined ? 3 : options.lights;
+  let type = options.type || 'color';
+  let types = Object.keys(LIGHT_TYPES);
+  let specs = [];
+  for (let i = 0; i < count; i++) {
+    specs.push(type === 'mixed' ? types[i % types.length] : type);
+  }
+  return specs;
+}
+
+/**
+ * Creates an emulated bridge.
+ *
+ * @param {Object} [options]
+ * @param {Number|Array} [options.lights=3] number of lights or list of light specs
+ * @param {String} [options.type='color'] light archetype when a count is given
+ * @param {Boolean} [options.linkButton=false] whether the link button starts pressed
+ * @param {String} [options.name='Hue Emulator'] bridge name
+ * @param {String} [options.ipaddress='127.0.0.1'] address reported in the config
+ * @return {Object} bridge with handle(method, path, body) and pressLinkButton()
+ */
+function createBridge(options) {
+  options = options || {};
+  let mac = options.mac || '00:17:88:' + randomHex(6).match(/../g).join(':');
+  let linkButtonUntil = options.linkButton ? Infinity : 0;
+
+  let state = {
+    lights: {},
+    groups: {},
+    config: {
+      name: options.name || 'Hue Emulator',
+      zigbeechannel: 15,
+      bridgeid: mac.replace(/:/g, '').slice(0, 6).toUpperCase() + 'FFFE' + mac.replace(/:/g, '').slice(6).toUpperCase(),
+      mac,
+      dhcp: true,
+      ipaddress: options.ipaddress || '127.0.0.1',
+      netmask: '255.255.255.0',
+      gateway: '127.0.0.1',
+      proxyaddress: 'none',
+      proxyport: 0,
+      UTC: timestamp(),
+      localtime: timestamp(),
+      timezone: 'Europe/Berlin',
+      modelid: 'BSB002',
+      datastoreversion: '63',
+      swversion: '1709131301',
+      apiversion: '1.22.0',
+      linkbutton: false,
+      portalservices: false,
+      portalconnection: 'disconnected',
+      factorynew: false,
+      replacesbridgeid: null,
+      starterkitid: '',
+      // Usernames come from requests, none may match an inherited property like __proto__
+      whitelist: Object.create(null)
+    },
+    schedules: {},
+    scenes: {},
+    rules: {},
+    sensors: {
+      1: {
+        state: {daylight: true, lastupdated: timestamp()},
+        config: {on: true, configured: true, sunriseoffset: 30, sunsetoffset: -30},
+        name: 'Daylight',
+        type: 'Daylight',
+        modelid: 'PHDL00',
+        manufacturername: 'Philips',
+        swversion: '1.0'
+      }
+    },
+    resourcelinks: {}
+  };
+
+  lightSpecs(options).forEach((spec, i) => {
+    state.lights[i + 1] = createLight(i + 1, spec);
+  });
+
+  if (options.username) {
+    state.config.whitelist[options.username] = {
+      'last use date': timestamp(),
+      'create date': timestamp(),
+      name: 'preconfigured'
+    };
+  }
+
+  function linkButtonPressed() {
+    return Date.now() < linkButtonUntil;
+  }
+
+  /**
+   * Simulates pressing the physical link button. New users can be created
+   * for the given duration afterwards.
+   */
+  function pressLinkButton(duration) {
+    linkButtonUntil = Date.now() + (duration || LINK_BUTTON_DURATION);
+  }
+
+  function publicConfig() {
+    let c = state.config;
+    return {
+      name: c.name,
+      datastoreversion: c.datastoreversion,
+      swversion: c.swversion,
+      apiversion: c.apiversion,
+      mac: c.mac,
+      bridgeid: c.bridgeid,
+      factorynew: c.factorynew,
+      replacesbridgeid: c.replacesbridgeid,
+      modelid: c.modelid,
+      starterkitid: c.starterkitid
+    };
+  }
+
+  function fullConfig() {
+    let config = clone(state.config);
+    config.linkbutton = linkButtonPressed();
+    config.UTC = timestamp();
+    config.localtime = timestamp();
+    return config;
+  }
+
+  function groupWithState(id) {
+    let group = clone(id === '0' ? allLightsGroup() : state.groups[id]);
+    let on = group.lights.map(lightId => state.lights[lightId] && state.lights[lightId].state.on);
+    group.state = {all_on: on.length > 0 && on.every(Boolean), any_on: on.some(Boolean)};
+    return group;
+  }
+
+  function allLightsGroup() {
+    return {
+      name: 'Group 0',
+      lights: Object.keys(state.lights),
+      type: 'LightGroup',
+      action: {on: false, bri: 254, alert: 'none'}
+    };
+  }
+
+  function fullState() {
+    let groups = {};
+    Object.keys(state.groups).forEach(id => {
+      groups[id] = groupWithState(id);
+    });
+    return {
+      lights: clone(state.lights),
+      groups,
+      config: fullConfig(),
+      schedules: clone(state.schedules),
+      scenes: clone(state.scenes),
+      rules: clone(state.rules),
+      sensors: clone(state.sensors),
+      resourcelinks: clone(state.resourcelinks)
+    };
+  }
+
+  /**
+   * Applies a state change to one light and returns the response entries.
+   */
+  function applyLightState(lightId, data, addressPrefix) {
+    let light = state.lights[lightId];
+    let control = light.capabilities.control;
+    let results = [];
+    let turningOn = data.on === true;
+
+    Object.keys(data).forEach(key => {
+      let value = data[key];
+      let address = `${addressPrefix}/${key}`;
+      let colorKey = ['hue', 'sat', 'xy', 'ct', 'effect', 'hue_inc', 'sat_inc', 'ct_inc', 'xy_inc'].indexOf(key) !== -1;
+      let baseKey = key.replace(/_inc$/, '');
+
+      if (key === 'transitiontime') {
+        if (!isInteger(value, 0, 65535)) results.push(error(ERRORS.INVALID_VALUE, address, `invalid value, ${value}, for parameter, ${key}`));
+        return;
+      }
+      if (key === 'scene') return;
+      if (colorKey && light.state[baseKey] === undefined) {
+        results.push(error(ERRORS.PARAMETER_NOT_AVAILABLE, address, `parameter, ${key}, not available`));
+        return;
+      }
+      if (['on', 'bri', 'alert', 'bri_inc'].indexOf(key) === -1 && !colorKey) {
+        results.push(error(ERRORS.PARAMETER_NOT_AVAILABLE, address, `parameter, ${key}, not available`));
+        return;
+      }
+      if (key !== 'on' && key !== 'alert' && !light.state.on && !turningOn) {
+        results.push(error(ERRORS.DEVICE_OFF, address, `parameter, ${key}, is not modifiable. Device is set to off.`));
+        return;
+      }
+
+      let invalid = false;
+      switch (key) {
+        case 'on':
+          invalid = typeof value !== 'boolean';
+          break;
+        case 'bri':
+          invalid = !isInteger(value, 1, 254);
+          break;
+        case 'hue':
+          invalid = !isInteger(value, 0, 65535);
+          break;
+        case 'sat':
+          invalid = !isInteger(value, 0, 254);
+          break;
+        case 'ct':
+          invalid = !isInteger(value, control.ct.min, control.ct.max);
+          break;
+        case 'xy':
+          invalid = !Array.isArray(value) || value.length !== 2 || value.some(v => typeof v !== 'number' || v < 0 || v > 1);
+          break;
+        case 'alert':
+          invalid = ['none', 'select', 'lselect'].indexOf(value) === -1;
+          break;
+        case 'effect':
+          invalid = ['none', 'colorloop'].indexOf(value) === -1;
+          break;
+        case 'xy_inc':
+          invalid = !Array.isArray(value) || value.length !== 2;
+          break;
+        default:
+          invalid = !isInteger(value, -65535, 65535);
+      }
+      if (invalid) {
+        results.push(error(ERRORS.INVALID_VALUE, address, `invalid value, ${JSON.stringify(value)}, for parameter, ${key}`));
+        return;
+      }
+
+      let current = light.state[baseKey];
+      let newValue = value;
+      if (key === 'bri_inc') newValue = Math.max(1, Math.min(254, current + value));
+      if (key === 'sat_inc') newValue = Math.max(0, Math.min(254, current + value));
+      if (key === 'hue_inc') newValue = ((current + value) % 65536 + 65536) % 65536;
+      if (key === 'ct_inc') newValue = Math.max(control.ct.min, Math.min(control.ct.max, current + value));
+      if (key === 'xy_inc') newValue = current.map((v, i) => Math.max(0, Math.min(1, v + value[i])));
+
+      light.state[baseKey] = newValue;
+      if (baseKey === 'hue' || baseKey === 'sat') light.state.colormode = 'hs';
+      if (baseKey === 'xy') light.state.colormode = 'xy';
+      if (baseKey === 'ct') light.state.colormode = 'ct';
+
+      results.push(success(`${addressPrefix}/${baseKey}`, newValue));
+    });
+
+    return results;
+  }
+
+  function recallScene(sceneId, addressPrefix) {
+    let scene = state.scenes[sceneId];
+    if (!scene) return [error(ERRORS.RESOURCE_NOT_AVAILABLE, `${addressPrefix}/scene`, `resource, /scenes/${sceneId}, not available`)];
+    Object.keys(scene.lightstates).forEach(lightId => {
+      if (state.lights[lightId]) applyLightState(lightId, scene.lightstates[lightId], `/lights/${lightId}/state`);
+    });
+    return [success(`${addressPrefix}/scene`, sceneId)];
+  }
+
+  function applyGroupAction(groupId, data) {
+    let addressPrefix = `/groups/${groupId}/action`;
+    if (data.scene !== undefined) return recallScene(data.scene, addressPrefix);
+
+    let group = groupId === '0' ? allLightsGroup() : state.groups[groupId];
+    group.lights.forEach(lightId => {
+      if (state.lights[lightId]) applyLightState(lightId, data, `/lights/${lightId}/state`);
+    });
+    if (groupId !== '0') Object.assign(group.action, data);
+
+    return Object.keys(data).map(key => success(`${addressPrefix}/${key}`, data[key]));
+  }
+
+  function setAttributes(object, data, address, allowed) {
+    return Object.keys(data).map(key => {
+      if (allowed && allowed.indexOf(key) === -1) {
+        return error(ERRORS.PARAMETER_NOT_AVAILABLE, `${address}/${key}`, `parameter, ${key}, not available`);
+      }
+      object[key] = data[key];
+      return success(`${address}/${key}`, data[key]);
+    });
+  }
+
+  /**
+   * Generic collection handler for schedules, sensors and rules.
+   */
+  function handleCollection(name, method, rest, body, defaults) {
+    let collection = state[name];
+    let [id, sub] = rest;
+    let address = `/${name}` + (id ? `/${id}` : '') + (sub ? `/${sub}` : '');
+
+    if (id === undefined) {
+      if (method === 'GET') return clone(collection);
+      if (method === 'POST') {
+        if (body === null) return [success(`/${name}`, 'Searching for new devices')];
+        let newId = nextId(collection);
+        collection[newId] = Object.assign(defaults ? defaults() : {}, clone(body));
+        return [success({id: newId})];
+      }
+    } else if (id === 'new' && method === 'GET') {
+      return {lastscan: timestamp()};
+    } else if (collection[id] !== undefined) {
+      let object = collection[id];
+      if (sub === undefined) {
+        if (method === 'GET') return clone(object);
+        if (method === 'PUT') return setAttributes(object, body, address);
+        if (method === 'DELETE') {
+          delete collection[id];
+          return [success(`${address} deleted`)];
+        }
+      } else if ((sub === 'config' || sub === 'state') && method === 'PUT') {
+        object[sub] = object[sub] || {};
+        return setAttributes(object[sub], body, address);
+      }
+    } else {
+      return [error(ERRORS.RESOURCE_NOT_AVAILABLE, address, `resource, ${address}, not available`)];
+    }
+    return [error(ERRORS.METHOD_NOT_AVAILABLE, address, `method, ${method}, not available for resource, ${address}`)];
+  }
+
+  function handleLights(method, rest, body) {
+    let [id, sub] = rest;
+    let address = '/lights' + (id ? `/${id}` : '') + (sub ? `/${sub}` : '');
+
+    if (id === undefined) {
+      if (method === 'GET') return clone(state.lights);
+      if (method === 'POST') return [success('/lights', 'Searching for new devices')];
+    } else if (id === 'new') {
+      if (method === 'GET') return {lastscan: timestamp()};
+    } else if (state.lights[id] === undefined) {
+      return [error(ERRORS.RESOURCE_NOT_AVAILABLE, address, `resource, ${address}, not available`)];
+    } else if (sub === undefined) {
+      if (method === 'GET') return clone(state.lights[id]);
+      if (method === 'PUT') return setAttributes(state.lights[id], body, address, ['name']);
+      if (method === 'DELETE') {
+        delete state.lights[id];
+        return [success(`${address} deleted`)];
+      }
+    } else if (sub === 'state' && method === 'PUT') {
+      return applyLightState(id, body, address);
+    }
+    return [error(ERRORS.METHOD_NOT_AVAILABLE, address, `method, ${method}, not available for resource, ${address}`)];
+  }
+
+  function handleGroups(method, rest, body) {
+    let [id, sub] = rest;
+    let address = '/groups' + (id ? `/${id}` : '') + (sub ? `/${sub}` : '');
+
+    if (id === undefined) {
+      if (method === 'GET') {
+        let groups = {};
+        Object.keys(state.groups).forEach(groupId => {
+          groups[groupId] = groupWithState(groupId);
+        });
+        return groups;
+      }
+      if (method === 'POST') {
+        if (!Array.isArray(body.lights)) {
+          return [error(ERRORS.MISSING_PARAMETERS, '/groups/lights', 'invalid/missing parameters in body')];
+        }
+        let newId = nextId(state.groups);
+        state.groups[newId] = {
+          name: body.name || `Group ${newId}`,
+          lights: body.lights.map(String),
+          type: body.type || 'LightGroup',
+          class: body.class || 'Other',
+          action: {on: false, bri: 254, alert: 'none'}
+        };
+        return [success({id: newId})];
+      }
+    } else if (id !== '0' && state.groups[id] === undefined) {
+      return [error(ERRORS.RESOURCE_NOT_AVAILABLE, address, `resource, ${address}, not available`)];
+    } else if (sub === undefined) {
+      if (method === 'GET') return groupWithState(id);
+      if (method === 'PUT' && id !== '0') return setAttributes(state.groups[id], body, address, ['name', 'lights', 'class']);
+      if (method === 'DELETE' && id !== '0') {
+        delete state.groups[id];
+        return [success(`${address} deleted`)];
+      }
+    } else if (sub === 'action' && method === 'PUT') {
+      return applyGroupAction(id, body);
+    }
+    return [error(ERRORS.METHOD_NOT_AVAILABLE, address, `method, ${method}, not available for resource, ${address}`)];
+  }
+
+  function handleScenes(method, rest, body) {
+    let [id, sub, lightId, leaf] = rest;
+    let address = '/scenes' + (id ? `/${id}` : '');
+
+    if (id === undefined) {
+      if (method === 'GET') {
+        let scenes = {};
+        Object.keys(state.scenes).forEach(sceneId => {
+          scenes[sceneId] = clone(state.scenes[sceneId]);
+          delete scenes[sceneId].lightstates;
+        });
+        return scenes;
+      }
+      if (method === 'POST') {
+        if (!Array.isArray(body.lights)) {
+          return [error(ERRORS.MISSING_PARAMETERS, '/scenes/lights', 'invalid/missing parameters in body')];
+        }
+        let newId = randomHex(15);
+        state.scenes[newId] = {
+          name: body.name || newId,
+          lights: body.lights.map(String),
+          owner: null,
+          recycle: body.recycle !== undefined ? body.recycle : false,
+          locked: false,
+          appdata: body.appdata || {},
+          picture: '',
+          lastupdated: timestamp(),
+          version: 2,
+          lightstates: body.lightstates ? clone(body.lightstates) : {}
+        };
+        storeLightStates(state.scenes[newId], !body.lightstates);
+        return [success({id: newId})];
+      }
+    } else if (method === 'PUT' && sub === undefined) {
+      if (body.lights !== undefined && !Array.isArray(body.lights)) {
+        return [error(ERRORS.INVALID_VALUE, `${address}/lights`, `invalid value, ${JSON.stringify(body.lights)}, for parameter, lights`)];
+      }
+      let scene = state.scenes[id];
+      if (scene === undefined) {
+        // Old style scene creation via PUT, see jsHue setScene
+        scene = state.scenes[id] = {name: body.name || id, lights: [], lightstates: {}, recycle: true, locked: false, appdata: {}, version: 1};
+      }
+      let results = setAttributes(scene, body, address, ['name', 'lights', 'storelightstate', 'recycle', 'appdata']);
+      scene.lights = scene.lights.map(String);
+      if (body.storelightstate || body.lights) storeLightStates(scene, true);
+      delete scene.storelightstate;
+      scene.lastupdated = timestamp();
+      return results;
+    } else if (state.scenes[id] === undefined) {
+      return [error(ERRORS.RESOURCE_NOT_AVAILABLE, address, `resource, ${address}, not available`)];
+    } else if (sub === undefined) {
+      if (method === 'GET') return clone(state.scenes[id]);
+      if (method === 'DELETE') {
+        delete state.scenes[id];
+        return [success(`${address} deleted`)];
+      }
+    } else if (method === 'PUT' && (sub === 'lightstates' || (sub === 'lights' && leaf === 'state'))) {
+      let scene = state.scenes[id];
+      if (scene.lights.indexOf(String(lightId)) === -1) {
+        return [error(ERRORS.RESOURCE_NOT_AVAILABLE, `${address}/${sub}/${lightId}`, `resource, ${address}/${sub}/${lightId}, not available`)];
+      }
+      scene.lightstates[lightId] = Object.assign(scene.lightstates[lightId] || {}, body);
+      return Object.keys(body).map(key => success(`${address}/${sub}/${lightId}/${leaf ? leaf + '/' : ''}${key}`, body[key]));
+    }
+    return [error(ERRORS.METHOD_NOT_AVAILABLE, address, `method, ${method}, not available for resource, ${address}`)];
+  }
+
+  function storeLightStates(scene, overwrite) {
+    scene.lights.forEach(lightId => {
+      let light = state.lights[lightId];
+      if (!light || (!overwrite && scene.lightstates[lightId])) return;
+      let lightState = {on: light.state.on, bri: light.state.bri};
+      if (light.state.colormode === 'ct') lightState.ct = light.state.ct;
+      else if (light.state.colormode === 'hs') Object.assign(lightState, {hue: light.state.hue, sat: light.state.sat});
+      else if (light.state.xy) lightState.xy = light.state.xy;
+      scene.lightstates[lightId] = lightState;
+    });
+  }
+
+  function handleConfig(method, rest, body) {
+    if (rest[0] === 'whitelist' && rest[1] !== undefined && method === 'DELETE') {
+      let address = `/config/whitelist/${rest[1]}`;
+      if (state.config.whitelist[rest[1]] === undefined) {
+        return [error(ERRORS.RESOURCE_NOT_AVAILABLE, address, `resource, ${address}, not available`)];
+      }
+      delete state.config.whitelist[rest[1]];
+      return [success(`${address} deleted`)];
+    }
+    if (method === 'GET' && rest.length === 0) return fullConfig();
+    if (method === 'PUT' && rest.length === 0) {
+      return Object.keys(body).map(key => {
+        if (key === 'linkbutton') {
+          if (body.linkbutton) pressLinkButton();
+          else linkButtonUntil = 0;
+          return success(`/config/${key}`, body[key]);
+        }
+        if (['name', 'zigbeechannel', 'proxyaddress', 'proxyport', 'timezone'].indexOf(key) === -1) {
+          return error(ERRORS.PARAMETER_NOT_MODIFIABLE, `/config/${key}`, `parameter, ${key}, is not modifiable`);
+        }
+        state.config[key] = body[key];
+        return success(`/config/${key}`, body[key]);
+      });
+    }
+    return [error(ERRORS.METHOD_NOT_AVAILABLE, '/config', `method, ${method}, not available for resource, /config`)];
+  }
+
+  function createUser(body) {
+    if (!body || typeof body.devicetype !== 'string') {
+      return [error(ERRORS.MISSING_PARAMETERS, '', 'invalid/missing parameters in body')];
+    }
+    if (!linkButtonPressed()) {
+      return [error(ERRORS.LINK_BUTTON_NOT_PRESSED, '', 'link button not pressed')];
+    }
+    let username = body.username || randomHex(40);
+    state.config.whitelist[username] = {
+      'last use date': timestamp(),
+      'create date': timestamp(),
+      name: body.devicetype
+    };
+    return [success({username})];
+  }
+
+  function route(method, path, body) {
+    method = method.toUpperCase();
+    let parts = path.split('?')[0].split('/').filter(part => part.length > 0);
+
+    if (parts[0] !== 'api') {
+      return {status: 404, body: [error(ERRORS.RESOURCE_NOT_AVAILABLE, path, `resource, ${path}, not available`)]};
+    }
+
+    if (typeof body === 'string') {
+      if (body.trim().length === 0) {
+        body = null;
+      } else {
+        try {
+          body = JSON.parse(body);
+        } catch (e) {
+          return {status: 200, body: [error(ERRORS.INVALID_JSON, '', 'body contains invalid json')]};
+        }
+      }
+    }
+    if (body === undefined) body = null;
+
+    let [, username, resource, ...rest] = parts;
+
+    if (username === undefined) {
+      if (method === 'POST') return {status: 200, body: createUser(body)};
+      return {status: 200, body: [error(ERRORS.METHOD_NOT_AVAILABLE, '/', `method, ${method}, not available for resource, /`)]};
+    }
+
+    // The unauthenticated config endpoint answers for any (or no) username.
+    if (username === 'config' && resource === undefined && method === 'GET') {
+      return {status: 200, body: publicConfig()};
+    }
+    if (resource === 'config' && rest.length === 0 && method === 'GET' && state.config.whitelist[username] === undefined) {
+      return {status: 200, body: publicConfig()};
+    }
+
+    if (state.config.whitelist[username] === undefined) {
+      let address = '/' + (resource ? [resource].concat(rest).join('/') : '');
+      return {status: 200, body: [error(ERRORS.UNAUTHORIZED_USER, address, 'unauthorized user')]};
+    }
+    state.config.whitelist[username]['last use date'] = timestamp();
+
+    if (['PUT', 'POST'].indexOf(method) !== -1 && body === null && !(method === 'POST' && (resource === 'lights' || resource === 'sensors'))) {
+      return {status: 200, body: [error(ERRORS.INVALID_JSON, '', 'body contains invalid json')]};
+    }
+
+    let response;
+    switch (resource) {
+      case undefined:
+        response = method === 'GET' ? fullState() : [error(ERRORS.METHOD_NOT_AVAILABLE, '/', `method, ${method}, not available for resource, /`)];
+        break;
+      case 'config':
+        response = handleConfig(method, rest, body);
+        break;
+      case 'info':
+        response = rest[0] === 'timezones' ? ['Europe/Berlin', 'Europe/London', 'America/New_York', 'UTC'] : [error(ERRORS.RESOURCE_NOT_AVAILABLE, '/info', 'resource, /info, not available')];
+        break;
+      case 'lights':
+        response = handleLights(method, rest, body);
+        break;
+      case 'groups':
+        response = handleGroups(method, rest, body);
+        break;
+      case 'scenes':
+        response = handleScenes(method, rest, body);
+        break;
+      case 'schedules':
+        response = handleCollection('schedules', method, rest, body, () => ({created: timestamp(), status: 'enabled'}));
+        break;
+      case 'sensors':
+        response = handleCollection('sensors', method, rest, body, () => ({config: {on: true}, state: {}}));
+        break;
+      case 'rules':
+        response = handleCollection('rules', method, rest, body, () => ({
+          owner: username, created: timestamp(), lasttriggered: 'none', timestriggered: 0, status: 'enabled'
+        }));
+        break;
+      default:
+        response = [error(ERRORS.RESOURCE_NOT_AVAILABLE, `/${resource}`, `resource, /${resource}, not available`)];
+    }
+
+    return {status: 200, body: response};
+  }
+
+  /**
+   * Handles one API request.
+   *
+   * @param {String} method GET, PUT, POST or DELETE
+   * @param {String} path request path, e.g. '/api/<username>/lights/1/state'
+   * @param {String|Object|null} body raw JSON body or an already parsed object
+   * @return {Object} {status, body} where body is the JSON response object
+   */
+  function handle(method, path, body) {
+    // Bodies the handlers don't expect, eg. a scene without a lights array,
+    // answer with an error instead of ending the emulator
+    try {
+      return route(method, path, body);
+    } catch (e) {
+      return {status: 500, body: [error(ERRORS.INTERNAL_ERROR, path, `Internal error, ${e.message}`)]};
+    }
+  }
+
+  return {
+    state,
+    handle,
+    pressLinkButton
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createBridge,
+    ERRORS,
+    LIGHT_TYPES
+  };
+} else {
+  // Loaded with a script tag, eg. by browser tests, see fetch.js
+  window.hueEmulator = Object.assign(window.hueEmulator || {}, {createBridge, ERRORS, LIGHT_TYPES});
+}
@@ -0,0 +1,57 @@
+/**
+ * fetch() answered by a bridge emulator, without a server.
+ *
+ * Lets the web app talk to an emulated bridge inside the page, eg. in
+ * headless browser tests replaying a controller recording. Requests to
+ * http(s)://<host>/api/… go to bridge.handle, the others to the fallback.
+ *
+ *   let bridge = createBridge({linkButton: true});
+ *   window.fetch = createEmulatorFetch(bridge, {host: 'localhost:8000', fallback: window.fetch});
+ *
+ * jsHue looks up the global fetch on every request, so it can be replaced
+ * any time before connecting, or passed to jsHue({fetch}) like in
+ * test/jshue.test.js. Without a module system this file and bridge.js add
+ * their functions to window.hueEmulator.
+ */
+
+/**
+ * @param {Object} bridge bridge from createBridge
+ * @param {Object} [options]
+ * @param {String} [options.host] only answer requests to this host, any by default
+ * @param {Function} [options.fallback] fetch for other requests
+ * @return {Function} fetch, its requests property lists the answered requests
+ */
+function createEmulatorFetch(bridge, options = {}) {
+  let requests = [];
+
+  let emulatorFetch = function (url, init = {}) {
+    let match = String(url).match(/^https?:\/\/([^/]+)(\/api(?:[/?].*)?)$/);
+    if (!match || (options.host && match[1] !== options.host)) {
+      if (options.fallback) return options.fallback(url, init);
+      return Promise.reject(new TypeError(`Failed to fetch ${url}, not an emulated bridge`));
+    }
+
+    let method = (init.method || 'GET').toUpperCase();
+    requests.push({method, path: match[2], body: init.body});
+    let response = bridge.handle(method, match[2], init.body === undefined ? null : init.body);
+    let text = JSON.stringify(response.body);
+    // Answer asynchronously, like a network request
+    return Promise.resolve({
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      json: () => Promise.resolve(JSON.parse(text)),
+      text: () => Promise.resolve(text)
+    });
+  };
+
+  emulatorFetch.requests = requests;
+  return emulatorFetch;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createEmulatorFetch
+  };
+} else {
+  window.hueEmulator = Object.assign(window.hueEmulator || {}, {createEmulatorFetch});
+}
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * HTTP front end for the Hue bridge emulator.
+ *
+ * Usage: node emulator/server.js [--port 8000] [--lights 3] [--type color|colorOnly|ambiance|white|mixed]
+ *                                [--linkbutton] [--username <name>]
+ *
+ * Press Enter in the terminal to simulate pressing the link button.
+ */
+
+const http = require('http');
+const {createBridge} = require('./bridge');
+
+function createServer(bridge) {
+  return http.createServer((req, res) => {
+    // Real bridges allow cross-origin requests, which the web app relies on.
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let response = bridge.handle(req.method, req.url, body);
+      res.writeHead(response.status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(response.body));
+    });
+  });
+}
+
+function parseArgs(argv) {
+  let options = {port: 8000};
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (arg === '--port') options.port = parseInt(argv[++i]);
+    else if (arg === '--lights') options.lights = parseInt(argv[++i]);
+    else if (arg === '--type') options.type = argv[++i];
+    else if (arg === '--username') options.username = argv[++i];
+    else if (arg === '--name') options.name = argv[++i];
+    else if (arg === '--linkbutton') options.linkButton = true;
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options = parseArgs(process.argv.slice(2));
+  let bridge = createBridge(options);
+  let server = createServer(bridge);
+
+  server.listen(options.port, () => {
+    let lights = bridge.state.lights;
+    console.log(`Hue bridge emulator listening on http://localhost:${options.port}/api`);
+    console.log(`Bridge id ${bridge.state.config.bridgeid}, ${Object.keys(lights).length} lights:`);
+    Object.keys(lights).forEach(id => console.log(`  ${id}: ${lights[id].name} (${lights[id].type})`));
+    console.log('Press Enter to press the link button.');
+  });
+
+  process.stdin.on('data', () => {
+    bridge.pressLinkButton();
+    console.log('Link button pressed, new users can be created for 30 seconds.');
+  });
+}
+
+module.exports = {
+  createServer
+};
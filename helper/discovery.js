@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Local discovery helper service.
+ *
+ * Browsers can't send SSDP or mDNS queries, nor scan the local network
+ * efficiently. This small service does it for the web app:
+ *
+ *   GET /discover?methods=ssdp,mdns,probe&timeout=3000
+ *
+ * answers with the candidate addresses [{internalipaddress, source}]. The app
+ * verifies each candidate itself. Only the subnets of this host's interfaces
+ * are probed, asking for others is an error, and only pages served from localhost or an origin passed with
+ * --origin may ask, so other pages can't scan networks through the helper.
+ *
+ * Usage: node helper/discovery.js [--port 8001] [--origin http://nypad:8080]
+ */
+
+const http = require('http');
+const url = require('url');
+const ssdp = require('./ssdp');
+const mdns = require('./mdns');
+const probe = require('./probe');
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const METHODS = {
+	ssdp: options => ssdp.discover(options.timeout),
+	mdns: options => mdns.discover(options.timeout),
+	probe: options => probe.discover({subnets: options.subnets, duration: options.timeout})
+};
+
+function discover(options) {
+	let methods = options.methods.filter(method => METHODS[method]);
+	return Promise.all(methods.map(method => METHODS[method](options).catch(e => {
+		console.log(`Discovery via ${method} failed:`, e.message);
+		return [];
+	}))).then(results => [].concat.apply([], results));
+}
+
+/**
+ * Whether a page of an origin may use the helper. Clients other than
+ * browsers send no origin.
+ *
+ * @param {String} [origin] Origin header
+ * @param {Array} origins allowed origins besides the ones on localhost
+ */
+function allowedOrigin(origin, origins) {
+	if(origin === undefined || origins.indexOf(origin) !== -1) return true;
+	let {hostname} = url.parse(origin);
+	return LOCAL_HOSTNAMES.indexOf(hostname) !== -1;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Array} [options.origins] origins of the app besides the ones on localhost
+ */
+function createServer(options) {
+	options = Object.assign({origins: []}, options);
+	return http.createServer((req, res) => {
+		let origin = req.headers.origin;
+		if(!allowedOrigin(origin, options.origins)) {
+			res.writeHead(403, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify({error: `origin ${origin} not allowed`}));
+			return;
+		}
+		if(origin !== undefined) {
+			res.setHeader('Access-Control-Allow-Origin', origin);
+			res.setHeader('Vary', 'Origin');
+		}
+		let {pathname, query} = url.parse(req.url, true);
+
+		if(req.method !== 'GET' || pathname !== '/discover') {
+			res.writeHead(404, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify({error: 'not found'}));
+			return;
+		}
+
+		let local = probe.localSubnets();
+		let subnets = query.subnets ? query.subnets.split(',') : undefined;
+		let foreign = (subnets || []).filter(prefix => local.indexOf(prefix) === -1);
+		if(foreign.length > 0) {
+			res.writeHead(400, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify({error: `The helper only probes its own subnets ${local.join(', ')}, not ${foreign.join(', ')}. Run it in the network of the bridge.`}));
+			return;
+		}
+		let discoverOptions = {
+			methods: (query.methods || 'ssdp,mdns,probe').split(','),
+			timeout: Math.min(parseInt(query.timeout) || 3000, 10000),
+			subnets
+		};
+
+		discover(discoverOptions).then(candidates => {
+			res.writeHead(200, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify(candidates));
+		});
+	});
+}
+
+if(require.main === module) {
+	let args = process.argv.slice(2);
+	let portIndex = args.indexOf('--port');
+	let port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : 8001;
+	let origins = args.filter((arg, i) => args[i - 1] === '--origin');
+	createServer({origins}).listen(port, () => {
+		console.log(`Discovery helper listening on http://localhost:${port}/discover`);
+	});
+}
+
+module.exports = {
+	createServer,
+	discover
+};
@@ -0,0 +1,150 @@
+/**
+ * mDNS discovery of Hue bridges.
+ *
+ * Queries the `_hue._tcp.local` service and collects the addresses of the
+ * answering devices. Only the parts of the DNS message format needed for
+ * that are implemented.
+ */
+
+const dgram = require('dgram');
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const SERVICE = '_hue._tcp.local';
+
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+
+function encodeName(name) {
+	let parts = name.split('.').map(label => {
+		let buffer = Buffer.alloc(label.length + 1);
+		buffer.writeUInt8(label.length, 0);
+		buffer.write(label, 1, 'ascii');
+		return buffer;
+	});
+	return Buffer.concat(parts.concat([Buffer.from([0])]));
+}
+
+function createQuery(name) {
+	let header = Buffer.alloc(12);
+	header.writeUInt16BE(1, 4); // one question
+	let question = Buffer.alloc(4);
+	question.writeUInt16BE(TYPE_PTR, 0);
+	question.writeUInt16BE(1, 2); // class IN
+	return Buffer.concat([header, encodeName(name), question]);
+}
+
+/**
+ * Reads a possibly compressed name.
+ *
+ * @return {Object} {name, offset} name and the offset after it
+ */
+function readName(buffer, offset) {
+	let labels = [];
+	let end = null;
+	for (let jumps = 0; jumps < 20; jumps++) {
+		let length = buffer.readUInt8(offset);
+		if(length === 0) {
+			offset += 1;
+			break;
+		}
+		if((length & 0xc0) === 0xc0) {
+			if(end === null) end = offset + 2;
+			offset = buffer.readUInt16BE(offset) & 0x3fff;
+			continue;
+		}
+		labels.push(buffer.toString('ascii', offset + 1, offset + 1 + length));
+		offset += length + 1;
+	}
+	return {name: labels.join('.'), offset: end !== null ? end : offset};
+}
+
+/**
+ * Parses the resource records of a DNS message.
+ *
+ * @return {Array} [{name, type, data}] where data is the address of A records
+ */
+function parseRecords(buffer) {
+	let questions = buffer.readUInt16BE(4);
+	let records = buffer.readUInt16BE(6) + buffer.readUInt16BE(8) + buffer.readUInt16BE(10);
+	let offset = 12;
+	let result = [];
+
+	for (let i = 0; i < questions; i++) {
+		offset = readName(buffer, offset).offset + 4;
+	}
+	for (let i = 0; i < records; i++) {
+		let {name, offset: next} = readName(buffer, offset);
+		let type = buffer.readUInt16BE(next);
+		let length = buffer.readUInt16BE(next + 8);
+		let dataOffset = next + 10;
+		let data = null;
+		if(type === TYPE_A && length === 4) {
+			data = Array.from(buffer.slice(dataOffset, dataOffset + 4)).join('.');
+		} else if(type === TYPE_PTR) {
+			data = readName(buffer, dataOffset).name;
+		}
+		result.push({name, type, data});
+		offset = dataOffset + length;
+	}
+	return result;
+}
+
+/**
+ * Searches for bridges.
+ *
+ * @param {Number} [timeout=3000] ms to wait for answers
+ * @return {Promise} resolves with [{internalipaddress, source}]
+ */
+function discover(timeout) {
+	timeout = timeout || 3000;
+
+	return new Promise(resolve => {
+		let found = {};
+		let socket = dgram.createSocket({type: 'udp4', reuseAddr: true});
+
+		socket.on('message', (message, rinfo) => {
+			let records;
+			try {
+				records = parseRecords(message);
+			} catch (e) {
+				return;
+			}
+			let isBridge = records.some(record => record.name.toLowerCase().indexOf(SERVICE) !== -1 ||
+				(record.data && String(record.data).toLowerCase().indexOf(SERVICE) !== -1));
+			if(!isBridge) return;
+
+			let addresses = records.filter(record => record.type === TYPE_A).map(record => record.data);
+			if(addresses.length === 0) addresses = [rinfo.address];
+			addresses.forEach(address => {
+				found[address] = {internalipaddress: address, source: 'mdns'};
+			});
+		});
+
+		socket.on('error', e => {
+			console.log('mDNS error', e.message);
+			socket.close();
+			resolve([]);
+		});
+
+		socket.bind(MDNS_PORT, () => {
+			try {
+				socket.addMembership(MDNS_ADDRESS);
+			} catch (e) {
+				// No multicast capable interface, the query may still get answers
+			}
+			let query = createQuery(SERVICE);
+			socket.send(query, 0, query.length, MDNS_PORT, MDNS_ADDRESS);
+			setTimeout(() => {
+				socket.close();
+				resolve(Object.keys(found).map(address => found[address]));
+			}, timeout);
+		});
+	});
+}
+
+module.exports = {
+	discover,
+	createQuery,
+	parseRecords
+};
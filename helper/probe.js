@@ -0,0 +1,112 @@
+/**
+ * Subnet probe for Hue bridges.
+ *
+ * Requests the unauthenticated `/api/config` of every address in the local
+ * /24 networks and keeps the hosts that answer like a bridge.
+ */
+
+const events = require('events');
+const http = require('http');
+const os = require('os');
+
+const CONCURRENCY = 32;
+
+/**
+ * Lists the /24 prefixes of the local IPv4 interfaces, eg. ['192.168.1'].
+ */
+function localSubnets() {
+	let interfaces = os.networkInterfaces();
+	let subnets = [];
+	Object.keys(interfaces).forEach(name => {
+		interfaces[name].forEach(address => {
+			if(address.family !== 'IPv4' && address.family !== 4) return;
+			if(address.internal) return;
+			let prefix = address.address.split('.').slice(0, 3).join('.');
+			if(subnets.indexOf(prefix) === -1) subnets.push(prefix);
+		});
+	});
+	return subnets;
+}
+
+/**
+ * Gets the unauthenticated config of a host.
+ *
+ * @param {String} address
+ * @param {Number} timeout ms without an answer until giving up
+ * @param {AbortSignal} [signal] aborts the request
+ * @return {Promise} resolves with the config, or null if the host is no bridge
+ */
+function getConfig(address, timeout, signal) {
+	return new Promise(resolve => {
+		// An aborted request doesn't always end or fail
+		let giveUp = () => {
+			request.abort();
+			resolve(null);
+		};
+		let request = http.get({host: address, path: '/api/config', timeout, signal}, response => {
+			let body = '';
+			response.setEncoding('utf8');
+			response.on('data', chunk => {
+				body += chunk;
+				if(body.length > 10000) giveUp();
+			});
+			response.on('end', () => {
+				try {
+					let config = JSON.parse(body);
+					resolve(config && config.bridgeid ? config : null);
+				} catch (e) {
+					resolve(null);
+				}
+			});
+		});
+		request.on('timeout', giveUp);
+		request.on('error', () => resolve(null));
+	});
+}
+
+/**
+ * Probes all hosts of the given subnets.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.subnets] /24 prefixes, the local ones by default
+ * @param {Number} [options.timeout=1000] ms per host
+ * @param {Number} [options.duration] ms until the requests still open are
+ *   aborted, the probe then resolves with the bridges found so far
+ * @return {Promise} resolves with [{internalipaddress, source}]
+ */
+function discover(options) {
+	options = Object.assign({timeout: 1000}, options);
+	let controller = new AbortController();
+	// Every running request listens to the signal
+	events.setMaxListeners(CONCURRENCY, controller.signal);
+	let timer = options.duration ? setTimeout(() => controller.abort(), options.duration) : null;
+	let subnets = options.subnets || localSubnets();
+	let addresses = [];
+	subnets.forEach(prefix => {
+		for (let i = 1; i < 255; i++) addresses.push(`${prefix}.${i}`);
+	});
+
+	let found = [];
+	let next = 0;
+	function worker() {
+		if(controller.signal.aborted || next >= addresses.length) return Promise.resolve();
+		let address = addresses[next++];
+		return getConfig(address, options.timeout, controller.signal).then(config => {
+			if(config) found.push({internalipaddress: address, source: 'probe'});
+			return worker();
+		});
+	}
+
+	let workers = [];
+	for (let i = 0; i < CONCURRENCY; i++) workers.push(worker());
+	return Promise.all(workers).then(() => {
+		clearTimeout(timer);
+		return found;
+	});
+}
+
+module.exports = {
+	discover,
+	getConfig,
+	localSubnets
+};
@@ -0,0 +1,72 @@
+/**
+ * SSDP/UPnP discovery of Hue bridges.
+ *
+ * Sends an M-SEARCH to the SSDP multicast group and collects the senders of
+ * responses that identify as a Hue bridge.
+ */
+
+const dgram = require('dgram');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+const M_SEARCH = [
+	'M-SEARCH * HTTP/1.1',
+	`HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+	'MAN: "ssdp:discover"',
+	'MX: 2',
+	'ST: ssdp:all',
+	'',
+	''
+].join('\r\n');
+
+function parseHeaders(message) {
+	let headers = {};
+	message.split('\r\n').slice(1).forEach(line => {
+		let index = line.indexOf(':');
+		if(index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+	});
+	return headers;
+}
+
+/**
+ * Searches for bridges.
+ *
+ * @param {Number} [timeout=3000] ms to wait for responses
+ * @return {Promise} resolves with [{internalipaddress, source}]
+ */
+function discover(timeout) {
+	timeout = timeout || 3000;
+
+	return new Promise(resolve => {
+		let found = {};
+		let socket = dgram.createSocket({type: 'udp4', reuseAddr: true});
+
+		socket.on('message', (message, rinfo) => {
+			let headers = parseHeaders(message.toString());
+			let isBridge = headers['hue-bridgeid'] !== undefined || /IpBridge/i.test(headers.server || '');
+			if(isBridge && !found[rinfo.address]) {
+				found[rinfo.address] = {internalipaddress: rinfo.address, source: 'ssdp'};
+			}
+		});
+
+		socket.on('error', e => {
+			console.log('SSDP error', e.message);
+			socket.close();
+			resolve([]);
+		});
+
+		socket.bind(() => {
+			let message = Buffer.from(M_SEARCH);
+			socket.send(message, 0, message.length, SSDP_PORT, SSDP_ADDRESS);
+			setTimeout(() => {
+				socket.close();
+				resolve(Object.keys(found).map(address => found[address]));
+			}, timeout);
+		});
+	});
+}
+
+module.exports = {
+	discover
+};
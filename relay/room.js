@@ -0,0 +1,111 @@
+/**
+ * A room of the session relay: the clients sharing a session and the state
+ * they share. Has no dependency on Node, the server in server.js passes
+ * each client a send function.
+ *
+ * Messages are JSON objects with a type. Clients send:
+ *
+ *   {type: 'set', key, value, base}    replace a value, base is the version the change is based on
+ *   {type: 'patch', key, value}        merge fields into a value, the last write of a field wins
+ *   {type: 'broadcast', value}         pass a value on to the others without keeping it
+ *
+ * and receive:
+ *
+ *   {type: 'welcome', id, clients, state: {key: {value, version}}}
+ *   {type: 'clients', clients: [{id, name}]}
+ *   {type: 'state', key, value, version, from}   a set was accepted, also sent to the client that set it
+ *   {type: 'conflict', key, value, version}      a set was based on an old version, value is the current one
+ *   {type: 'patch', key, value, version, from}
+ *   {type: 'broadcast', value, from}
+ *   {type: 'error', message}
+ */
+
+function createRoom() {
+	let clients = [];
+	// Keys are chosen by the clients, so no inherited ones like __proto__
+	let state = Object.create(null);
+	let nextId = 1;
+
+	function list() {
+		return clients.map(({id, name}) => ({id, name}));
+	}
+
+	function sendTo(filter, message) {
+		clients.filter(filter).forEach(client => client.send(message));
+	}
+
+	const HANDLERS = {
+		set: function (client, {key, value, base}) {
+			let entry = state[key] || {value: undefined, version: 0};
+			if(base !== entry.version) {
+				client.send({type: 'conflict', key, value: entry.value, version: entry.version});
+				return;
+			}
+			state[key] = {value, version: entry.version + 1};
+			sendTo(() => true, {type: 'state', key, value, version: state[key].version, from: client.id});
+		},
+
+		patch: function (client, {key, value}) {
+			if(value === null || typeof value !== 'object') {
+				client.send({type: 'error', message: `Patch of ${key} is no object`});
+				return;
+			}
+			let entry = state[key] = state[key] || {value: {}, version: 0};
+			Object.assign(entry.value, value);
+			entry.version++;
+			sendTo(other => other !== client, {type: 'patch', key, value, version: entry.version, from: client.id});
+		},
+
+		broadcast: function (client, {value}) {
+			sendTo(other => other !== client, {type: 'broadcast', value, from: client.id});
+		}
+	};
+
+	return {
+		/**
+		 * Adds a client and welcomes it with the shared state.
+		 *
+		 * @param {Object} client
+		 * @param {String} [client.name]
+		 * @param {Function} client.send (message) => void
+		 * @return {Number} client id
+		 */
+		join: function ({name, send}) {
+			let client = {id: nextId++, name: name || 'anonymous', send};
+			clients.push(client);
+			send({type: 'welcome', id: client.id, clients: list(), state: JSON.parse(JSON.stringify(state))});
+			sendTo(other => other !== client, {type: 'clients', clients: list()});
+			return client.id;
+		},
+
+		leave: function (id) {
+			clients = clients.filter(client => client.id !== id);
+			sendTo(() => true, {type: 'clients', clients: list()});
+		},
+
+		/**
+		 * Handles a message of a client.
+		 *
+		 * @param {Number} id
+		 * @param {Object} message
+		 */
+		handle: function (id, message) {
+			let client = clients.find(client => client.id === id);
+			if(client === undefined) return;
+			let handler = message && typeof message === 'object' && HANDLERS.hasOwnProperty(message.type) ? HANDLERS[message.type] : undefined;
+			if(handler === undefined) {
+				client.send({type: 'error', message: `Unknown message type ${message && message.type}`});
+			} else if(message.type !== 'broadcast' && typeof message.key !== 'string') {
+				client.send({type: 'error', message: `${message.type} without key`});
+			} else {
+				handler(client, message);
+			}
+		},
+
+		clients: list
+	};
+}
+
+module.exports = {
+	createRoom
+};
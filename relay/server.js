@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Session relay, so several browsers share one session of the app.
+ *
+ * Clients connect with a WebSocket to a room, named by the path:
+ *
+ *   ws://localhost:8002/<room>?name=<client name>
+ *
+ * and share the values set in it, see room.js for the messages. A room is
+ * forgotten when its last client leaves. GET /rooms lists the open rooms.
+ *
+ * The relay listens on localhost and takes connections from pages served
+ * from localhost only, other pages could overwrite the shared layout. Pass
+ * --host to listen on the network and --origin for each origin the app is
+ * served from.
+ *
+ * Usage: node relay/server.js [--port 8002] [--host 0.0.0.0] [--origin http://nypad:8080]
+ */
+
+const http = require('http');
+const url = require('url');
+const websocket = require('./websocket');
+const {createRoom} = require('./room');
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether a page of an origin may join rooms. Clients other than browsers
+ * send no origin.
+ *
+ * @param {String} [origin] Origin header
+ * @param {Array} origins allowed origins besides the ones on localhost
+ */
+function allowedOrigin(origin, origins) {
+	if(origin === undefined || origins.indexOf(origin) !== -1) return true;
+	let {hostname} = url.parse(origin);
+	return LOCAL_HOSTNAMES.indexOf(hostname) !== -1;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Array} [options.origins] origins of the app besides the ones on localhost
+ */
+function createServer(options) {
+	options = Object.assign({origins: []}, options);
+	// Room names are chosen by the clients, so no inherited ones like __proto__
+	let rooms = Object.create(null);
+
+	let server = http.createServer((req, res) => {
+		let origin = req.headers.origin;
+		if(origin !== undefined && allowedOrigin(origin, options.origins)) {
+			res.setHeader('Access-Control-Allow-Origin', origin);
+			res.setHeader('Vary', 'Origin');
+		}
+		let {pathname} = url.parse(req.url);
+
+		if(req.method === 'GET' && pathname === '/rooms') {
+			res.writeHead(200, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify(Object.keys(rooms).map(name => ({name, clients: rooms[name].clients()}))));
+			return;
+		}
+		res.writeHead(426, {'Content-Type': 'application/json', 'Upgrade': 'websocket'});
+		res.end(JSON.stringify({error: 'connect with a WebSocket'}));
+	});
+
+	server.on('upgrade', (req, socket) => {
+		if(!allowedOrigin(req.headers.origin, options.origins)) {
+			socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+			return;
+		}
+		let {pathname, query} = url.parse(req.url, true);
+		let name;
+		try {
+			name = decodeURIComponent(pathname.slice(1)) || 'default';
+		} catch (e) {
+			socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+			return;
+		}
+		let connection = websocket.accept(req, socket);
+		if(!connection) return;
+
+		let room = rooms[name] = rooms[name] || createRoom();
+		let id = room.join({name: query.name, send: message => connection.send(JSON.stringify(message))});
+		console.log(`${query.name || 'anonymous'} joined ${name}, ${room.clients().length} clients`);
+
+		connection.on('message', text => {
+			let message;
+			try {
+				message = JSON.parse(text);
+			} catch (e) {
+				connection.close(websocket.CLOSE_CODES.invalidData);
+				return;
+			}
+			try {
+				room.handle(id, message);
+			} catch (e) {
+				console.log(`Message of ${query.name || 'anonymous'} failed:`, e.message);
+				connection.send(JSON.stringify({type: 'error', message: e.message}));
+			}
+		});
+		connection.on('close', () => {
+			room.leave(id);
+			if(room.clients().length === 0 && rooms[name] === room) delete rooms[name];
+			console.log(`${query.name || 'anonymous'} left ${name}`);
+		});
+		connection.on('error', e => console.log('Connection error:', e.message));
+	});
+
+	return server;
+}
+
+if(require.main === module) {
+	let args = process.argv.slice(2);
+	let portIndex = args.indexOf('--port');
+	let port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : 8002;
+	let hostIndex = args.indexOf('--host');
+	let host = hostIndex !== -1 ? args[hostIndex + 1] : 'localhost';
+	let origins = args.filter((arg, i) => args[i - 1] === '--origin');
+
+	createServer({origins}).listen(port, host, () => {
+		console.log(`Session relay listening on ws://${host}:${port}/<room>`);
+	});
+}
+
+module.exports = {
+	createServer
+};
@@ -0,0 +1,200 @@
+/**
+ * Minimal WebSocket server side (RFC 6455), enough for the session relay.
+ *
+ * Handles the opening handshake, masked client frames, fragmented text
+ * messages, ping/pong and the closing handshake. Binary messages and
+ * extensions are not supported.
+ *
+ *   server.on('upgrade', (req, socket) => {
+ *     let connection = accept(req, socket);
+ *     connection.on('message', text => connection.send(text));
+ *     connection.on('close', code => …);
+ *   });
+ */
+
+const crypto = require('crypto');
+const {EventEmitter} = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = {continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10};
+const CLOSE_CODES = {normal: 1000, protocolError: 1002, unsupported: 1003, invalidData: 1007, tooBig: 1009};
+const MAX_MESSAGE_SIZE = 1 << 20;
+
+/**
+ * Encodes a server frame, which is never masked.
+ *
+ * @param {Number} opcode
+ * @param {Buffer} payload
+ * @return {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+	let header;
+	if(payload.length < 126) {
+		header = Buffer.from([0x80 | opcode, payload.length]);
+	} else if(payload.length < 65536) {
+		header = Buffer.alloc(4);
+		header[1] = 126;
+		header.writeUInt16BE(payload.length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header[1] = 127;
+		header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+		header.writeUInt32BE(payload.length % 0x100000000, 6);
+	}
+	header[0] = 0x80 | opcode;
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes the frame at the start of a buffer.
+ *
+ * @param {Buffer} buffer
+ * @return {Object|null} {fin, opcode, masked, length, payload, size}, null if the frame is incomplete,
+ *   without payload if the frame is larger than MAX_MESSAGE_SIZE
+ */
+function decodeFrame(buffer) {
+	if(buffer.length < 2) return null;
+	let fin = (buffer[0] & 0x80) !== 0;
+	let opcode = buffer[0] & 0x0f;
+	let masked = (buffer[1] & 0x80) !== 0;
+	let length = buffer[1] & 0x7f;
+	let offset = 2;
+	if(length === 126) {
+		if(buffer.length < 4) return null;
+		length = buffer.readUInt16BE(2);
+		offset = 4;
+	} else if(length === 127) {
+		if(buffer.length < 10) return null;
+		length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+		offset = 10;
+	}
+	if(length > MAX_MESSAGE_SIZE) return {fin, opcode, masked, length};
+
+	let mask;
+	if(masked) {
+		if(buffer.length < offset + 4) return null;
+		mask = buffer.slice(offset, offset + 4);
+		offset += 4;
+	}
+	if(buffer.length < offset + length) return null;
+	let payload = Buffer.from(buffer.slice(offset, offset + length));
+	if(mask) {
+		for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+	}
+	return {fin, opcode, masked, length, payload, size: offset + length};
+}
+
+function createConnection(socket) {
+	let connection = new EventEmitter();
+	let buffer = Buffer.alloc(0);
+	let fragments = [];
+	let closed = false;
+
+	function write(opcode, payload) {
+		if(!closed) socket.write(encodeFrame(opcode, payload));
+	}
+
+	function close(code) {
+		if(closed) return;
+		let payload = Buffer.alloc(2);
+		payload.writeUInt16BE(code, 0);
+		write(OPCODES.close, payload);
+		closed = true;
+		socket.end();
+	}
+
+	function handle(frame) {
+		// Clients must mask their frames
+		if(!frame.masked) return close(CLOSE_CODES.protocolError);
+		switch (frame.opcode) {
+			case OPCODES.text:
+			case OPCODES.continuation: {
+				if((frame.opcode === OPCODES.text) !== (fragments.length === 0)) return close(CLOSE_CODES.protocolError);
+				fragments.push(frame.payload);
+				let size = fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+				if(size > MAX_MESSAGE_SIZE) return close(CLOSE_CODES.tooBig);
+				if(!frame.fin) return;
+				let text = Buffer.concat(fragments).toString('utf8');
+				fragments = [];
+				connection.emit('message', text);
+				return;
+			}
+			case OPCODES.binary:
+				return close(CLOSE_CODES.unsupported);
+			case OPCODES.ping:
+				return write(OPCODES.pong, frame.payload);
+			case OPCODES.pong:
+				return;
+			case OPCODES.close:
+				return close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : CLOSE_CODES.normal);
+			default:
+				return close(CLOSE_CODES.protocolError);
+		}
+	}
+
+	socket.on('data', chunk => {
+		buffer = Buffer.concat([buffer, chunk]);
+		let frame;
+		while (!closed && (frame = decodeFrame(buffer))) {
+			if(frame.payload === undefined) return close(CLOSE_CODES.tooBig);
+			buffer = buffer.slice(frame.size);
+			handle(frame);
+		}
+	});
+	socket.on('close', () => {
+		closed = true;
+		connection.emit('close');
+	});
+	socket.on('error', e => connection.emit('error', e));
+
+	/**
+	 * Sends a text message.
+	 *
+	 * @param {String} text
+	 */
+	connection.send = text => write(OPCODES.text, Buffer.from(text, 'utf8'));
+
+	/**
+	 * Starts the closing handshake.
+	 *
+	 * @param {Number} [code]
+	 */
+	connection.close = (code = CLOSE_CODES.normal) => close(code);
+
+	return connection;
+}
+
+/**
+ * Completes the handshake of an HTTP upgrade request.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @return {EventEmitter|null} connection with send and close, emitting message and close,
+ *   null if the request is no WebSocket handshake
+ */
+function accept(req, socket) {
+	let key = req.headers['sec-websocket-key'];
+	if(!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+		socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+		return null;
+	}
+	let digest = crypto.createHash('sha1').update(key + GUID).digest('base64');
+	socket.write([
+		'HTTP/1.1 101 Switching Protocols',
+		'Upgrade: websocket',
+		'Connection: Upgrade',
+		`Sec-WebSocket-Accept: ${digest}`,
+		'',
+		''
+	].join('\r\n'));
+	socket.setNoDelay(true);
+	return createConnection(socket);
+}
+
+module.exports = {
+	accept,
+	encodeFrame,
+	decodeFrame,
+	CLOSE_CODES,
+	MAX_MESSAGE_SIZE
+};
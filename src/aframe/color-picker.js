@@ -0,0 +1,143 @@
+/**
+ * Color picker widget above the trackpad of a controller.
+ *
+ * Shows a hue/saturation wheel (angle = hue, radius = saturation) or a color
+ * temperature bar, a marker for the picked color, a brightness slider and the
+ * favourite colors. The widget only displays the picker state, the app maps
+ * the controller input to it.
+ *
+ *   <a-entity vive-controls color-picker="visible: true; mode: color; hue: 120; saturation: 0.5">
+ */
+import {miredToRgb} from '../color.js';
+
+const RADIUS = 0.035; // of the wheel, in meters
+const TEXTURE_SIZE = 128;
+
+function drawWheel(context) {
+	let image = context.createImageData(TEXTURE_SIZE, TEXTURE_SIZE);
+	let center = TEXTURE_SIZE / 2;
+	for (let y = 0; y < TEXTURE_SIZE; y++) {
+		for (let x = 0; x < TEXTURE_SIZE; x++) {
+			// Canvas y points down, the wheel's y up
+			let dx = (x - center) / center;
+			let dy = (center - y) / center;
+			let saturation = Math.min(1, Math.sqrt(dx * dx + dy * dy));
+			let color = new THREE.Color().setHSL(Math.atan2(dy, dx) / (2 * Math.PI) + 1, 1, 1 - saturation / 2);
+			let i = (y * TEXTURE_SIZE + x) * 4;
+			image.data[i] = color.r * 255;
+			image.data[i + 1] = color.g * 255;
+			image.data[i + 2] = color.b * 255;
+			image.data[i + 3] = 255;
+		}
+	}
+	context.putImageData(image, 0, 0);
+}
+
+function drawTemperature(context, ctMin, ctMax) {
+	// Cold (low mireds) on the left, warm on the right
+	for (let x = 0; x < TEXTURE_SIZE; x++) {
+		let [r, g, b] = miredToRgb(ctMin + (ctMax - ctMin) * x / (TEXTURE_SIZE - 1));
+		context.fillStyle = `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+		context.fillRect(x, 0, 1, TEXTURE_SIZE);
+	}
+}
+
+export default {
+	schema: {
+		visible: {default: false},
+		mode: {default: 'color', oneOf: ['color', 'temperature', 'brightness']},
+		hue: {default: 0}, // degrees
+		saturation: {default: 1, min: 0, max: 1},
+		brightness: {default: 1, min: 0, max: 1},
+		ct: {default: 366},
+		ctMin: {default: 153},
+		ctMax: {default: 500},
+		color: {default: '#fff'}, // picked color, for the marker
+		favorites: {type: 'array'} // hex colors
+	},
+
+	init: function () {
+		this.canvas = document.createElement('canvas');
+		this.canvas.width = this.canvas.height = TEXTURE_SIZE;
+		this.texture = new THREE.Texture(this.canvas);
+
+		this.group = new THREE.Group();
+		// Lie flat above the trackpad, like the scene menu
+		this.group.position.set(0, 0.02, 0.05);
+		this.group.rotation.x = -Math.PI / 2;
+
+		this.wheel = new THREE.Mesh(new THREE.CircleGeometry(RADIUS, 48), new THREE.MeshBasicMaterial({map: this.texture}));
+		this.bar = new THREE.Mesh(new THREE.PlaneGeometry(2 * RADIUS, RADIUS / 2), new THREE.MeshBasicMaterial({map: this.texture}));
+		this.marker = new THREE.Mesh(new THREE.RingGeometry(0.003, 0.005, 16), new THREE.MeshBasicMaterial({color: '#fff'}));
+		this.marker.position.z = 0.001;
+
+		// Brightness slider right of the wheel, filled from the bottom
+		this.slider = new THREE.Mesh(new THREE.PlaneGeometry(0.006, 2 * RADIUS), new THREE.MeshBasicMaterial({color: '#333'}));
+		this.slider.position.x = RADIUS + 0.01;
+		this.sliderFill = new THREE.Mesh(new THREE.PlaneGeometry(0.006, 2 * RADIUS), new THREE.MeshBasicMaterial({color: '#fff'}));
+		this.sliderFill.position.set(RADIUS + 0.01, 0, 0.001);
+
+		this.favorites = new THREE.Group();
+		this.group.add(this.wheel, this.bar, this.marker, this.slider, this.sliderFill, this.favorites);
+		this.el.setObject3D('color-picker', this.group);
+	},
+
+	update: function (oldData) {
+		let data = this.data;
+		this.group.visible = data.visible;
+
+		if(data.mode !== oldData.mode || data.ctMin !== oldData.ctMin || data.ctMax !== oldData.ctMax) {
+			let context = this.canvas.getContext('2d');
+			if(data.mode === 'temperature') drawTemperature(context, data.ctMin, data.ctMax);
+			else drawWheel(context);
+			this.texture.needsUpdate = true;
+		}
+		this.wheel.visible = data.mode === 'color';
+		this.bar.visible = data.mode === 'temperature';
+		this.marker.visible = data.mode !== 'brightness';
+
+		if(data.mode === 'color') {
+			let angle = data.hue * Math.PI / 180;
+			this.marker.position.x = Math.cos(angle) * data.saturation * RADIUS;
+			this.marker.position.y = Math.sin(angle) * data.saturation * RADIUS;
+		} else {
+			this.marker.position.x = ((data.ct - data.ctMin) / (data.ctMax - data.ctMin) * 2 - 1) * RADIUS;
+			this.marker.position.y = 0;
+		}
+		this.marker.material.color.set(data.color);
+
+		let fill = Math.max(0.01, data.brightness);
+		this.sliderFill.scale.y = fill;
+		this.sliderFill.position.y = -RADIUS * (1 - fill);
+
+		if(data.favorites.join() !== (oldData.favorites || []).join()) this.updateFavorites();
+	},
+
+	updateFavorites: function () {
+		this.favorites.children.slice().forEach(swatch => {
+			this.favorites.remove(swatch);
+			swatch.material.dispose();
+		});
+		if(!this.swatchGeometry) this.swatchGeometry = new THREE.CircleGeometry(0.005, 16);
+		// Swatches along the lower edge of the wheel
+		let favorites = this.data.favorites.filter(color => color);
+		let count = favorites.length;
+		favorites.forEach((color, i) => {
+			let angle = -Math.PI / 2 + (i - (count - 1) / 2) * 0.3;
+			let swatch = new THREE.Mesh(this.swatchGeometry, new THREE.MeshBasicMaterial({color}));
+			swatch.position.set(Math.cos(angle) * (RADIUS + 0.012), Math.sin(angle) * (RADIUS + 0.012), 0);
+			this.favorites.add(swatch);
+		});
+	},
+
+	remove: function () {
+		this.el.removeObject3D('color-picker');
+		this.texture.dispose();
+		[this.wheel, this.bar, this.marker, this.slider, this.sliderFill].forEach(mesh => {
+			mesh.geometry.dispose();
+			mesh.material.dispose();
+		});
+		this.favorites.children.forEach(swatch => swatch.material.dispose());
+		if(this.swatchGeometry) this.swatchGeometry.dispose();
+	}
+};
@@ -0,0 +1,107 @@
+/**
+ * Normalised input of a hand controller, see input.js.
+ *
+ * Sets up the controller components for every supported controller type,
+ * the one matching the connected controller becomes active. Standard
+ * gamepads are polled on the right hand. Their events are re-emitted as
+ *
+ *   inputconnected {type}
+ *   inputdown / inputup {input, type}
+ *   inputaxis {axis: [x, y], type} primary axis, y up
+ *   inputchanged {input: 'trigger', value, type}
+ *
+ *   <a-entity controller-input="hand: right" @inputdown="…">
+ */
+import {PROFILES, inputOfEvent, primaryAxis} from '../input.js';
+
+const STICK_TOUCH = 0.2; // Stick deflection that counts as the thumb on the stick
+
+export default {
+	schema: {
+		hand: {default: 'right'}
+	},
+
+	init: function () {
+		this.type = undefined;
+		this.gamepadButtons = [];
+		this.gamepadTouched = false;
+
+		this.onConnected = evt => this.connect(evt.detail.name);
+		this.onButton = evt => {
+			let event = inputOfEvent(this.type, evt.type);
+			if(event) this.emitButton(event.input, event.down);
+		};
+		this.onAxis = evt => {
+			let axis = primaryAxis(this.type, evt.detail.axis);
+			if(axis) this.el.emit('inputaxis', {axis, type: this.type});
+		};
+		this.onTrigger = evt => this.el.emit('inputchanged', {input: 'trigger', value: evt.detail.value, type: this.type});
+
+		this.el.addEventListener('controllerconnected', this.onConnected);
+		this.el.addEventListener('axismove', this.onAxis);
+		this.el.addEventListener('triggerchanged', this.onTrigger);
+		this.buttonEvents().forEach(name => this.el.addEventListener(name, this.onButton));
+
+		// Windows Mixed Reality controllers came with A-Frame 0.7
+		Object.keys(PROFILES)
+			.filter(type => AFRAME.components[type] !== undefined)
+			.forEach(type => this.el.setAttribute(type, {hand: this.data.hand}));
+	},
+
+	buttonEvents: function () {
+		// Events of all buttons of all controller components
+		let names = [];
+		Object.keys(PROFILES).forEach(type => {
+			let profile = PROFILES[type];
+			Object.keys(profile.events || {}).forEach(button => names.push(`${button}down`, `${button}up`));
+			Object.keys(profile.touch || {}).forEach(button => names.push(`${button}touchstart`, `${button}touchend`));
+		});
+		return names.filter((name, i) => names.indexOf(name) === i);
+	},
+
+	connect: function (type) {
+		if(PROFILES[type] === undefined || this.type === type) return;
+		this.type = type;
+		this.el.emit('inputconnected', {type});
+	},
+
+	emitButton: function (input, down) {
+		this.el.emit(down ? 'inputdown' : 'inputup', {input, type: this.type});
+	},
+
+	tick: function () {
+		// Gamepads don't go through a controller component, poll them
+		if(this.data.hand !== 'right' || (this.type !== undefined && this.type !== 'gamepad') || !navigator.getGamepads) return;
+		let gamepad = Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected && gamepad.mapping === 'standard' && !gamepad.pose);
+		if(!gamepad) return;
+		this.connect('gamepad');
+
+		let profile = PROFILES.gamepad;
+		Object.keys(profile.buttons).forEach(index => {
+			let button = gamepad.buttons[index];
+			if(!button || button.pressed === !!this.gamepadButtons[index]) return;
+			this.gamepadButtons[index] = button.pressed;
+			this.emitButton(profile.buttons[index], button.pressed);
+		});
+		let trigger = gamepad.buttons[7];
+		if(trigger && trigger.value !== this.gamepadTrigger) {
+			this.gamepadTrigger = trigger.value;
+			this.el.emit('inputchanged', {input: 'trigger', value: trigger.value, type: 'gamepad'});
+		}
+
+		let axis = primaryAxis('gamepad', gamepad.axes);
+		let touched = Math.sqrt(axis[0] * axis[0] + axis[1] * axis[1]) > STICK_TOUCH;
+		if(touched) this.el.emit('inputaxis', {axis, type: 'gamepad'});
+		if(touched !== this.gamepadTouched) {
+			this.gamepadTouched = touched;
+			this.emitButton('primaryTouch', touched);
+		}
+	},
+
+	remove: function () {
+		this.el.removeEventListener('controllerconnected', this.onConnected);
+		this.el.removeEventListener('axismove', this.onAxis);
+		this.el.removeEventListener('triggerchanged', this.onTrigger);
+		this.buttonEvents().forEach(name => this.el.removeEventListener(name, this.onButton));
+	}
+};
@@ -0,0 +1,25 @@
+/**
+ * Line through a list of points, used to show the outlines others draw in
+ * a shared session.
+ *
+ *   <a-entity polyline="points: 0 1 0, 0.1 1.1 0, 0.2 1 0; color: #f00">
+ */
+export default {
+	schema: {
+		points: {default: ''},
+		color: {default: '#fff'}
+	},
+
+	update: function () {
+		let geometry = new THREE.Geometry();
+		geometry.vertices = this.data.points.split(',').filter(point => point.trim()).map(point => {
+			let [x, y, z] = point.trim().split(/\s+/).map(parseFloat);
+			return new THREE.Vector3(x, y, z);
+		});
+		this.el.setObject3D('polyline', new THREE.Line(geometry, new THREE.LineBasicMaterial({color: this.data.color})));
+	},
+
+	remove: function () {
+		this.el.removeObject3D('polyline');
+	}
+};
@@ -0,0 +1,25 @@
+/**
+ * Prism geometry: a polygon on the floor extruded upwards, used to show
+ * group volumes.
+ *
+ *   <a-entity geometry="primitive: prism; points: 0 0, 1 0, 1 1; height: 2.5">
+ *
+ * Points are x z pairs, the prism starts at the entity's y position.
+ */
+export default {
+	schema: {
+		points: {default: '0 0, 1 0, 1 1, 0 1'},
+		height: {default: 1, min: 0}
+	},
+
+	init: function (data) {
+		let points = data.points.split(',').map(pair => {
+			let [x, z] = pair.trim().split(/\s+/).map(parseFloat);
+			// The shape's y axis points to -z once it is rotated onto the floor
+			return new THREE.Vector2(x, -z);
+		});
+		let geometry = new THREE.ExtrudeGeometry(new THREE.Shape(points), {amount: data.height, bevelEnabled: false});
+		geometry.rotateX(-Math.PI / 2);
+		this.geometry = geometry;
+	}
+};
@@ -0,0 +1,116 @@
+/**
+ * Records and replays the hand controllers, see recording.js.
+ *
+ * Replays set the poses of the hand entities and emit their recorded input
+ * events, so the app reacts like to a person holding the controllers. Use
+ * it without controllers connected, their tracking would override the
+ * replayed poses.
+ *
+ *   <a-scene session-recorder="hands: #rightHand, #leftHand">
+ *
+ *   let recorder = scene.components['session-recorder'];
+ *   recorder.record();
+ *   let recording = recorder.stop();
+ *   recorder.play(recording); // emits replayended on the scene
+ *
+ * With manual: true replays only advance with advance(ms), for tests
+ * that keep the time themselves. The app samples the controllers with the
+ * component's clock, which then moves on with the replay as well.
+ */
+import {createRecorder, createPlayer, EVENTS} from '../recording.js';
+import {createClock, createManualClock} from '../clock.js';
+
+export default {
+	schema: {
+		hands: {type: 'selectorAll', default: '#rightHand, #leftHand'},
+		interval: {default: 20}, // min time between recorded poses, in ms
+		speed: {default: 1},
+		manual: {default: false}
+	},
+
+	init: function () {
+		this.recorder = null;
+		this.player = null;
+		this.clock = this.data.manual ? createManualClock() : createClock();
+		this.sinceSample = 0;
+		this.onEvent = evt => {
+			if(this.recorder && !this.replaying) this.recorder.addEvent(evt.target.id, evt.type, evt.detail);
+		};
+	},
+
+	hands: function () {
+		return Array.from(this.data.hands || []);
+	},
+
+	record: function () {
+		this.recorder = createRecorder();
+		this.hands().forEach(hand => {
+			EVENTS.forEach(event => hand.addEventListener(event, this.onEvent));
+			// The controller was connected before, replays need to know its type
+			let input = hand.components['controller-input'];
+			if(input && input.type) this.recorder.addEvent(hand.id, 'inputconnected', {type: input.type});
+			this.samplePose(hand);
+		});
+	},
+
+	stop: function () {
+		if(!this.recorder) return;
+		this.hands().forEach(hand => EVENTS.forEach(event => hand.removeEventListener(event, this.onEvent)));
+		let recording = this.recorder.stop();
+		this.recorder = null;
+		return recording;
+	},
+
+	samplePose: function (hand) {
+		let {position, rotation} = hand.object3D;
+		let degrees = angle => angle * 180 / Math.PI;
+		this.recorder.addPose(hand.id, position, {x: degrees(rotation.x), y: degrees(rotation.y), z: degrees(rotation.z)});
+	},
+
+	play: function (recording) {
+		let hands = {};
+		this.hands().forEach(hand => {
+			hands[hand.id] = hand;
+		});
+		this.player = createPlayer(recording, frame => {
+			let hand = hands[frame.hand];
+			if(!hand) return;
+			if(frame.pose) {
+				hand.setAttribute('position', frame.pose.position);
+				hand.setAttribute('rotation', frame.pose.rotation);
+			} else {
+				this.replaying = true;
+				hand.emit(frame.event, frame.detail);
+				this.replaying = false;
+			}
+		}, {clock: this.data.manual ? this.clock : undefined});
+	},
+
+	stopReplay: function () {
+		this.player = null;
+	},
+
+	advance: function (ms) {
+		if(!this.player) {
+			if(this.data.manual) this.clock.advance(ms);
+			return true;
+		}
+		let finished = this.player.advance(ms);
+		if(finished) {
+			this.player = null;
+			this.el.emit('replayended');
+		}
+		return finished;
+	},
+
+	tick: function (time, delta) {
+		if(this.recorder) {
+			this.sinceSample += delta;
+			if(this.sinceSample >= this.data.interval) {
+				this.sinceSample = 0;
+				this.hands().forEach(hand => this.samplePose(hand));
+			}
+		}
+		if(this.player && !this.data.manual) this.advance(delta * this.data.speed);
+	}
+};
@@ -0,0 +1,317 @@
+/**
+ * Audio analysis for lights reacting to music.
+ *
+ * Spectra are linear magnitudes per frequency bin, like the float frequency
+ * data of a Web Audio AnalyserNode converted from dB (see fromDecibels). The
+ * analysis turns them into a level in [0, 1] per frequency band, scaled to
+ * the loudest recent moment, and beat onsets:
+ *
+ *   let analysis = createAnalysis({sampleRate, fftSize});
+ *   let frame = analysis.update(spectrum, time); // {time, levels: {bass, mid, high}, beats: {bass: true, …}}
+ *   let states = lightStates(lights, frame); // {rgb, bri} by light key
+ *
+ * analyseSamples runs the same analysis on decoded samples, with an FFT
+ * matching the analyser's, so audio files give the same frames every time.
+ */
+
+const BANDS = [
+	{name: 'bass', min: 20, max: 250, color: [1, 0.1, 0]},
+	{name: 'mid', min: 250, max: 2000, color: [0.2, 1, 0.1]},
+	{name: 'high', min: 2000, max: 16000, color: [0.1, 0.3, 1]}
+];
+
+const DEFAULTS = {
+	fftSize: 2048,
+	bands: BANDS,
+	smoothing: 0.25, // time for a level to fall to a third, in seconds
+	peakDecay: 10, // time for the peak level to fall to a third, in seconds
+	beatThreshold: 1.5, // energy against the average of the beat window that is a beat
+	beatWindow: 1, // in seconds
+	beatInterval: 0.25, // shortest time between two beats of a band, in seconds
+	minEnergy: 1e-4 // quieter sounds are silence, no beats or levels
+};
+
+// Axes of the room the bands are spread along, low bands at the low end
+const AXES = {
+	height: 'y',
+	'left to right': 'x',
+	'front to back': 'z'
+};
+
+/**
+ * Linear magnitudes of the dB values of AnalyserNode.getFloatFrequencyData.
+ *
+ * @param {Float32Array} decibels
+ * @return {Array}
+ */
+function fromDecibels(decibels) {
+	return Array.from(decibels, value => value === -Infinity ? 0 : Math.pow(10, value / 20));
+}
+
+/**
+ * In place radix-2 FFT.
+ *
+ * @param {Float64Array} re length is a power of 2
+ * @param {Float64Array} im
+ */
+function fft(re, im) {
+	let n = re.length;
+	for (let i = 1, j = 0; i < n; i++) {
+		let bit = n >> 1;
+		for (; j & bit; bit >>= 1) j ^= bit;
+		j ^= bit;
+		if(i < j) {
+			[re[i], re[j]] = [re[j], re[i]];
+			[im[i], im[j]] = [im[j], im[i]];
+		}
+	}
+	for (let size = 2; size <= n; size <<= 1) {
+		let angle = -2 * Math.PI / size;
+		for (let start = 0; start < n; start += size) {
+			for (let k = 0; k < size / 2; k++) {
+				let cos = Math.cos(angle * k);
+				let sin = Math.sin(angle * k);
+				let a = start + k;
+				let b = a + size / 2;
+				let tre = re[b] * cos - im[b] * sin;
+				let tim = re[b] * sin + im[b] * cos;
+				re[b] = re[a] - tre;
+				im[b] = im[a] - tim;
+				re[a] += tre;
+				im[a] += tim;
+			}
+		}
+	}
+}
+
+/**
+ * Magnitude spectrum of a block of samples, windowed and scaled like the
+ * AnalyserNode does (Blackman window, magnitudes divided by the size).
+ *
+ * @param {Float32Array} samples
+ * @param {Number} offset first sample of the block
+ * @param {Number} fftSize
+ * @return {Array} fftSize / 2 magnitudes
+ */
+function spectrumOf(samples, offset, fftSize) {
+	let re = new Float64Array(fftSize);
+	let im = new Float64Array(fftSize);
+	for (let i = 0; i < fftSize; i++) {
+		let a = 2 * Math.PI * i / fftSize;
+		let window = 0.42 - 0.5 * Math.cos(a) + 0.08 * Math.cos(2 * a);
+		re[i] = (samples[offset + i] || 0) * window;
+	}
+	fft(re, im);
+	let magnitudes = [];
+	for (let k = 0; k < fftSize / 2; k++) {
+		magnitudes.push(Math.sqrt(re[k] * re[k] + im[k] * im[k]) / fftSize);
+	}
+	return magnitudes;
+}
+
+/**
+ * RMS of the magnitudes per band.
+ *
+ * @param {Array} spectrum fftSize / 2 magnitudes
+ * @param {Number} sampleRate
+ * @param {Array} bands [{name, min, max}] in Hz
+ * @return {Object} energy by band name
+ */
+function bandEnergies(spectrum, sampleRate, bands) {
+	let binWidth = sampleRate / 2 / spectrum.length;
+	let energies = {};
+	bands.forEach(({name, min, max}) => {
+		let first = Math.max(0, Math.floor(min / binWidth));
+		let last = Math.min(spectrum.length - 1, Math.ceil(max / binWidth));
+		let sum = 0;
+		for (let k = first; k <= last; k++) sum += spectrum[k] * spectrum[k];
+		energies[name] = last >= first ? Math.sqrt(sum / (last - first + 1)) : 0;
+	});
+	return energies;
+}
+
+/**
+ * Creates an analysis keeping the levels and beat history of a stream of spectra.
+ *
+ * @param {Object} options see DEFAULTS, and
+ * @param {Number} options.sampleRate
+ * @return {Object} analysis with update(spectrum, time)
+ */
+function createAnalysis(options) {
+	options = Object.assign({}, DEFAULTS, options);
+	let {bands} = options;
+	let levels = {};
+	let peaks = {};
+	let history = {};
+	let lastBeats = {};
+	let lastTime;
+	bands.forEach(({name}) => {
+		levels[name] = 0;
+		peaks[name] = options.minEnergy;
+		history[name] = [];
+		lastBeats[name] = -Infinity;
+	});
+
+	return {
+		/**
+		 * Adds the spectrum at a time.
+		 *
+		 * @param {Array} spectrum linear magnitudes
+		 * @param {Number} time in seconds, increasing
+		 * @return {Object} {time, levels, beats} levels in [0, 1] by band name, beats only has the bands with an onset
+		 */
+		update: function (spectrum, time) {
+			let dt = lastTime === undefined ? 0 : Math.max(0, time - lastTime);
+			lastTime = time;
+			let energies = bandEnergies(spectrum, options.sampleRate, bands);
+			let fall = options.smoothing > 0 ? Math.exp(-dt / options.smoothing) : 0;
+			let peakFall = Math.exp(-dt / options.peakDecay);
+			let beats = {};
+
+			bands.forEach(({name}) => {
+				let energy = energies[name];
+				peaks[name] = Math.max(energy, peaks[name] * peakFall, options.minEnergy);
+				let level = energy < options.minEnergy ? 0 : energy / peaks[name];
+				// Levels rise right away and fall smoothly
+				levels[name] = Math.max(level, levels[name] * fall);
+
+				let recent = history[name] = history[name].filter(entry => entry.time > time - options.beatWindow);
+				let average = recent.reduce((sum, entry) => sum + entry.energy, 0) / (recent.length || 1);
+				if(recent.length > 0 && energy >= options.minEnergy && energy > average * options.beatThreshold &&
+					time - lastBeats[name] >= options.beatInterval) {
+					beats[name] = true;
+					lastBeats[name] = time;
+				}
+				recent.push({time, energy});
+			});
+
+			return {time, levels: Object.assign({}, levels), beats};
+		}
+	};
+}
+
+/**
+ * Analyses decoded audio offline, block by block like a live analyser.
+ *
+ * @param {Float32Array} samples mono
+ * @param {Number} sampleRate
+ * @param {Object} [options] see DEFAULTS, and
+ * @param {Number} [options.hop] samples between two blocks, fftSize / 2 by default
+ * @return {Array} frames of createAnalysis
+ */
+function analyseSamples(samples, sampleRate, options) {
+	options = Object.assign({}, DEFAULTS, options, {sampleRate});
+	let hop = options.hop || options.fftSize / 2;
+	let analysis = createAnalysis(options);
+	let frames = [];
+	for (let offset = 0; offset + options.fftSize <= samples.length; offset += hop) {
+		frames.push(analysis.update(spectrumOf(samples, offset, options.fftSize), (offset + options.fftSize) / sampleRate));
+	}
+	return frames;
+}
+
+/**
+ * Decodes a PCM or float WAV file to mono samples.
+ *
+ * @param {ArrayBuffer|Buffer} data
+ * @return {Object} {sampleRate, samples: Float32Array}
+ */
+function decodeWav(data) {
+	let view = data instanceof ArrayBuffer ? new DataView(data) : new DataView(data.buffer, data.byteOffset, data.byteLength);
+	let text = (offset, length) => String.fromCharCode.apply(null, Array.from({length}, (_, i) => view.getUint8(offset + i)));
+	if(view.byteLength < 12 || text(0, 4) !== 'RIFF' || text(8, 4) !== 'WAVE') throw new Error('Not a WAV file');
+
+	let format;
+	for (let offset = 12; offset + 8 <= view.byteLength;) {
+		let id = text(offset, 4);
+		let size = view.getUint32(offset + 4, true);
+		let body = offset + 8;
+		if(id === 'fmt ') {
+			format = {
+				type: view.getUint16(body, true),
+				channels: view.getUint16(body + 2, true),
+				sampleRate: view.getUint32(body + 4, true),
+				bits: view.getUint16(body + 14, true)
+			};
+		} else if(id === 'data') {
+			if(!format) throw new Error('WAV file without format');
+			return {sampleRate: format.sampleRate, samples: decodeSamples(view, body, Math.min(size, view.byteLength - body), format)};
+		}
+		offset = body + size + size % 2;
+	}
+	throw new Error('WAV file without data');
+}
+
+function decodeSamples(view, start, size, {type, channels, bits}) {
+	let bytes = bits / 8;
+	let read;
+	if(type === 3 && bits === 32) read = offset => view.getFloat32(offset, true);
+	else if(type === 1 && bits === 8) read = offset => (view.getUint8(offset) - 128) / 128;
+	else if(type === 1 && bits === 16) read = offset => view.getInt16(offset, true) / 32768;
+	else if(type === 1 && bits === 24) read = offset => ((view.getInt8(offset + 2) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset)) / 8388608;
+	else if(type === 1 && bits === 32) read = offset => view.getInt32(offset, true) / 2147483648;
+	else throw new Error(`Unsupported WAV format ${type} with ${bits} bits`);
+
+	let count = Math.floor(size / (bytes * channels));
+	let samples = new Float32Array(count);
+	for (let i = 0; i < count; i++) {
+		let sum = 0;
+		for (let channel = 0; channel < channels; channel++) sum += read(start + (i * channels + channel) * bytes);
+		samples[i] = sum / channels;
+	}
+	return samples;
+}
+
+/**
+ * What the lights show for an analysis frame.
+ *
+ * The bands are spread along an axis of the room, each light mixes the
+ * bands around its place on it: with the default mapping bass plays on the
+ * lowest lights and highs on the highest. A beat of a light's band flashes it.
+ *
+ * @param {Array} lights lights with key and position
+ * @param {Object} frame frame of createAnalysis
+ * @param {Object} [mapping]
+ * @param {String} [mapping.axis] 'y', 'x' or 'z'
+ * @param {Boolean} [mapping.reverse] high bands at the low end
+ * @param {Boolean} [mapping.beats] flash on beats
+ * @param {Array} [mapping.bands] bands with name and color
+ * @return {Object} {rgb, bri} by light key
+ */
+function lightStates(lights, frame, {axis = 'y', reverse = false, beats = true, bands = BANDS} = {}) {
+	let values = lights.map(light => light.position[axis]);
+	let min = Math.min.apply(null, values);
+	let span = Math.max.apply(null, values) - min;
+	let states = {};
+	lights.forEach(light => {
+		let u = span > 0 ? (light.position[axis] - min) / span : 0.5;
+		if(reverse) u = 1 - u;
+		let rgb = [0, 0, 0];
+		let bri = 0;
+		let total = 0;
+		bands.forEach(({name, color}, i) => {
+			let weight = Math.max(0, 1 - Math.abs(u - (i + 0.5) / bands.length) * bands.length);
+			if(weight === 0) return;
+			let level = beats && frame.beats[name] ? 1 : frame.levels[name] || 0;
+			rgb = rgb.map((value, c) => value + color[c] * weight);
+			bri += level * weight;
+			total += weight;
+		});
+		states[light.key] = {rgb: rgb.map(value => value / (total || 1)), bri: bri / (total || 1)};
+	});
+	return states;
+}
+
+module.exports = {
+	BANDS,
+	AXES,
+	DEFAULTS,
+	fromDecibels,
+	fft,
+	spectrumOf,
+	bandEnergies,
+	createAnalysis,
+	analyseSamples,
+	decodeWav,
+	lightStates
+};
@@ -0,0 +1,199 @@
+/**
+ * Rigid calibration of the stored light positions.
+ *
+ * The tracking origin of Lighthouse/Oculus setups usually moves and rotates
+ * between sessions. Re-measuring a few reference lights gives pairs of
+ * (stored position, measured position), from which the rigid transform
+ * between the old and the new tracking space is solved. Applying it to all
+ * stored positions brings the whole room back in place.
+ */
+const {vec, add, sub, distance, centroid, transform, quaternionToMatrix, symmetricEigen} = require('./linalg.js');
+
+// Fits with a larger error are reported as poor, in meters.
+const MAX_RMS_ERROR = 0.15;
+const MAX_REFERENCE_ERROR = 0.25;
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+/**
+ * Solves the rotation around the up (y) axis between centered point sets.
+ */
+function solveYaw(from, to) {
+	let sin = 0;
+	let cos = 0;
+	from.forEach((a, i) => {
+		let b = to[i];
+		cos += b.x * a.x + b.z * a.z;
+		sin += b.x * a.z - b.z * a.x;
+	});
+	let angle = sin === 0 && cos === 0 ? 0 : Math.atan2(sin, cos);
+	let c = Math.cos(angle);
+	let s = Math.sin(angle);
+	return {
+		angle,
+		matrix: [[c, 0, s], [0, 1, 0], [-s, 0, c]]
+	};
+}
+
+/**
+ * Solves the full rotation between centered point sets with Horn's
+ * quaternion method.
+ */
+function solveRotation(from, to) {
+	let s = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+	let axes = ['x', 'y', 'z'];
+	from.forEach((a, i) => {
+		let b = to[i];
+		axes.forEach((r, j) => axes.forEach((c, k) => {
+			s[j][k] += a[r] * b[c];
+		}));
+	});
+	let [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = s;
+	let n = [
+		[xx + yy + zz, yz - zy, zx - xz, xy - yx],
+		[yz - zy, xx - yy - zz, xy + yx, zx + xz],
+		[zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+		[xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+	];
+	let [w, x, y, z] = symmetricEigen(n).vectors[0];
+	return {matrix: quaternionToMatrix({w, x, y, z})};
+}
+
+/**
+ * Solves the rigid transform that maps the stored onto the measured
+ * positions.
+ *
+ * With a single reference only the translation is solved. Two references
+ * can't determine a rotation around the axis through both, so the rotation
+ * is constrained to yaw unless there are at least three.
+ *
+ * @param {Array} references [{key, stored: {x, y, z}, measured: {x, y, z}}]
+ * @param {Object} [options]
+ * @param {Boolean} [options.yawOnly=true] only rotate around the up axis
+ * @return {Object} {matrix, translation, yawOnly, residuals: [{key, error}], rms, poor}
+ */
+function calibrate(references, options) {
+	options = Object.assign({yawOnly: true}, options);
+	if(references.length === 0) throw new Error('Calibration needs at least one reference light');
+
+	let stored = references.map(reference => reference.stored);
+	let measured = references.map(reference => reference.measured);
+	let storedCenter = centroid(stored);
+	let measuredCenter = centroid(measured);
+	let from = stored.map(point => sub(point, storedCenter));
+	let to = measured.map(point => sub(point, measuredCenter));
+
+	let yawOnly = options.yawOnly || references.length < 3;
+	let rotation;
+	if(references.length === 1) rotation = {matrix: IDENTITY};
+	else if(yawOnly) rotation = solveYaw(from, to);
+	else rotation = solveRotation(from, to);
+
+	let result = {
+		matrix: rotation.matrix,
+		translation: sub(measuredCenter, transform(rotation.matrix, storedCenter)),
+		yawOnly
+	};
+
+	result.residuals = references.map(reference => ({
+		key: reference.key,
+		error: distance(applyTransform(result, reference.stored), reference.measured)
+	}));
+	result.rms = Math.sqrt(result.residuals.reduce((sum, residual) => sum + residual.error * residual.error, 0) / references.length);
+	result.poor = result.rms > MAX_RMS_ERROR || result.residuals.some(residual => residual.error > MAX_REFERENCE_ERROR);
+
+	return result;
+}
+
+/**
+ * Applies a calibration transform to a point.
+ *
+ * @param {Object} calibration result of calibrate
+ * @param {Object} point {x, y, z}
+ * @return {Object} transformed point
+ */
+function applyTransform(calibration, point) {
+	return add(transform(calibration.matrix, vec(point.x, point.y, point.z)), calibration.translation);
+}
+
+/**
+ * Applies the rotation part of a calibration to a direction.
+ *
+ * @param {Object} calibration result of calibrate
+ * @param {Object} direction {x, y, z}
+ * @return {Object} rotated direction
+ */
+function applyRotation(calibration, direction) {
+	return transform(calibration.matrix, vec(direction.x, direction.y, direction.z));
+}
+
+/**
+ * Applies a calibration transform to a group volume (see groups.js).
+ *
+ * Volumes stay upright prisms: the floor polygon is transformed at the
+ * height of the volume's center and bottom and top move with the center.
+ * That is exact for yaw-only calibrations.
+ *
+ * @param {Object} calibration result of calibrate
+ * @param {Object} volume {polygon: [{x, z}], bottom, top}
+ * @return {Object} copy of the volume with the transformed polygon, bottom and top
+ */
+function transformVolume(calibration, volume) {
+	let y = (volume.bottom + volume.top) / 2;
+	let center = centroid(volume.polygon.map(({x, z}) => vec(x, y, z)));
+	let lift = applyTransform(calibration, center).y - y;
+	return Object.assign({}, volume, {
+		polygon: volume.polygon.map(({x, z}) => {
+			let point = applyTransform(calibration, vec(x, y, z));
+			return {x: point.x, z: point.z};
+		}),
+		bottom: volume.bottom + lift,
+		top: volume.top + lift
+	});
+}
+
+/**
+ * Applies a calibration transform to an item of the reference geometry (see
+ * layout.js), on the floor plane.
+ *
+ * Furniture boxes are aligned with the axes, a turned box becomes the box
+ * around its turned corners.
+ *
+ * @param {Object} calibration result of calibrate
+ * @param {Object} item wall {points: [{x, z}]} or furniture {min: {x, z}, max: {x, z}}
+ * @return {Object} copy of the item with transformed points
+ */
+function transformGeometry(calibration, item) {
+	let move = ({x, z}) => {
+		let point = applyTransform(calibration, vec(x, 0, z));
+		return {x: point.x, z: point.z};
+	};
+	if(item.type === 'wall') return Object.assign({}, item, {points: item.points.map(move)});
+	let corners = [[item.min.x, item.min.z], [item.max.x, item.min.z], [item.max.x, item.max.z], [item.min.x, item.max.z]]
+		.map(([x, z]) => move({x, z}));
+	let xs = corners.map(corner => corner.x);
+	let zs = corners.map(corner => corner.z);
+	return Object.assign({}, item, {
+		min: {x: Math.min.apply(null, xs), z: Math.min.apply(null, zs)},
+		max: {x: Math.max.apply(null, xs), z: Math.max.apply(null, zs)}
+	});
+}
+
+/**
+ * Yaw of a calibration in radians, for logging.
+ */
+function yawAngle(calibration) {
+	let forward = transform(calibration.matrix, vec(0, 0, 1));
+	return Math.atan2(forward.x, forward.z);
+}
+
+module.exports = {
+	calibrate,
+	applyTransform,
+	applyRotation,
+	transformVolume,
+	transformGeometry,
+	yawAngle,
+	MAX_RMS_ERROR,
+	MAX_REFERENCE_ERROR
+};
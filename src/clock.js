@@ -0,0 +1,80 @@
+/**
+ * Clocks of the timers that sample the controllers, eg. while an outline or
+ * a gesture is drawn.
+ *
+ * The app runs on the real clock. Replays in tests use a manual clock that
+ * only moves on with the replay, see createPlayer in recording.js, so every
+ * run samples the same poses.
+ */
+
+/**
+ * @return {Object} clock with now, setInterval and clearInterval
+ */
+function createClock() {
+	return {
+		now: () => Date.now(),
+		setInterval: (callback, ms) => setInterval(callback, ms),
+		clearInterval: id => clearInterval(id)
+	};
+}
+
+/**
+ * Creates a clock that only moves on with advance.
+ *
+ * @param {Number} [start=0] time in ms
+ * @return {Object} clock with now, setInterval, clearInterval, untilNext and advance
+ */
+function createManualClock(start = 0) {
+	let time = start;
+	let timers = [];
+	let nextId = 1;
+
+	// The timer due first up to a time, timers due at once in the order they were set
+	function firstDue(end) {
+		return timers.reduce((first, timer) => timer.next <= end && (!first || timer.next < first.next) ? timer : first, undefined);
+	}
+
+	return {
+		now: () => time,
+
+		setInterval: function (callback, ms) {
+			let interval = Math.max(ms, 1);
+			let timer = {id: nextId++, callback, interval, next: time + interval};
+			timers.push(timer);
+			return timer.id;
+		},
+
+		clearInterval: function (id) {
+			timers = timers.filter(timer => timer.id !== id);
+		},
+
+		/**
+		 * @return {Number} ms until the next timer is due, Infinity without timers
+		 */
+		untilNext: function () {
+			let first = firstDue(Infinity);
+			return first ? first.next - time : Infinity;
+		},
+
+		/**
+		 * Moves the time on and calls the timers due meanwhile, in order.
+		 *
+		 * @param {Number} ms
+		 */
+		advance: function (ms) {
+			let end = time + ms;
+			let timer;
+			while ((timer = firstDue(end)) !== undefined) {
+				time = timer.next;
+				timer.next += timer.interval;
+				timer.callback();
+			}
+			time = end;
+		}
+	};
+}
+
+module.exports = {
+	createClock,
+	createManualClock
+};
@@ -0,0 +1,312 @@
+/**
+ * Color conversion between the app and Hue lights.
+ *
+ * Colors in the app are sRGB triples in [0, 1], like chroma.js gl colors.
+ * Lights get the best color mode they support: xy clamped to their gamut
+ * for color lights, ct in mireds for white ambiance lights, nothing for
+ * dimmable lights. Bridge states are converted back to sRGB to color the
+ * spheres in the scene like the lights look.
+ */
+
+// Gamut triangles (red, green, blue corners) in CIE xy
+const GAMUTS = {
+	A: [[0.704, 0.296], [0.2151, 0.7106], [0.138, 0.08]],
+	B: [[0.675, 0.322], [0.409, 0.518], [0.167, 0.04]],
+	C: [[0.6915, 0.3083], [0.17, 0.7], [0.1532, 0.0475]]
+};
+
+// Gamuts of models that don't report their capabilities (bridges before API 1.22)
+const MODEL_GAMUTS = {
+	A: ['LST001', 'LLC005', 'LLC006', 'LLC007', 'LLC010', 'LLC011', 'LLC012', 'LLC013', 'LLC014'],
+	B: ['LCT001', 'LCT002', 'LCT003', 'LCT007', 'LLM001'],
+	C: ['LCT010', 'LCT011', 'LCT012', 'LCT014', 'LCT015', 'LCT016', 'LLC020', 'LST002', 'LCA001', 'LCA002', 'LCA003']
+};
+
+// Color temperature range in mireds of white lights without capabilities
+const DEFAULT_CT = {min: 153, max: 454};
+
+// Color modes by light type, for lights without capabilities
+const TYPE_COLOR_MODES = {
+	'Extended color light': ['xy', 'ct'],
+	'Color light': ['xy'],
+	'Color temperature light': ['ct']
+};
+
+function gamutOfModel(modelid) {
+	let name = Object.keys(MODEL_GAMUTS).find(name => MODEL_GAMUTS[name].indexOf(modelid) !== -1);
+	return name ? GAMUTS[name] : null;
+}
+
+/**
+ * Color capabilities of a light.
+ *
+ * Uses the capabilities reported by the bridge and falls back to the model
+ * id and the light type.
+ *
+ * @param {Object} light light with type, modelid and capabilities
+ * @return {Object} {colormodes: ['xy', 'ct'], gamut: [[x, y] × 3] or null, ct: {min, max} or null}
+ */
+function colorCapabilities(light) {
+	let control = light.capabilities && light.capabilities.control || {};
+	let colormodes = (TYPE_COLOR_MODES[light.type] || []).slice();
+	let gamut = control.colorgamut || (control.colorgamuttype && GAMUTS[control.colorgamuttype]) || gamutOfModel(light.modelid);
+	if(control.colorgamut && colormodes.indexOf('xy') === -1) colormodes.push('xy');
+	if(control.ct && colormodes.indexOf('ct') === -1) colormodes.push('ct');
+	return {
+		colormodes,
+		gamut: colormodes.indexOf('xy') !== -1 ? gamut || null : null,
+		ct: colormodes.indexOf('ct') !== -1 ? control.ct || DEFAULT_CT : null
+	};
+}
+
+function gammaToLinear(value) {
+	return value > 0.04045 ? Math.pow((value + 0.055) / 1.055, 2.4) : value / 12.92;
+}
+
+function linearToGamma(value) {
+	return value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Converts an sRGB color to CIE xy, with the wide gamut conversion Philips
+ * recommends.
+ *
+ * @param {Array} rgb [r, g, b] in [0, 1]
+ * @return {Array} [x, y]
+ */
+function rgbToXy(rgb) {
+	let [r, g, b] = rgb.map(gammaToLinear);
+	let X = r * 0.664511 + g * 0.154324 + b * 0.162028;
+	let Y = r * 0.283881 + g * 0.668433 + b * 0.047685;
+	let Z = r * 0.000088 + g * 0.072310 + b * 0.986039;
+	let sum = X + Y + Z;
+	// Black has no chromaticity, use the white point
+	if(sum === 0) return [0.3227, 0.329];
+	return [X / sum, Y / sum];
+}
+
+/**
+ * Converts CIE xy to the brightest sRGB color of that chromaticity.
+ *
+ * @param {Array} xy [x, y]
+ * @return {Array} [r, g, b] in [0, 1]
+ */
+function xyToRgb([x, y]) {
+	if(y === 0) return [0, 0, 0];
+	let X = x / y;
+	let Z = (1 - x - y) / y;
+	let rgb = [
+		X * 1.656492 - 0.354851 - Z * 0.255038,
+		-X * 0.707196 + 1.655397 + Z * 0.036152,
+		X * 0.051713 - 0.121364 + Z * 1.011530
+	].map(c => Math.max(0, c));
+	let max = Math.max.apply(null, rgb) || 1;
+	return rgb.map(c => linearToGamma(c / max));
+}
+
+function closestPointOnSegment(p, a, b) {
+	let ab = [b[0] - a[0], b[1] - a[1]];
+	let t = ((p[0] - a[0]) * ab[0] + (p[1] - a[1]) * ab[1]) / (ab[0] * ab[0] + ab[1] * ab[1]);
+	t = Math.max(0, Math.min(1, t));
+	return [a[0] + ab[0] * t, a[1] + ab[1] * t];
+}
+
+function sideOf(p, a, b) {
+	return (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]);
+}
+
+/**
+ * Moves an xy color into a gamut triangle, to the closest color the light
+ * can show.
+ *
+ * @param {Array} xy [x, y]
+ * @param {Array} [gamut] triangle [[x, y] × 3], xy is returned as is without
+ * @return {Array} [x, y]
+ */
+function clampToGamut(xy, gamut) {
+	if(!gamut) return xy;
+	let [r, g, b] = gamut;
+	let sides = [sideOf(xy, r, g), sideOf(xy, g, b), sideOf(xy, b, r)];
+	if(sides.every(side => side >= 0) || sides.every(side => side <= 0)) return xy;
+	let candidates = [closestPointOnSegment(xy, r, g), closestPointOnSegment(xy, g, b), closestPointOnSegment(xy, b, r)];
+	let distance = p => Math.pow(p[0] - xy[0], 2) + Math.pow(p[1] - xy[1], 2);
+	return candidates.reduce((closest, p) => distance(p) < distance(closest) ? p : closest);
+}
+
+/**
+ * Correlated color temperature of an xy color, with McCamy's approximation.
+ *
+ * @param {Array} xy [x, y]
+ * @return {Number} color temperature in mireds
+ */
+function xyToMired([x, y]) {
+	let n = (x - 0.332) / (0.1858 - y);
+	let kelvin = 449 * n * n * n + 3525 * n * n + 6823.3 * n + 5520.33;
+	return 1000000 / kelvin;
+}
+
+/**
+ * sRGB color of a color temperature, after Tanner Helland's approximation of
+ * the black body curve.
+ *
+ * @param {Number} mired color temperature in mireds
+ * @return {Array} [r, g, b] in [0, 1]
+ */
+function miredToRgb(mired) {
+	let t = 10000 / mired; // hundreds of kelvin
+	let r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+	let g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+	let b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+	return [r, g, b].map(c => Math.max(0, Math.min(255, c)) / 255);
+}
+
+function hsvToRgb(h, s, v) {
+	let f = (n) => {
+		let k = (n + h / 60) % 6;
+		return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+	};
+	return [f(5), f(3), f(1)];
+}
+
+/**
+ * Color attributes of a state that shows an sRGB color on a light, in the
+ * light's best color mode.
+ *
+ * @param {Object} capabilities result of colorCapabilities
+ * @param {Array} rgb [r, g, b] in [0, 1]
+ * @return {Object} {xy}, {ct} or {} for lights without color
+ */
+function colorState(capabilities, rgb) {
+	if(capabilities.colormodes.indexOf('xy') !== -1) {
+		let xy = clampToGamut(rgbToXy(rgb), capabilities.gamut);
+		return {xy: xy.map(c => Math.round(c * 10000) / 10000)};
+	}
+	if(capabilities.ct) {
+		let {min, max} = capabilities.ct;
+		// The color temperature approximation only holds near white, saturated
+		// colors are mapped by their warmth: red to warm, blue to cold white.
+		let saturation = Math.max.apply(null, rgb) === 0 ? 0 : 1 - Math.min.apply(null, rgb) / Math.max.apply(null, rgb);
+		let warmth = min + (max - min) * (rgb[0] - rgb[2] + 1) / 2;
+		let ct = xyToMired(rgbToXy(rgb)) * (1 - saturation) + warmth * saturation;
+		return {ct: Math.round(Math.max(min, Math.min(max, ct)))};
+	}
+	return {};
+}
+
+// Colors scripts can use by name, sRGB triples or white color temperatures in mireds
+const NAMED_COLORS = {
+	red: [1, 0, 0],
+	orange: [1, 0.45, 0],
+	yellow: [1, 0.85, 0],
+	green: [0, 1, 0],
+	cyan: [0, 1, 1],
+	blue: [0, 0, 1],
+	purple: [0.5, 0, 1],
+	magenta: [1, 0, 1],
+	pink: [1, 0.35, 0.6],
+	white: 250,
+	'warm white': 370,
+	'cool white': 200,
+	daylight: 154,
+	candle: 454
+};
+
+/**
+ * Color attributes of a color given by name, as '#rrggbb' or as color
+ * temperature in kelvin like '2700K', in the light's best color mode.
+ *
+ * @param {Object} capabilities result of colorCapabilities
+ * @param {String} name
+ * @return {Object|undefined} {xy}, {ct} or {}, undefined for unknown colors
+ */
+function namedColorState(capabilities, name) {
+	let text = name.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+	let color = NAMED_COLORS[text];
+	let hex = /^#([0-9a-f]{6})$/.exec(text);
+	let kelvin = /^(\d+) ?k$/.exec(text);
+	if(hex) color = [0, 2, 4].map(i => parseInt(hex[1].substr(i, 2), 16) / 255);
+	else if(kelvin) color = Math.round(1000000 / parseInt(kelvin[1]));
+	if(color === undefined) return undefined;
+	if(Array.isArray(color)) return colorState(capabilities, color);
+	// Whites are sent as color temperature to lights that have one
+	if(capabilities.ct) return {ct: Math.round(Math.max(capabilities.ct.min, Math.min(capabilities.ct.max, color)))};
+	return colorState(capabilities, miredToRgb(color));
+}
+
+/**
+ * Color mode of a state. Scene light states have no colormode, only the
+ * attributes of theirs.
+ */
+function colorModeOf(state) {
+	if(state.colormode) return state.colormode;
+	if(state.xy !== undefined) return 'xy';
+	if(state.ct !== undefined) return 'ct';
+	if(state.hue !== undefined) return 'hs';
+}
+
+/**
+ * Color attributes of a state for sending it to a light, only those of its
+ * color mode.
+ *
+ * @param {Object} state light state
+ * @return {Object} {xy}, {ct}, {hue, sat} or {}
+ */
+function colorAttributes(state) {
+	switch (colorModeOf(state)) {
+		case 'xy': return {xy: state.xy};
+		case 'ct': return {ct: state.ct};
+		case 'hs': return {hue: state.hue, sat: state.sat};
+		default: return {};
+	}
+}
+
+/**
+ * sRGB color of a light state, at full brightness.
+ *
+ * @param {Object} state light or scene light state
+ * @param {Object} [capabilities] result of colorCapabilities, to clamp xy to the gamut
+ * @return {Array} [r, g, b] in [0, 1]
+ */
+function stateToRgb(state, capabilities) {
+	switch (colorModeOf(state)) {
+		case 'xy': return xyToRgb(clampToGamut(state.xy, capabilities && capabilities.gamut));
+		case 'ct': return miredToRgb(state.ct);
+		case 'hs': return hsvToRgb((state.hue || 0) * 360 / 65535, (state.sat || 0) / 254, 1);
+		// Dimmable lights are warm white
+		default: return miredToRgb(370);
+	}
+}
+
+/**
+ * Hex color of a light state, darkened by its brightness.
+ *
+ * @param {Object} state light or scene light state
+ * @param {Object} [capabilities] result of colorCapabilities
+ * @return {String} '#rrggbb'
+ */
+function stateColor(state, capabilities) {
+	if(!state.on) return '#333333';
+	let bri = state.bri === undefined ? 254 : state.bri;
+	let value = 0.25 + 0.75 * bri / 254;
+	return '#' + stateToRgb(state, capabilities)
+		.map(c => ('0' + Math.round(c * value * 255).toString(16)).slice(-2))
+		.join('');
+}
+
+module.exports = {
+	colorCapabilities,
+	rgbToXy,
+	xyToRgb,
+	clampToGamut,
+	xyToMired,
+	miredToRgb,
+	hsvToRgb,
+	colorState,
+	namedColorState,
+	colorAttributes,
+	colorModeOf,
+	stateToRgb,
+	stateColor,
+	GAMUTS,
+	NAMED_COLORS
+};
@@ -0,0 +1,157 @@
+/**
+ * Bridge discovery with pluggable strategies.
+ *
+ * Every strategy returns candidate addresses. Each candidate is verified by
+ * requesting its unauthenticated config, and the verified bridges of all
+ * strategies are merged by their bridge id.
+ *
+ * Strategies:
+ *  - portal: the meethue.com N-UPnP portal (jsHue discover)
+ *  - helper: the local discovery helper service (SSDP, mDNS and subnet probe)
+ *  - probe: requests /api/config of every host of the given /24 subnets from
+ *    the browser, used when the helper isn't running
+ */
+
+const DEFAULTS = {
+	strategies: ['portal', 'helper', 'probe'],
+	helperUrl: 'http://localhost:8001',
+	subnets: [],
+	timeout: 3000,
+	probeTimeout: 1500,
+	probeConcurrency: 16
+};
+
+function withTimeout(promise, ms) {
+	return Promise.race([
+		promise,
+		new Promise((resolve, reject) => setTimeout(() => reject(new Error('timeout')), ms))
+	]);
+}
+
+/**
+ * Derives the /24 subnet of an IPv4 address, eg. '192.168.1' for '192.168.1.20'.
+ *
+ * @param {String} address
+ * @return {String|undefined} subnet, undefined if address is no IPv4 address
+ */
+function subnetOf(address) {
+	let match = /^(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}(:\d+)?$/.exec(address || '');
+	return match ? match[1] : undefined;
+}
+
+const STRATEGIES = {
+	portal: function (options) {
+		return options.hue.discover().then(bridges => bridges.map(bridge => ({
+			internalipaddress: bridge.internalipaddress,
+			source: 'portal'
+		})));
+	},
+
+	helper: function (options) {
+		let url = `${options.helperUrl}/discover?timeout=${options.timeout}`;
+		if(options.subnets.length > 0) url += `&subnets=${options.subnets.join(',')}`;
+		return withTimeout(options.fetch(url), options.timeout * 4)
+			.then(response => response.json().then(json => {
+				// Eg. subnets the helper isn't in
+				if(!response.ok) throw new Error(json.error || `HTTP ${response.status}`);
+				return json;
+			}));
+	},
+
+	probe: function (options) {
+		let addresses = [];
+		options.subnets.forEach(prefix => {
+			for (let i = 1; i < 255; i++) addresses.push(`${prefix}.${i}`);
+		});
+
+		// Verifying is what probing does, so the candidates are the verified ones.
+		let found = [];
+		let next = 0;
+		let worker = () => {
+			if(next >= addresses.length) return Promise.resolve();
+			let address = addresses[next++];
+			return getBridgeConfig(address, options)
+				.then(() => found.push({internalipaddress: address, source: 'probe'}), () => {})
+				.then(worker);
+		};
+		let workers = [];
+		for (let i = 0; i < options.probeConcurrency; i++) workers.push(worker());
+		return Promise.all(workers).then(() => found);
+	}
+};
+
+/**
+ * Gets the unauthenticated config of a bridge.
+ *
+ * Rejects if the host doesn't answer in time or doesn't identify as a bridge.
+ *
+ * @param {String} address ip address or hostname
+ * @param {Object} options discovery options with fetch and probeTimeout
+ * @return {Promise} resolves with the config
+ */
+function getBridgeConfig(address, options) {
+	return withTimeout(options.fetch(`http://${address}/api/config`), options.probeTimeout)
+		.then(response => response.json())
+		.then(config => {
+			if(!config || !config.bridgeid || !/^BSB/.test(config.modelid || '')) {
+				throw new Error(`${address} is no Hue bridge`);
+			}
+			return config;
+		});
+}
+
+/**
+ * Discovers bridges with all given strategies.
+ *
+ * @param {Object} options
+ * @param {Object} options.hue jsHue instance, for the portal strategy
+ * @param {Array} [options.strategies] names of the strategies to use
+ * @param {String} [options.helperUrl='http://localhost:8001'] url of the discovery helper
+ * @param {Array} [options.subnets] /24 subnets to probe, eg. ['192.168.1']
+ * @param {Function} [options.onFound] called with each newly verified or updated bridge
+ * @param {Function} [options.fetch] fetch implementation
+ * @return {Promise} resolves with the verified bridges [{id, internalipaddress, name, modelid, sources}]
+ */
+function discoverBridges(options) {
+	options = Object.assign({}, DEFAULTS, {fetch: typeof fetch !== 'undefined' ? fetch : undefined}, options);
+	let bridges = {};
+	let verifying = {};
+
+	function verify(candidate) {
+		let address = candidate.internalipaddress;
+		if(!verifying[address]) {
+			verifying[address] = getBridgeConfig(address, options).catch(() => null);
+		}
+		return verifying[address].then(config => {
+			if(config === null) return;
+			let bridge = bridges[config.bridgeid];
+			if(bridge === undefined) {
+				bridge = bridges[config.bridgeid] = {
+					id: config.bridgeid,
+					internalipaddress: address,
+					name: config.name,
+					modelid: config.modelid,
+					sources: []
+				};
+			}
+			if(bridge.sources.indexOf(candidate.source) !== -1) return;
+			bridge.sources.push(candidate.source);
+			if(options.onFound) options.onFound(bridge);
+		});
+	}
+
+	let runs = options.strategies.filter(name => STRATEGIES[name]).map(name => {
+		return STRATEGIES[name](options)
+			.then(candidates => Promise.all(candidates.map(verify)))
+			.catch(e => console.log(`Discovery via ${name} failed:`, e));
+	});
+
+	return Promise.all(runs).then(() => Object.keys(bridges).map(id => bridges[id]));
+}
+
+module.exports = {
+	discoverBridges,
+	getBridgeConfig,
+	subnetOf,
+	STRATEGIES
+};
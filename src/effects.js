@@ -0,0 +1,161 @@
+/**
+ * Animated light effects across the room.
+ *
+ * An effect is a function of a light's position (in meters) and the time
+ * since the effect started (in seconds), returning what the light shows:
+ *
+ *   (position, t, params) => {rgb: [r, g, b], bri}  rgb and bri in [0, 1]
+ *
+ * Effects only depend on their arguments, so they can be previewed on the
+ * spheres and replayed the same. Lights stay on, effects dim them instead
+ * of switching them off, as switching is slow.
+ */
+const {sub, dot, normalize, distance} = require('./linalg.js');
+const {hsvToRgb} = require('./color.js');
+
+// Light updates per second a bridge takes, see the rates of jshue.js
+const LIGHT_RATE = 10;
+// Shortest time between two updates of the effect on the lights, in ms
+const MIN_SEND_INTERVAL = 100;
+const MIN_BRI = 0.02;
+
+function fraction(value) {
+	return value - Math.floor(value);
+}
+
+function mix(a, b, s) {
+	return a.map((value, i) => value + (b[i] - value) * s);
+}
+
+// Stable pseudo random number in [0, 1) for a position
+function positionSeed({x, y, z}) {
+	return fraction(Math.sin(x * 12.9898 + y * 78.233 + z * 37.719) * 43758.5453);
+}
+
+const EFFECTS = {
+	/**
+	 * Rainbow moving along a direction.
+	 */
+	wave: {
+		label: 'color wave',
+		defaults: {direction: {x: 1, y: 0, z: 0}, wavelength: 3, speed: 0.5},
+		render: function (position, t, {direction, wavelength, speed}) {
+			let phase = fraction((dot(position, normalize(direction)) - speed * t) / wavelength);
+			return {rgb: hsvToRgb(phase * 360, 1, 1), bri: 1};
+		}
+	},
+
+	/**
+	 * Rings of light spreading from a point, one per period.
+	 */
+	pulse: {
+		label: 'radial pulse',
+		defaults: {origin: {x: 0, y: 0, z: 0}, color: [1, 0.2, 0], speed: 1.5, width: 0.6, period: 3},
+		render: function (position, t, {origin, color, speed, width, period}) {
+			let radius = (t % period) * speed;
+			let offset = (distance(position, origin) - radius) / width;
+			return {rgb: color, bri: Math.max(MIN_BRI, Math.exp(-offset * offset))};
+		}
+	},
+
+	/**
+	 * Colors blended between two corners of the room.
+	 */
+	gradient: {
+		label: 'gradient',
+		defaults: {from: {x: -2, y: 0, z: -2}, to: {x: 2, y: 0, z: 2}, fromColor: [1, 0.2, 0], toColor: [0, 0.3, 1]},
+		render: function (position, t, {from, to, fromColor, toColor}) {
+			let axis = sub(to, from);
+			let span = dot(axis, axis);
+			let s = span === 0 ? 0 : Math.max(0, Math.min(1, dot(sub(position, from), axis) / span));
+			return {rgb: mix(fromColor, toColor, s), bri: 1};
+		}
+	},
+
+	/**
+	 * Lights near a moving target, eg. a controller, light up.
+	 */
+	follow: {
+		label: 'follow the controller',
+		defaults: {target: null, color: [1, 1, 1], radius: 1.5},
+		render: function (position, t, {target, color, radius}) {
+			if(!target) return {rgb: color, bri: MIN_BRI};
+			return {rgb: color, bri: Math.max(MIN_BRI, 1 - distance(position, target) / radius)};
+		}
+	},
+
+	/**
+	 * Candle light, every light flickers on its own.
+	 */
+	flicker: {
+		label: 'candle flicker',
+		defaults: {color: [1, 0.45, 0.1], strength: 0.35},
+		render: function (position, t, {color, strength}) {
+			let seed = positionSeed(position) * 100;
+			let noise = 0.5 * Math.sin(t * 7.3 + seed) + 0.3 * Math.sin(t * 13.1 + seed * 2) + 0.2 * Math.sin(t * 23.7 + seed * 3);
+			return {rgb: color, bri: 1 - strength * (0.5 + 0.5 * noise)};
+		}
+	}
+};
+
+/**
+ * What the lights show at a time of an effect.
+ *
+ * @param {String} name effect name, see EFFECTS
+ * @param {Array} lights lights with key and position
+ * @param {Number} t seconds since the effect started
+ * @param {Object} [params] overrides of the effect's defaults
+ * @return {Object} {rgb, bri} by light key
+ */
+function effectStates(name, lights, t, params) {
+	let effect = EFFECTS[name];
+	if(effect === undefined) throw new Error(`Unknown effect ${name}`);
+	params = Object.assign({}, effect.defaults, params);
+	let states = {};
+	lights.forEach(light => {
+		states[light.key] = effect.render(light.position, t, params);
+	});
+	return states;
+}
+
+/**
+ * Time between two updates of an effect on the lights of a bridge, so that
+ * each light is updated every time without exceeding the bridge's budget.
+ *
+ * @param {Number} count number of lights of the bridge in the effect
+ * @param {Number} [rate] light updates per second of the bridge
+ * @return {Number} ms
+ */
+function sendInterval(count, rate = LIGHT_RATE) {
+	return Math.max(MIN_SEND_INTERVAL, Math.ceil(count * 1000 / rate));
+}
+
+/**
+ * Corners of the box around the lights, for the gradient.
+ *
+ * @param {Array} lights lights with position
+ * @return {Object} {min, max}
+ */
+function lightBounds(lights) {
+	let positions = lights.map(light => light.position);
+	let bound = (pick, axis) => pick.apply(null, positions.map(position => position[axis]));
+	let corner = pick => ({x: bound(pick, 'x'), y: bound(pick, 'y'), z: bound(pick, 'z')});
+	return positions.length === 0 ? {min: {x: 0, y: 0, z: 0}, max: {x: 0, y: 0, z: 0}} : {min: corner(Math.min), max: corner(Math.max)};
+}
+
+// Wave directions offered in the UI, normalised before use
+const DIRECTIONS = {
+	'left to right': {x: 1, y: 0, z: 0},
+	'front to back': {x: 0, y: 0, z: -1},
+	'bottom to top': {x: 0, y: 1, z: 0},
+	'diagonal': {x: 1, y: 0, z: -1}
+};
+
+module.exports = {
+	EFFECTS,
+	DIRECTIONS,
+	effectStates,
+	sendInterval,
+	lightBounds,
+	LIGHT_RATE
+};
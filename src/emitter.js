@@ -0,0 +1,31 @@
+/**
+ * Minimal event emitter.
+ *
+ * Used by the modules that report changes to the Vue app, so they don't
+ * depend on Vue or Node's events module.
+ *
+ * @return {Object} emitter with on, off and emit
+ */
+function createEmitter() {
+	let listeners = {};
+
+	return {
+		on: function (type, listener) {
+			(listeners[type] = listeners[type] || []).push(listener);
+			return this;
+		},
+
+		off: function (type, listener) {
+			if(!listeners[type]) return this;
+			listeners[type] = listener === undefined ? [] : listeners[type].filter(l => l !== listener);
+			return this;
+		},
+
+		emit: function (type, ...args) {
+			(listeners[type] || []).slice().forEach(listener => listener(...args));
+			return this;
+		}
+	};
+}
+
+module.exports = createEmitter;
@@ -0,0 +1,160 @@
+/**
+ * Recognises controller gestures from sampled controller positions.
+ *
+ * Gestures:
+ *  - swipe-up / swipe-down: a straight vertical stroke, `amount` is its
+ *    signed height in meters
+ *  - flick-left / flick-right: a fast straight horizontal stroke, relative to
+ *    the direction the user is facing
+ *  - circle: a closed loop of at least one turn
+ *  - hold: the controller is held still, reported while sampling
+ *
+ *   let recognizer = createGestureRecognizer(options);
+ *   recognizer.on('gesture', gesture => …);
+ *   recognizer.start();
+ *   recognizer.addSample({x, y, z, t}); // repeatedly
+ *   recognizer.end(forward);
+ */
+const createEmitter = require('./emitter.js');
+const {vec, sub, dot, cross, length, distance, normalize, centroid} = require('./linalg.js');
+const {principalAxes} = require('./shapes.js');
+
+const DEFAULTS = {
+	holdRadius: 0.03, // max movement while holding, in meters
+	holdTime: 800, // ms
+	swipeMinDistance: 0.15, // meters
+	straightness: 0.8, // min distance / path length of swipes and flicks
+	dominance: 2, // the main direction of swipes and flicks must be this much longer than the others
+	flickMinSpeed: 1, // meters per second
+	circleMinLength: 0.4, // meters
+	circleMaxGap: 0.3, // max distance of start and end point, relative to the path length
+	circleMinTurn: 1.6 * Math.PI, // radians
+	maxSamples: 200
+};
+
+const UP = vec(0, 1, 0);
+
+function pathLength(samples) {
+	return samples.reduce((sum, sample, i) => i === 0 ? 0 : sum + distance(sample, samples[i - 1]), 0);
+}
+
+function isHold(samples, options) {
+	if(samples.length < 2) return false;
+	let duration = samples[samples.length - 1].t - samples[0].t;
+	let center = centroid(samples);
+	return duration >= options.holdTime && samples.every(sample => distance(sample, center) <= options.holdRadius);
+}
+
+/**
+ * Total angle the path turns around its center, in the plane it is drawn in.
+ */
+function turnAngle(samples) {
+	let {mean, axes} = principalAxes(samples);
+	let angles = samples.map(sample => {
+		let d = sub(sample, mean);
+		return Math.atan2(dot(d, axes[1]), dot(d, axes[0]));
+	});
+	return Math.abs(angles.reduce((sum, angle, i) => {
+		if(i === 0) return 0;
+		let delta = angle - angles[i - 1];
+		if(delta > Math.PI) delta -= 2 * Math.PI;
+		if(delta < -Math.PI) delta += 2 * Math.PI;
+		return sum + delta;
+	}, 0));
+}
+
+/**
+ * Recognises a complete stroke.
+ *
+ * @param {Array} samples [{x, y, z, t}] controller positions with timestamps in ms
+ * @param {Object} [options] thresholds, see DEFAULTS
+ * @param {Object} [options.forward] direction the user is facing, defaults to -z
+ * @return {Object|null} {type, amount, duration} or null if no gesture was recognised
+ */
+function recognizeGesture(samples, options) {
+	options = Object.assign({}, DEFAULTS, options);
+	if(samples.length < 2) return null;
+
+	let first = samples[0];
+	let last = samples[samples.length - 1];
+	let duration = last.t - first.t;
+	if(isHold(samples, options)) return {type: 'hold', duration};
+
+	let path = pathLength(samples);
+	let move = sub(last, first);
+	let forward = options.forward || vec(0, 0, -1);
+	// Project the facing direction onto the floor to get the user's right
+	let right = normalize(cross(normalize(sub(forward, vec(0, dot(forward, UP), 0))), UP));
+	let vertical = move.y;
+	let horizontal = dot(move, right);
+	let depth = length(sub(move, vec(right.x * horizontal, vertical, right.z * horizontal)));
+	let straight = path > 0 && length(move) / path >= options.straightness;
+
+	if(straight && length(move) >= options.swipeMinDistance) {
+		if(Math.abs(vertical) > options.dominance * Math.max(Math.abs(horizontal), depth)) {
+			return {type: vertical > 0 ? 'swipe-up' : 'swipe-down', amount: vertical, duration};
+		}
+		let speed = duration > 0 ? Math.abs(horizontal) / duration * 1000 : Infinity;
+		if(Math.abs(horizontal) > options.dominance * Math.max(Math.abs(vertical), depth) && speed >= options.flickMinSpeed) {
+			return {type: horizontal > 0 ? 'flick-right' : 'flick-left', amount: horizontal, duration};
+		}
+	}
+
+	if(path >= options.circleMinLength && distance(first, last) <= options.circleMaxGap * path &&
+		samples.length >= 4 && turnAngle(samples) >= options.circleMinTurn) {
+		return {type: 'circle', duration};
+	}
+
+	return null;
+}
+
+/**
+ * Collects samples of a stroke and recognises it.
+ *
+ * Holds are reported as soon as the controller was held still long enough,
+ * all other gestures when the stroke ends.
+ *
+ * @param {Object} [options] thresholds, see DEFAULTS
+ * @return {Object} recognizer with start, addSample, end, cancel and the emitter methods
+ */
+function createGestureRecognizer(options) {
+	options = Object.assign({}, DEFAULTS, options);
+	let emitter = createEmitter();
+	let samples = null;
+	let held = false;
+
+	return Object.assign(emitter, {
+		start: function () {
+			samples = [];
+			held = false;
+		},
+
+		addSample: function ({x, y, z, t = Date.now()}) {
+			if(samples === null) return;
+			samples.push({x, y, z, t});
+			if(samples.length > options.maxSamples) samples.shift();
+			if(!held && isHold(samples, options)) {
+				held = true;
+				emitter.emit('gesture', {type: 'hold', duration: t - samples[0].t});
+			}
+		},
+
+		end: function (forward) {
+			if(samples === null) return null;
+			let gesture = held ? null : recognizeGesture(samples, Object.assign({}, options, {forward}));
+			samples = null;
+			if(gesture) emitter.emit('gesture', gesture);
+			return gesture;
+		},
+
+		cancel: function () {
+			samples = null;
+		}
+	});
+}
+
+module.exports = {
+	createGestureRecognizer,
+	recognizeGesture,
+	DEFAULTS
+};
@@ -0,0 +1,180 @@
+/**
+ * Spatial Hue groups.
+ *
+ * A group volume is a polygon on the floor, extruded up to the ceiling. It is
+ * drawn as a lasso with the controller or spans a set of placed lights. The
+ * lights inside a volume make up a Hue Room or Zone, one group per bridge,
+ * since groups can't span bridges.
+ *
+ * Volumes are plain objects, so they can be stored in idb:
+ *   {key, name, type, polygon: [{x, z}], bottom, top, groups: [{bridgeId, groupId}]}
+ */
+const {simplifyOutline} = require('./shapes.js');
+
+const DEFAULTS = {
+	bottom: 0, // floor height, in meters
+	height: 3, // min height of a volume
+	margin: 0.3, // distance of a volume around the selected lights
+	simplifyTolerance: 0.05
+};
+
+const TYPES = ['Room', 'Zone'];
+
+/**
+ * Convex hull of points on the floor, with Andrew's monotone chain.
+ *
+ * @param {Array} points [{x, z}]
+ * @return {Array} hull in counter clockwise order
+ */
+function convexHull(points) {
+	let sorted = points.slice().sort((a, b) => a.x - b.x || a.z - b.z);
+	if(sorted.length < 3) return sorted;
+	let turn = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+	let half = list => list.reduce((hull, point) => {
+		while(hull.length >= 2 && turn(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+		hull.push(point);
+		return hull;
+	}, []);
+	let lower = half(sorted);
+	let upper = half(sorted.slice().reverse());
+	return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Moves every vertex of a polygon away from its center.
+ */
+function expandPolygon(polygon, margin) {
+	let center = {
+		x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+		z: polygon.reduce((sum, p) => sum + p.z, 0) / polygon.length
+	};
+	return polygon.map(p => {
+		let dx = p.x - center.x;
+		let dz = p.z - center.z;
+		let d = Math.sqrt(dx * dx + dz * dz);
+		if(d === 0) return {x: p.x + margin, z: p.z};
+		return {x: p.x + dx / d * margin, z: p.z + dz / d * margin};
+	});
+}
+
+function pointInPolygon(point, polygon) {
+	let inside = false;
+	for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+		let a = polygon[i];
+		let b = polygon[j];
+		if((a.z > point.z) !== (b.z > point.z) && point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+function volumeHeight(points, options) {
+	let top = points.reduce((top, point) => Math.max(top, point.y), -Infinity);
+	return Math.max(options.bottom + options.height, top + options.margin);
+}
+
+/**
+ * Volume of a lasso drawn with the controller. Only the outline on the floor
+ * counts, the height the lasso was drawn at doesn't matter.
+ *
+ * @param {Array} points controller positions [{x, y, z}]
+ * @param {Object} [options] see DEFAULTS
+ * @return {Object} volume {polygon, bottom, top}
+ */
+function volumeFromLasso(points, options) {
+	options = Object.assign({}, DEFAULTS, options);
+	let outline = simplifyOutline(points.map(({x, z}) => ({x, y: 0, z})), options.simplifyTolerance);
+	if(outline.length < 3) throw new Error('The lasso needs to enclose an area');
+	return {
+		polygon: outline.map(({x, z}) => ({x, z})),
+		bottom: options.bottom,
+		top: options.bottom + options.height
+	};
+}
+
+/**
+ * Volume around placed lights.
+ *
+ * @param {Array} lights lights with position
+ * @param {Object} [options] see DEFAULTS
+ * @return {Object} volume {polygon, bottom, top}
+ */
+function volumeFromLights(lights, options) {
+	options = Object.assign({}, DEFAULTS, options);
+	let positions = lights.map(light => light.position);
+	if(positions.length === 0) throw new Error('Select at least one light');
+	let hull = convexHull(positions.map(({x, z}) => ({x, z})));
+	if(hull.length < 3) {
+		// A single light or a row of lights, give the volume some depth
+		let square = [];
+		hull.forEach(({x, z}) => [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([dx, dz]) => {
+			square.push({x: x + dx * options.margin, z: z + dz * options.margin});
+		}));
+		hull = convexHull(square);
+	} else {
+		hull = expandPolygon(hull, options.margin);
+	}
+	return {
+		polygon: hull,
+		bottom: options.bottom,
+		top: volumeHeight(positions, options)
+	};
+}
+
+/**
+ * Whether a position lies inside a volume.
+ */
+function containsPosition(volume, position) {
+	if(position === undefined || position.x === undefined) return false;
+	return position.y >= volume.bottom && position.y <= volume.top && pointInPolygon(position, volume.polygon);
+}
+
+/**
+ * Lights inside a volume.
+ *
+ * @param {Object} volume
+ * @param {Array} lights lights with position
+ * @return {Array} lights inside
+ */
+function lightsInVolume(volume, lights) {
+	return lights.filter(light => containsPosition(volume, light.position));
+}
+
+/**
+ * Group attributes per bridge for the lights of a volume.
+ *
+ * @param {Array} lights lights with bridgeId and number
+ * @param {Object} group {name, type, class}
+ * @return {Object} jsHue group data keyed by bridge id
+ */
+function groupsByBridge(lights, group) {
+	let groups = {};
+	lights.forEach(light => {
+		if(groups[light.bridgeId] === undefined) {
+			groups[light.bridgeId] = {name: group.name, type: group.type, lights: []};
+			if(group.type === 'Room') groups[light.bridgeId].class = group.class || 'Other';
+		}
+		groups[light.bridgeId].lights.push(String(light.number));
+	});
+	return groups;
+}
+
+/**
+ * Polygon as points attribute of the prism geometry, "x z, x z, …".
+ */
+function polygonAttribute(polygon) {
+	return polygon.map(({x, z}) => `${x.toFixed(3)} ${z.toFixed(3)}`).join(', ');
+}
+
+module.exports = {
+	volumeFromLasso,
+	volumeFromLights,
+	containsPosition,
+	lightsInVolume,
+	groupsByBridge,
+	polygonAttribute,
+	convexHull,
+	TYPES,
+	DEFAULTS
+};
@@ -0,0 +1,141 @@
+/**
+ * Undo and redo history of the app's changes.
+ *
+ * Entries are plain data, so the history can be stored in idb and survive
+ * reloads. Each has a type, a label for the UI and the states before and
+ * after the change; the app knows how to apply them:
+ *
+ *   {type: 'lights', label, before: {key: fields}, after: {key: fields}}
+ *   {type: 'layout', label, before: layout, after: layout}
+ *   {type: 'sceneLight', label, bridgeId, sceneId, light, before, after}
+ *   {type: 'reset', label, before: {idbKey: value}}
+ *
+ * Entries with the same merge key that follow each other quickly are merged
+ * into one, so a color sweep undoes at once.
+ */
+
+const DEFAULTS = {
+	limit: 50,
+	mergeTime: 1000 // ms since the last change an entry still takes changes with its merge key
+};
+
+const COLOR_FIELDS = ['xy', 'ct', 'hue', 'sat'];
+
+function clone(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Creates a history.
+ *
+ * @param {Object} [options] see DEFAULTS, and
+ * @param {Object} [options.stored] result of toJSON of an earlier history
+ * @param {Function} [options.now] clock in ms
+ * @return {Object} history with push, undo, redo and toJSON
+ */
+function createHistory(options) {
+	options = Object.assign({}, DEFAULTS, {now: Date.now}, options);
+	let stored = options.stored || {};
+	let done = stored.done || [];
+	let undone = stored.undone || [];
+
+	return {
+		/**
+		 * Adds a change, and drops the changes that were undone.
+		 *
+		 * @param {Object} entry
+		 * @param {String} [entry.merge] merge key
+		 */
+		push: function (entry) {
+			let time = options.now();
+			let last = done[done.length - 1];
+			undone = [];
+			if(entry.merge !== undefined && last && last.merge === entry.merge && time - last.time <= options.mergeTime) {
+				// Keep the first before of every key, take the latest after
+				let merged = clone(entry);
+				if(entry.type === 'lights') {
+					Object.keys(last.before).forEach(key => {
+						merged.before[key] = Object.assign({}, entry.before[key], last.before[key]);
+						merged.after[key] = Object.assign({}, last.after[key], entry.after[key]);
+					});
+				} else {
+					merged.before = last.before;
+				}
+				done[done.length - 1] = Object.assign(merged, {time});
+				return;
+			}
+			done.push(Object.assign(clone(entry), {time}));
+			if(done.length > options.limit) done.shift();
+		},
+
+		/**
+		 * @return {Object|undefined} the entry to revert, apply its before
+		 */
+		undo: function () {
+			let entry = done.pop();
+			if(entry) undone.push(entry);
+			return entry && clone(entry);
+		},
+
+		/**
+		 * @return {Object|undefined} the entry to do again, apply its after
+		 */
+		redo: function () {
+			let entry = undone.pop();
+			if(entry) done.push(entry);
+			return entry && clone(entry);
+		},
+
+		get undoLabel() {
+			return done.length > 0 ? done[done.length - 1].label : undefined;
+		},
+
+		get redoLabel() {
+			return undone.length > 0 ? undone[undone.length - 1].label : undefined;
+		},
+
+		toJSON: function () {
+			return clone({done, undone});
+		}
+	};
+}
+
+/**
+ * A 'lights' entry for changes sent to lights.
+ *
+ * Takes the fields the changes set from the lights' states before they are
+ * applied. Relative brightness changes are resolved, so the entry can be
+ * applied again.
+ *
+ * @param {Array} lights lights with key and state
+ * @param {Object|Function} changes fields, or (light) => fields
+ * @param {String} label
+ * @param {String} [merge] merge key, eg. for sweeps of one control
+ * @return {Object} entry
+ */
+function lightsEntry(lights, changes, label, merge) {
+	let before = {};
+	let after = {};
+	lights.forEach(light => {
+		let fields = Object.assign({}, typeof changes === 'function' ? changes(light) : changes);
+		delete fields.transitiontime;
+		if(fields.bri_inc !== undefined) {
+			fields.bri = Math.max(1, Math.min(254, (light.state.bri || 1) + fields.bri_inc));
+			delete fields.bri_inc;
+		}
+		let keys = Object.keys(fields);
+		if(keys.some(key => COLOR_FIELDS.indexOf(key) !== -1)) keys = keys.concat(COLOR_FIELDS, ['colormode']);
+		before[light.key] = {};
+		keys.filter(key => light.state[key] !== undefined).forEach(key => {
+			before[light.key][key] = light.state[key];
+		});
+		after[light.key] = fields;
+	});
+	return {type: 'lights', label, before, after, merge};
+}
+
+module.exports = {
+	createHistory,
+	lightsEntry,
+	DEFAULTS
+};
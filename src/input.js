@@ -0,0 +1,185 @@
+/**
+ * Controller inputs and their bindings to app actions.
+ *
+ * Controllers differ in their buttons and events: the Vive has a trackpad
+ * and a menu button, Oculus Touch a thumbstick and A/B/X/Y buttons, Windows
+ * Mixed Reality controllers both a thumbstick and a trackpad, gamepads only
+ * report button indices. The controller-input component translates their
+ * events to these inputs:
+ *
+ *   trigger, grip, primary (press of the trackpad or thumbstick),
+ *   primaryTouch (thumb on it), secondary, menu, faceA (A/X), faceB (B/Y)
+ *
+ * Actions are bound to inputs per controller type, so a binding can be
+ * changed for Oculus without changing it for the Vive.
+ */
+
+const INPUTS = ['trigger', 'grip', 'primary', 'primaryTouch', 'secondary', 'menu', 'faceA', 'faceB'];
+
+/**
+ * Actions of the app:
+ *  - configure: draw the outline of a light or a lasso while held
+ *  - toggle: switch the light or group pointed at
+ *  - select: choose in the scene menu and color picker, next light while configuring
+ *  - color: open the color picker while held
+ *  - gesture: record a gesture while held
+ *  - menu: open the scene menu, cycle the favourite colors
+ *  - effect: start the chosen light effect at the controller, or stop it
+ *  - undo, redo: undo or redo the last change, not bound by default
+ */
+const ACTIONS = ['configure', 'toggle', 'select', 'color', 'gesture', 'menu', 'effect', 'undo', 'redo'];
+
+/**
+ * Controller types, by the A-Frame component that handles them.
+ *
+ * events maps the button names in the component's events (trackpaddown,
+ * abuttonup, …) to inputs, touch the buttons that report touches. buttons
+ * maps Gamepad API button indices for the generic gamepad, which has no
+ * component. axes are the indices of the primary axis, invertY is set for
+ * thumbsticks, whose y points down.
+ */
+const PROFILES = {
+	'vive-controls': {
+		events: {trigger: 'trigger', grip: 'grip', trackpad: 'primary', menu: 'menu'},
+		touch: {trackpad: 'primaryTouch'},
+		axes: [0, 1],
+		invertY: false
+	},
+	'oculus-touch-controls': {
+		events: {trigger: 'trigger', grip: 'grip', thumbstick: 'primary', abutton: 'faceA', xbutton: 'faceA', bbutton: 'faceB', ybutton: 'faceB', surface: 'secondary'},
+		touch: {thumbstick: 'primaryTouch'},
+		axes: [0, 1],
+		invertY: true
+	},
+	'windows-motion-controls': {
+		events: {trigger: 'trigger', grip: 'grip', trackpad: 'primary', thumbstick: 'secondary', menu: 'menu'},
+		touch: {trackpad: 'primaryTouch'},
+		axes: [2, 3],
+		invertY: true
+	},
+	// Standard mapping of the Gamepad API: A, B, right bumper, right trigger,
+	// start, left stick press. Gamepads can't point, the thumb on the stick is
+	// a stick deflection.
+	'gamepad': {
+		buttons: {0: 'faceA', 1: 'faceB', 5: 'grip', 7: 'trigger', 9: 'menu', 10: 'primary', 11: 'secondary'},
+		axes: [0, 1],
+		invertY: true
+	}
+};
+
+const DEFAULT_BINDINGS = {
+	configure: 'trigger',
+	toggle: 'trigger',
+	select: 'primary',
+	color: 'primaryTouch',
+	gesture: 'grip',
+	menu: 'menu',
+	effect: 'secondary'
+};
+
+// Defaults that differ per controller type
+const TYPE_BINDINGS = {
+	// Oculus Touch has no menu button on the right controller
+	'oculus-touch-controls': {menu: 'faceB', effect: 'faceA'},
+	'gamepad': {select: 'faceA', menu: 'faceB'}
+};
+
+/**
+ * Inputs a controller type has.
+ *
+ * @param {String} type controller type
+ * @return {Array} input names
+ */
+function inputsOf(type) {
+	let profile = PROFILES[type];
+	if(profile === undefined) return INPUTS;
+	let inputs = []
+		.concat(Object.keys(profile.events || {}).map(name => profile.events[name]))
+		.concat(Object.keys(profile.touch || {}).map(name => profile.touch[name]))
+		.concat(Object.keys(profile.buttons || {}).map(index => profile.buttons[index]));
+	// The gamepad emulates the thumb touch with the stick
+	if(profile.buttons) inputs.push('primaryTouch');
+	return INPUTS.filter(input => inputs.indexOf(input) !== -1);
+}
+
+/**
+ * Bindings of a controller type, the defaults with the stored changes.
+ *
+ * @param {String} type controller type
+ * @param {Object} [stored] stored bindings of all types, {type: {action: input}}
+ * @return {Object} {action: input}
+ */
+function bindingsFor(type, stored) {
+	let inputs = inputsOf(type);
+	let bindings = Object.assign({}, DEFAULT_BINDINGS, TYPE_BINDINGS[type], stored && stored[type]);
+	// Drop bindings to inputs the controller doesn't have, eg. from an older version
+	Object.keys(bindings).forEach(action => {
+		if(ACTIONS.indexOf(action) === -1 || inputs.indexOf(bindings[action]) === -1) delete bindings[action];
+	});
+	return bindings;
+}
+
+// Actions left out while the app is in a mode, eg. the trigger toggles
+// lights by default but not while it draws an outline
+const MODE_EXCLUDED = {
+	outline: ['toggle']
+};
+
+/**
+ * Actions bound to an input.
+ *
+ * @param {Object} bindings result of bindingsFor
+ * @param {String} input
+ * @param {String} [mode] 'outline' while drawing the outline of a light, a
+ *   room or a sensor to place, see MODE_EXCLUDED
+ * @return {Array} action names
+ */
+function actionsFor(bindings, input, mode) {
+	let excluded = MODE_EXCLUDED[mode] || [];
+	return ACTIONS.filter(action => bindings[action] === input && excluded.indexOf(action) === -1);
+}
+
+/**
+ * Input of a controller component event.
+ *
+ * @param {String} type controller type
+ * @param {String} eventName eg. 'trackpadtouchstart'
+ * @return {Object|undefined} {input, down}
+ */
+function inputOfEvent(type, eventName) {
+	let profile = PROFILES[type];
+	if(profile === undefined) return;
+	let match = eventName.match(/^(.+?)(down|up|touchstart|touchend)$/);
+	if(!match) return;
+	let [, button, phase] = match;
+	let inputs = phase === 'down' || phase === 'up' ? profile.events : profile.touch;
+	let input = inputs && inputs[button];
+	return input ? {input, down: phase === 'down' || phase === 'touchstart'} : undefined;
+}
+
+/**
+ * Primary axis of an axismove event, with y pointing up.
+ *
+ * @param {String} type controller type
+ * @param {Array} axis all axes of the controller
+ * @return {Array|undefined} [x, y]
+ */
+function primaryAxis(type, axis) {
+	let profile = PROFILES[type];
+	if(profile === undefined) return;
+	let [x, y] = profile.axes.map(index => axis[index]);
+	if(x === undefined || y === undefined) return;
+	return [x, profile.invertY ? -y : y];
+}
+
+module.exports = {
+	inputsOf,
+	bindingsFor,
+	actionsFor,
+	inputOfEvent,
+	primaryAxis,
+	INPUTS,
+	ACTIONS,
+	PROFILES,
+	DEFAULT_BINDINGS
+};
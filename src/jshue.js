@@ -9,6 +9,73 @@
  * @copyright Copyright (c) 2017 Tom Brewe (fetch API and promise changes)
  */
 
+/**
+ * Error reported by the bridge.
+ *
+ * The bridge answers failed requests with HTTP 200 and a response array like
+ * [{error: {type, address, description}}]. Each known error type has its own
+ * subclass in jsHueAPI.errors, e.g. jsHueAPI.errors.UnauthorizedUser.
+ *
+ * @class jsHueError
+ * @extends Error
+ * @constructor
+ * @param {Object} error error object from the response ({type, address, description})
+ * @param {Array} [response] complete bridge response
+ */
+class jsHueError extends Error {
+    constructor(error, response) {
+        super(error.description);
+        this.name = this.constructor.name;
+        this.type = error.type;
+        this.address = error.address;
+        this.description = error.description;
+        this.response = response;
+    }
+}
+
+/**
+ * Creates a jsHueError subclass for a bridge error type.
+ *
+ * @method _defineError
+ * @private
+ * @param {String} name class name
+ * @param {Number} type bridge error type
+ * @return {Function} error class
+ */
+var _defineError = function(name, type) {
+    var errorClass = class extends jsHueError {};
+    Object.defineProperty(errorClass, 'name', {value: name});
+    errorClass.type = type;
+    return errorClass;
+};
+
+/**
+ * Typed bridge errors, keyed by name.
+ *
+ * See https://developers.meethue.com/documentation/error-messages
+ *
+ * @property errors
+ * @type Object
+ */
+var jsHueErrors = {
+    HueError: jsHueError,
+    UnauthorizedUser: _defineError('UnauthorizedUser', 1),
+    InvalidJson: _defineError('InvalidJson', 2),
+    ResourceUnavailable: _defineError('ResourceUnavailable', 3),
+    MethodUnavailable: _defineError('MethodUnavailable', 4),
+    MissingParameters: _defineError('MissingParameters', 5),
+    ParameterUnavailable: _defineError('ParameterUnavailable', 6),
+    InvalidValue: _defineError('InvalidValue', 7),
+    ParameterNotModifiable: _defineError('ParameterNotModifiable', 8),
+    TooManyItems: _defineError('TooManyItems', 11),
+    PortalConnectionRequired: _defineError('PortalConnectionRequired', 12),
+    InternalError: _defineError('InternalError', 901),
+    LinkButtonNotPressed: _defineError('LinkButtonNotPressed', 101),
+    DeviceOff: _defineError('DeviceOff', 201),
+    GroupTableFull: _defineError('GroupTableFull', 301),
+    DeviceTableFull: _defineError('DeviceTableFull', 302)
+};
+
 /**
  * jsHue API class.
  *
@@ -16,9 +83,13 @@
  * @constructor
  * @param {Function} fetch fetch dependency
  * @param {Object} JSON JSON dependency
+ * @param {Object} [options] options
+ * @param {Object} [options.rates] bridge write budgets in requests per second, {light: 10, group: 1}
  * @return {Object} instance
  */
-var jsHueAPI = function(fetch, JSON) {
+var jsHueAPI = function(fetch, JSON, options) {
+    options = options || {};
+    var _rates = Object.assign({light: 10, group: 1}, options.rates);
 
     /**
      * Concatenates strings for URLs.
@@ -37,23 +108,60 @@ var jsHueAPI = function(fetch, JSON) {
     
 
     /**
+     * Rejects bridge responses that only contain errors.
+     *
+     * The first error entry of the response determines the error class. The
+     * whole response is available as the `response` property of the error.
+     * Partly successful responses, eg. a state with `sat` for a white light,
+     * resolve with the success and error entries.
+     *
+     * @method _checkResponse
+     * @private
+     * @param {Object} json parsed bridge response
+     * @return {Object} the unchanged response if anything succeeded
+     */
+    var _checkResponse = function(json) {
+        if(Array.isArray(json) && json.length > 0 && json.every(item => item && item.error)) {
+            var failed = json[0];
+            var errorClass = Object.keys(jsHueErrors)
+                .map(name => jsHueErrors[name])
+                .find(errorClass => errorClass.type === failed.error.type) || jsHueError;
+            throw new errorClass(failed.error, json);
+        }
+        return json;
+    };
+
+    /**
+     * Performs fetch request with JSON.
      *
      * @method _requestJson
      * @private
      * @param {String} method GET, PUT, POST, or DELETE
      * @param {String} url request URL
      * @param {Object} data request data object to serialize for request JSON
-     * @return {Boolean} true if request was sent, false otherwise
+     * @return {Promise} resolves with the response JSON, rejects with a jsHueError
      */
     var _requestJson = function(method, url, data) {
         if(data !== null) {
             data = JSON.stringify(data);
         }
         
-        return fetch(url, {method: method, body: data}).then(blob => blob.json());
+        return fetch(url, {method: method, body: data}).then(blob => blob.json()).then(_checkResponse);
         
     };
 
+    /**
+     * Returns a promise that resolves after the given time.
+     *
+     * @method _wait
+     * @private
+     * @param {Number} ms milliseconds
+     * @return {Promise}
+     */
+    var _wait = function(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    };
+
     /**
      * Performs fetch request with JSON (no body).
      *
@@ -142,6 +250,150 @@ var jsHueAPI = function(fetch, JSON) {
         };
     };
 
+    /**
+     * Value ranges of the state parameters that have increments.
+     *
+     * @property _ranges
+     * @private
+     * @type Object
+     */
+    var _ranges = {
+        bri: [1, 254],
+        sat: [0, 254],
+        ct: [153, 500],
+        xy: [0, 1]
+    };
+
+    /**
+     * Adds an increment to an absolute state value, within the parameter's
+     * range. Hue wraps around like on the bridge.
+     *
+     * @method _increment
+     * @private
+     * @param {String} key parameter name
+     * @param {Number|Array} value absolute value
+     * @param {Number|Array} inc increment
+     * @return {Number|Array} incremented value
+     */
+    var _increment = function(key, value, inc) {
+        if(Array.isArray(value)) {
+            return value.map((v, i) => _increment(key, v, inc[i]));
+        }
+        if(key === 'hue') {
+            return ((value + inc) % 65536 + 65536) % 65536;
+        }
+        var range = _ranges[key];
+        return Math.min(range[1], Math.max(range[0], value + inc));
+    };
+
+    /**
+     * Merges a state update into a pending one, the last value wins.
+     *
+     * An increment (bri_inc, ...) is added to a pending absolute value of its
+     * parameter, or to a pending increment if there is no absolute value.
+     * Color parameters of different color modes exclude each other, so
+     * setting xy drops a pending hue/sat or ct and vice versa.
+     *
+     * @method _mergeState
+     * @private
+     * @param {Object} pending pending state data, modified in place
+     * @param {Object} data new state data
+     * @return {Object} merged state data
+     */
+    var _mergeState = function(pending, data) {
+        var colorModes = [['xy'], ['ct'], ['hue', 'sat']];
+        colorModes.forEach(mode => {
+            if(mode.some(key => key in data || `${key}_inc` in data)) {
+                colorModes.filter(other => other !== mode).forEach(other => other.forEach(key => {
+                    delete pending[key];
+                    delete pending[`${key}_inc`];
+                }));
+            }
+        });
+        Object.keys(data).forEach(key => {
+            var match = key.match(/^(.+)_inc$/);
+            if(match && match[1] in pending) {
+                pending[match[1]] = _increment(match[1], pending[match[1]], data[key]);
+            } else if(match && key in pending) {
+                pending[key] = Array.isArray(data[key]) ?
+                    data[key].map((value, i) => value + pending[key][i]) :
+                    pending[key] + data[key];
+            } else {
+                pending[key] = data[key];
+            }
+            if(!match) delete pending[`${key}_inc`];
+        });
+        return pending;
+    };
+
+    /**
+     * Creates a command scheduler for state writes to one bridge.
+     *
+     * Writes are queued per URL. A write to a URL that is still queued is
+     * merged into the queued one (see _mergeState). Every kind of resource
+     * (light, group) has its own rate budget, queued writes are sent in
+     * order of priority, then in order of arrival.
+     *
+     * @method _createScheduler
+     * @private
+     * @return {Object} scheduler with a single enqueue method
+     */
+    var _createScheduler = function() {
+        var _pending = new Map(),
+            _nextSlot = {},
+            _timer = null,
+            _seq = 0;
+
+        var _send = function(entry) {
+            _put(entry.url, entry.data).then(
+                response => entry.callbacks.forEach(callbacks => callbacks.resolve(response)),
+                e => entry.callbacks.forEach(callbacks => callbacks.reject(e))
+            );
+        };
+
+        var _pump = function() {
+            clearTimeout(_timer);
+            _timer = null;
+            var now = Date.now();
+            var entries = Array.from(_pending.values());
+            var ready = entries.filter(entry => (_nextSlot[entry.kind] || 0) <= now);
+
+            ready.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+            ready.forEach(entry => {
+                // Only one write per kind and slot, the rest waits for the next one
+                if((_nextSlot[entry.kind] || 0) > now) return;
+                _nextSlot[entry.kind] = now + 1000 / _rates[entry.kind];
+                _pending.delete(entry.url);
+                _send(entry);
+            });
+
+            if(_pending.size > 0) {
+                var next = Math.min.apply(null, Array.from(_pending.values()).map(entry => _nextSlot[entry.kind]));
+                _timer = setTimeout(_pump, Math.max(0, next - now));
+            }
+        };
+
+        return {
+            enqueue: function(kind, url, data, priority) {
+                if(priority === undefined) priority = jsHueAPI.PRIORITY.NORMAL;
+                return new Promise((resolve, reject) => {
+                    var entry = _pending.get(url);
+                    if(entry) {
+                        _mergeState(entry.data, data);
+                        entry.priority = Math.max(entry.priority, priority);
+                    } else {
+                        entry = {kind: kind, url: url, data: Object.assign({}, data), priority: priority, seq: _seq++, callbacks: []};
+                        _pending.set(url, entry);
+                    }
+                    entry.callbacks.push({resolve: resolve, reject: reject});
+                    _pump();
+                });
+            }
+        };
+    };
+
+    var _schedulers = {};
+
     return {
         /* ================================================== */
         /* Portal API                                         */
@@ -166,6 +418,7 @@ var jsHueAPI = function(fetch, JSON) {
              * @class jsHueBridge
              */
             var _bridgeUrl = `http://${ip}/api`;
+            var _scheduler = _schedulers[ip] = _schedulers[ip] || _createScheduler();
             return {
                 /**
                  * Creates new user in bridge whitelist.
@@ -181,6 +434,37 @@ var jsHueAPI = function(fetch, JSON) {
                     return _post(_bridgeUrl, data);
                 },
 
+                /**
+                 * Pairs with the bridge by polling createUser until the link
+                 * button is pressed.
+                 *
+                 * Rejects with jsHueAPI.errors.LinkButtonNotPressed if the
+                 * button was not pressed before the timeout.
+                 *
+                 * @method pair
+                 * @param {String} type device type
+                 * @param {Object} [options]
+                 * @param {Number} [options.interval=1000] ms between attempts
+                 * @param {Number} [options.timeout=30000] ms until giving up
+                 * @param {Function} [options.onWaiting] called after each attempt while the button is not pressed
+                 * @return {Promise} resolves with the new username
+                 */
+                pair: function(type, options) {
+                    options = Object.assign({interval: 1000, timeout: 30000}, options);
+                    var start = Date.now();
+                    var attempt = () => this.createUser(type).then(
+                        response => response[0].success.username,
+                        e => {
+                            if(!(e instanceof jsHueErrors.LinkButtonNotPressed) || Date.now() - start + options.interval > options.timeout) {
+                                throw e;
+                            }
+                            if(options.onWaiting) options.onWaiting(e);
+                            return _wait(options.interval).then(attempt);
+                        }
+                    );
+                    return attempt();
+                },
+
                 /**
                  * Creates user object (jsHueUser).
                  *
@@ -324,14 +608,19 @@ var jsHueAPI = function(fetch, JSON) {
                         /**
                          * Sets light state.
                          *
+                         * Goes through the bridge's command scheduler: updates of a
+                         * light that are still queued are merged, the bridge gets at
+                         * most rates.light light updates per second.
+                         *
                          * @method setLightState
                          * @param {Number} id light ID
                          * @param {Object} data state data
-                         * @return {Boolean} true if request was sent, false otherwise
+                         * @param {Number} [priority=jsHueAPI.PRIORITY.NORMAL] priority of the write
+                         * @return {Promise} resolves when the write was sent to the bridge
                          */
-                        setLightState: _parametrize(_put, function(id) {
-                            return _slash(_lightUrl(id), 'state');
-                        }),
+                        setLightState: function(id, data, priority) {
+                            return _scheduler.enqueue('light', _slash(_lightUrl(id), 'state'), data, priority);
+                        },
 
                         /* ================================================== */
                         /* Groups API                                         */
@@ -372,14 +661,18 @@ var jsHueAPI = function(fetch, JSON) {
                         /**
                          * Sets group state.
                          *
+                         * Goes through the bridge's command scheduler, like
+                         * setLightState, with the rates.group budget.
+                         *
                          * @method setGroupState
                          * @param {Number} id group ID
                          * @param {Object} data state data
-                         * @return {Boolean} true if request was sent, false otherwise
+                         * @param {Number} [priority=jsHueAPI.PRIORITY.NORMAL] priority of the write
+                         * @return {Promise} resolves when the write was sent to the bridge
                          */
-                        setGroupState: _parametrize(_put, function(id) {
-                            return _slash(_groupUrl(id), 'action');
-                        }),
+                        setGroupState: function(id, data, priority) {
+                            return _scheduler.enqueue('group', _slash(_groupUrl(id), 'action'), data, priority);
+                        },
                         /**
                          * Deletes a group.
                          *
@@ -445,6 +738,26 @@ var jsHueAPI = function(fetch, JSON) {
                          * @return {Boolean} true if request was sent, false otherwise
                          */
                         getScenes: _get.bind(null, _scenesUrl),
+                        /**
+                         * Creates a scene.
+                         *
+                         * Resolves with the id of the new scene in the
+                         * success response, [{success: {id}}].
+                         *
+                         * @method createScene
+                         * @param {Object} data scene data, with lightstates to
+                         * store other states than the current ones
+                         * @return {Promise} resolves with the response
+                         */
+                        createScene: _post.bind(null, _scenesUrl),
+                        /**
+                         * Gets scene attributes, including its light states.
+                         *
+                         * @method getScene
+                         * @param {String} id scene ID
+                         * @return {Promise} resolves with the scene
+                         */
+                        getScene: _parametrize(_get, _sceneUrl),
                         /**
                          * Creates or updates a scene.
                          *
@@ -463,9 +776,17 @@ var jsHueAPI = function(fetch, JSON) {
                          * @param {Object} data scene light state data
                          * @return {Boolean} true if request was sent, false otherwise
                          */
-                        setSceneLightState: function(sceneId, lightId, data, success, callback) {
-                            return _put(_slash(_sceneUrl(sceneId), 'lights', lightId, 'state'), data, success, callback);
+                        setSceneLightState: function(sceneId, lightId, data) {
+                            return _put(_slash(_sceneUrl(sceneId), 'lights', lightId, 'state'), data);
                         },
+                        /**
+                         * Deletes a scene.
+                         *
+                         * @method deleteScene
+                         * @param {String} id scene ID
+                         * @return {Promise} resolves with the response
+                         */
+                        deleteScene: _parametrize(_delete, _sceneUrl),
 
                         /* ================================================== */
                         /* Sensors API                                        */
@@ -601,17 +922,46 @@ var jsHueAPI = function(fetch, JSON) {
     };
 };
 
-if(typeof fetch !== 'undefined' && typeof JSON !== 'undefined') {
-    /**
-     * jsHue class.
-     *
-     * @class jsHue
-     * @extends jsHueAPI
-     * @constructor
-     * @return {Object} instance
-     */
-    var jsHue = jsHueAPI.bind(null, fetch, JSON);
-    if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
-        module.exports = jsHue;
-    }
+jsHueAPI.errors = jsHueErrors;
+
+/**
+ * Priorities for state writes, higher values are sent first.
+ *
+ * @property PRIORITY
+ * @type Object
+ */
+jsHueAPI.PRIORITY = {
+    BACKGROUND: 0,
+    NORMAL: 1,
+    INTERACTION: 2
+};
+
+/**
+ * jsHue class.
+ *
+ * Uses the global fetch by default, looked up on each request so it can be
+ * replaced later, eg. by the emulator's in-page fetch. Pass options.fetch
+ * where there is none, eg. in Node versions before 18.
+ *
+ * @class jsHue
+ * @extends jsHueAPI
+ * @constructor
+ * @param {Object} [options] options of jsHueAPI, and
+ * @param {Function} [options.fetch] fetch implementation
+ * @return {Object} instance
+ */
+var jsHue = function(options) {
+    options = options || {};
+    var _fetch = options.fetch || function(url, init) {
+        if(typeof fetch === 'undefined') {
+            return Promise.reject(new Error('No fetch implementation, pass one as options.fetch'));
+        }
+        return fetch(url, init);
+    };
+    return jsHueAPI(_fetch, JSON, options);
+};
+jsHue.errors = jsHueErrors;
+jsHue.PRIORITY = jsHueAPI.PRIORITY;
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = jsHue;
 }
@@ -0,0 +1,521 @@
+/**
+ * jsHue v2
+ * JavaScript library for the Philips Hue CLIP API v2.
+ *
+ * Same promise-based style as jsHue (v1). Resources are addressed by their
+ * stable UUID instead of the numeric v1 index.
+ *
+ * @module jshue2
+ * @version 1.0.0
+ */
+
+/**
+ * Bridges with this software version or newer support CLIP v2.
+ *
+ * @property V2_MIN_SWVERSION
+ * @type Number
+ */
+var V2_MIN_SWVERSION = 1948086000;
+
+/**
+ * Error reported by a CLIP v2 request.
+ *
+ * @class jsHueV2Error
+ * @extends Error
+ * @constructor
+ * @param {Array} errors error objects of the response ({description})
+ * @param {Number} status HTTP status
+ * @param {Object} [response] complete response
+ */
+class jsHueV2Error extends Error {
+    constructor(errors, status, response) {
+        super(errors.map(error => error.description).join(', ') || `HTTP ${status}`);
+        this.name = 'jsHueV2Error';
+        this.errors = errors;
+        this.status = status;
+        this.response = response;
+    }
+}
+
+/**
+ * Checks if a bridge config (v1 getConfig or the unauthenticated /api/config)
+ * belongs to a bridge that speaks CLIP v2.
+ *
+ * @method supportsV2
+ * @param {Object} config bridge config
+ * @return {Boolean}
+ */
+var supportsV2 = function(config) {
+    return config.modelid === 'BSB002' && parseInt(config.swversion) >= V2_MIN_SWVERSION;
+};
+
+/**
+ * jsHue v2 API class.
+ *
+ * @class jsHueV2API
+ * @constructor
+ * @param {Function} fetch fetch dependency
+ * @param {Object} JSON JSON dependency
+ * @param {TextDecoder} [TextDecoder] TextDecoder dependency, needed for the event stream
+ * @return {Object} instance
+ */
+var jsHueV2API = function(fetch, JSON, TextDecoder) {
+
+    /**
+     * Performs fetch request with JSON against a CLIP v2 endpoint.
+     *
+     * @method _request
+     * @private
+     * @param {String} method GET, PUT, POST, or DELETE
+     * @param {String} url request URL
+     * @param {String} key application key
+     * @param {Object} [data] request data object
+     * @return {Promise} resolves with the data array of the response
+     */
+    var _request = function(method, url, key, data) {
+        var init = {method: method, headers: {'hue-application-key': key}};
+        if(data !== undefined) {
+            init.body = JSON.stringify(data);
+            init.headers['Content-Type'] = 'application/json';
+        }
+        return fetch(url, init).then(response => response.json().then(json => {
+            if((json.errors && json.errors.length > 0) || !response.ok) {
+                throw new jsHueV2Error(json.errors || [], response.status, json);
+            }
+            return json.data;
+        }));
+    };
+
+    /**
+     * Splits a server-sent events chunk into complete messages.
+     *
+     * @method _parseEvents
+     * @private
+     * @param {String} buffer received text
+     * @return {Object} {events, rest} parsed event lists and the incomplete remainder
+     */
+    var _parseEvents = function(buffer) {
+        var messages = buffer.split('\n\n');
+        var rest = messages.pop();
+        var events = [];
+        messages.forEach(message => {
+            var data = message.split('\n')
+                .filter(line => line.indexOf('data:') === 0)
+                .map(line => line.slice(5).trim())
+                .join('');
+            if(data.length > 0) events = events.concat(JSON.parse(data));
+        });
+        return {events: events, rest: rest};
+    };
+
+    return {
+        /**
+         * Checks which API version a bridge supports.
+         *
+         * Uses the unauthenticated config, so no user is needed.
+         *
+         * @method apiVersion
+         * @param {String} ip ip address or hostname of bridge
+         * @return {Promise} resolves with 1 or 2
+         */
+        apiVersion: function(ip) {
+            return fetch(`http://${ip}/api/config`)
+                .then(response => response.json())
+                .then(config => supportsV2(config) ? 2 : 1);
+        },
+
+        /**
+         * Creates bridge object (jsHueV2Bridge).
+         *
+         * @method bridge
+         * @param {String} ip ip address or hostname of bridge
+         * @return {Object} bridge object
+         */
+        bridge: function(ip) {
+            /**
+             * @class jsHueV2Bridge
+             */
+            var _resourceUrl = `https://${ip}/clip/v2/resource`,
+                _eventStreamUrl = `https://${ip}/eventstream/clip/v2`;
+
+            return {
+                /**
+                 * Creates user object (jsHueV2User).
+                 *
+                 * The application key is the username of the v1 API.
+                 *
+                 * @method user
+                 * @param {String} key application key
+                 * @return {Object} user object
+                 */
+                user: function(key) {
+                    /**
+                     * @class jsHueV2User
+                     */
+                    var _url = function(type, id) {
+                        return [_resourceUrl, type, id].filter(part => part !== undefined).join('/');
+                    };
+
+                    /**
+                     * Creates get/set/create/delete methods for a resource type.
+                     *
+                     * @method _resource
+                     * @private
+                     * @param {String} type resource type, eg. 'light'
+                     * @return {Object} methods
+                     */
+                    var _resource = function(type) {
+                        return {
+                            list: () => _request('GET', _url(type), key),
+                            get: id => _request('GET', _url(type, id), key).then(data => data[0]),
+                            set: (id, data) => _request('PUT', _url(type, id), key, data),
+                            create: data => _request('POST', _url(type), key, data),
+                            remove: id => _request('DELETE', _url(type, id), key)
+                        };
+                    };
+
+                    var _light = _resource('light'),
+                        _groupedLight = _resource('grouped_light'),
+                        _scene = _resource('scene'),
+                        _zone = _resource('zone'),
+                        _room = _resource('room'),
+                        _device = _resource('device'),
+                        _entertainment = _resource('entertainment_configuration');
+
+                    return {
+                        /**
+                         * Gets all resources of a type.
+                         *
+                         * @method getResources
+                         * @param {String} [type] resource type, all resources if omitted
+                         * @return {Promise} resolves with the resources
+                         */
+                        getResources: function(type) {
+                            return _request('GET', _url(type), key);
+                        },
+
+                        /* ================================================== */
+                        /* Lights                                             */
+                        /* ================================================== */
+
+                        /**
+                         * Gets lights.
+                         *
+                         * @method getLights
+                         * @return {Promise} resolves with the lights
+                         */
+                        getLights: _light.list,
+                        /**
+                         * Gets a light.
+                         *
+                         * @method getLight
+                         * @param {String} id light id
+                         * @return {Promise} resolves with the light
+                         */
+                        getLight: _light.get,
+                        /**
+                         * Sets light state and attributes.
+                         *
+                         * @method setLight
+                         * @param {String} id light id
+                         * @param {Object} data eg. {on: {on: true}, dimming: {brightness: 50}}
+                         * @return {Promise}
+                         */
+                        setLight: _light.set,
+
+                        /* ================================================== */
+                        /* Grouped lights                                     */
+                        /* ================================================== */
+
+                        /**
+                         * Gets grouped lights (light services of rooms and zones).
+                         *
+                         * @method getGroupedLights
+                         * @return {Promise} resolves with the grouped lights
+                         */
+                        getGroupedLights: _groupedLight.list,
+                        /**
+                         * Gets a grouped light.
+                         *
+                         * @method getGroupedLight
+                         * @param {String} id grouped light id
+                         * @return {Promise} resolves with the grouped light
+                         */
+                        getGroupedLight: _groupedLight.get,
+                        /**
+                         * Sets the state of all lights of a grouped light.
+                         *
+                         * @method setGroupedLight
+                         * @param {String} id grouped light id
+                         * @param {Object} data state data
+                         * @return {Promise}
+                         */
+                        setGroupedLight: _groupedLight.set,
+
+                        /* ================================================== */
+                        /* Scenes                                             */
+                        /* ================================================== */
+
+                        /**
+                         * Gets scenes.
+                         *
+                         * @method getScenes
+                         * @return {Promise} resolves with the scenes
+                         */
+                        getScenes: _scene.list,
+                        /**
+                         * Gets a scene.
+                         *
+                         * @method getScene
+                         * @param {String} id scene id
+                         * @return {Promise} resolves with the scene
+                         */
+                        getScene: _scene.get,
+                        /**
+                         * Updates or recalls a scene.
+                         *
+                         * @method setScene
+                         * @param {String} id scene id
+                         * @param {Object} data eg. {recall: {action: 'active'}}
+                         * @return {Promise}
+                         */
+                        setScene: _scene.set,
+                        /**
+                         * Creates a scene.
+                         *
+                         * @method createScene
+                         * @param {Object} data scene data
+                         * @return {Promise} resolves with the reference of the new scene
+                         */
+                        createScene: _scene.create,
+                        /**
+                         * Deletes a scene.
+                         *
+                         * @method deleteScene
+                         * @param {String} id scene id
+                         * @return {Promise}
+                         */
+                        deleteScene: _scene.remove,
+
+                        /* ================================================== */
+                        /* Rooms and zones                                    */
+                        /* ================================================== */
+
+                        /**
+                         * Gets rooms.
+                         *
+                         * @method getRooms
+                         * @return {Promise} resolves with the rooms
+                         */
+                        getRooms: _room.list,
+                        /**
+                         * Gets a room.
+                         *
+                         * @method getRoom
+                         * @param {String} id room id
+                         * @return {Promise} resolves with the room
+                         */
+                        getRoom: _room.get,
+                        /**
+                         * Updates a room.
+                         *
+                         * @method setRoom
+                         * @param {String} id room id
+                         * @param {Object} data room data
+                         * @return {Promise}
+                         */
+                        setRoom: _room.set,
+                        /**
+                         * Creates a room.
+                         *
+                         * @method createRoom
+                         * @param {Object} data room data
+                         * @return {Promise} resolves with the reference of the new room
+                         */
+                        createRoom: _room.create,
+                        /**
+                         * Deletes a room.
+                         *
+                         * @method deleteRoom
+                         * @param {String} id room id
+                         * @return {Promise}
+                         */
+                        deleteRoom: _room.remove,
+                        /**
+                         * Gets zones.
+                         *
+                         * @method getZones
+                         * @return {Promise} resolves with the zones
+                         */
+                        getZones: _zone.list,
+                        /**
+                         * Gets a zone.
+                         *
+                         * @method getZone
+                         * @param {String} id zone id
+                         * @return {Promise} resolves with the zone
+                         */
+                        getZone: _zone.get,
+                        /**
+                         * Updates a zone.
+                         *
+                         * @method setZone
+                         * @param {String} id zone id
+                         * @param {Object} data zone data
+                         * @return {Promise}
+                         */
+                        setZone: _zone.set,
+                        /**
+                         * Creates a zone.
+                         *
+                         * @method createZone
+                         * @param {Object} data zone data
+                         * @return {Promise} resolves with the reference of the new zone
+                         */
+                        createZone: _zone.create,
+                        /**
+                         * Deletes a zone.
+                         *
+                         * @method deleteZone
+                         * @param {String} id zone id
+                         * @return {Promise}
+                         */
+                        deleteZone: _zone.remove,
+
+                        /* ================================================== */
+                        /* Devices                                            */
+                        /* ================================================== */
+
+                        /**
+                         * Gets devices.
+                         *
+                         * @method getDevices
+                         * @return {Promise} resolves with the devices
+                         */
+                        getDevices: _device.list,
+                        /**
+                         * Gets a device.
+                         *
+                         * @method getDevice
+                         * @param {String} id device id
+                         * @return {Promise} resolves with the device
+                         */
+                        getDevice: _device.get,
+
+                        /* ================================================== */
+                        /* Entertainment configurations                       */
+                        /* ================================================== */
+
+                        /**
+                         * Gets entertainment configurations.
+                         *
+                         * @method getEntertainmentConfigurations
+                         * @return {Promise} resolves with the entertainment configurations
+                         */
+                        getEntertainmentConfigurations: _entertainment.list,
+                        /**
+                         * Gets an entertainment configuration.
+                         *
+                         * @method getEntertainmentConfiguration
+                         * @param {String} id entertainment configuration id
+                         * @return {Promise} resolves with the entertainment configuration
+                         */
+                        getEntertainmentConfiguration: _entertainment.get,
+                        /**
+                         * Starts or stops streaming of an entertainment configuration.
+                         *
+                         * @method setEntertainmentConfiguration
+                         * @param {String} id entertainment configuration id
+                         * @param {Object} data eg. {action: 'start'}
+                         * @return {Promise}
+                         */
+                        setEntertainmentConfiguration: _entertainment.set,
+
+                        /* ================================================== */
+                        /* Event stream                                       */
+                        /* ================================================== */
+
+                        /**
+                         * Listens to the event stream.
+                         *
+                         * @method eventStream
+                         * @param {Function} listener called with each event ({type, data: [resource updates]})
+                         * @return {Object} {done, close} done resolves when the stream ends and
+                         *  rejects if it can't be opened, close ends it
+                         */
+                        eventStream: function(listener) {
+                            var controller = typeof AbortController !== 'undefined' ? new AbortController() : null,
+                                closed = false;
+
+                            var read = async function() {
+                                var response = await fetch(_eventStreamUrl, {
+                                    headers: {'hue-application-key': key, Accept: 'text/event-stream'},
+                                    signal: controller ? controller.signal : undefined
+                                });
+                                if(!response.ok || !response.body) {
+                                    throw new jsHueV2Error([], response.status);
+                                }
+
+                                var reader = response.body.getReader(),
+                                    decoder = new TextDecoder(),
+                                    buffer = '';
+
+                                for(;;) {
+                                    var chunk = await reader.read();
+                                    if(chunk.done || closed) return;
+                                    var parsed = _parseEvents(buffer + decoder.decode(chunk.value, {stream: true}));
+                                    buffer = parsed.rest;
+                                    parsed.events.forEach(listener);
+                                }
+                            };
+
+                            return {
+                                done: read().catch(e => {
+                                    if(!closed) throw e;
+                                }),
+                                close: function() {
+                                    closed = true;
+                                    if(controller) controller.abort();
+                                }
+                            };
+                        }
+                    };
+                }
+            };
+        }
+    };
+};
+
+jsHueV2API.supportsV2 = supportsV2;
+jsHueV2API.Error = jsHueV2Error;
+
+/**
+ * jsHueV2 class.
+ *
+ * Uses the global fetch by default, looked up on each request so it can be
+ * replaced later, like jsHue. Pass options.fetch where there is none.
+ *
+ * @class jsHueV2
+ * @extends jsHueV2API
+ * @constructor
+ * @param {Object} [options] options
+ * @param {Function} [options.fetch] fetch implementation
+ * @param {Function} [options.TextDecoder] TextDecoder implementation, for the event stream
+ * @return {Object} instance
+ */
+var jsHueV2 = function(options) {
+    options = options || {};
+    var _fetch = options.fetch || function(url, init) {
+        if(typeof fetch === 'undefined') {
+            return Promise.reject(new Error('No fetch implementation, pass one as options.fetch'));
+        }
+        return fetch(url, init);
+    };
+    var _TextDecoder = options.TextDecoder || (typeof TextDecoder !== 'undefined' ? TextDecoder : undefined);
+    return jsHueV2API(_fetch, JSON, _TextDecoder);
+};
+jsHueV2.supportsV2 = supportsV2;
+jsHueV2.Error = jsHueV2Error;
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = jsHueV2;
+}
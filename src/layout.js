@@ -0,0 +1,349 @@
+/**
+ * Room layout documents.
+ *
+ * Everything placed in the room is stored as one versioned JSON document,
+ * which is also the export/import file format:
+ *
+ *   {
+ *     format: 'hue-vrcontrollers-layout',
+ *     version: 1,
+ *     bridges: [{id, name}],
+ *     lights: [{uniqueid, bridgeId, name, modelid, position, relativePosition, shape, reference}],
+ *     groups: [{key, name, type, polygon, bottom, top, groups: [{bridgeId, groupId}]}],
+ *     geometry: [{type: 'wall', points: [{x, z}], height} | {type: 'furniture', name, min: {x, z}, max: {x, z}, height}],
+ *     sensors: [{uniqueid, bridgeId, name, kind, position, shape}]
+ *   }
+ *
+ * Lights are identified by their uniqueid (the Zigbee MAC), which doesn't
+ * change when lights are reset, re-added or moved to another bridge.
+ * relativePosition is the position relative to the center of the
+ * calibration references, which are marked with reference: true.
+ * geometry is reference geometry drawn in the floor plan, furniture may be
+ * named to find it in spatial queries, see spatial.js.
+ * sensors are motion sensors and switches placed like lights, by the
+ * uniqueid of the device, see rules.js.
+ * Bridge usernames are credentials and not part of a layout.
+ */
+const {sub, centroid} = require('./linalg.js');
+const {calibrate, applyTransform, applyRotation, transformVolume, transformGeometry} = require('./calibration.js');
+const {rotateShape} = require('./shapes.js');
+
+const FORMAT = 'hue-vrcontrollers-layout';
+const VERSION = 1;
+
+class LayoutError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'LayoutError';
+	}
+}
+
+function isPosition(position) {
+	return position !== undefined && position !== null && typeof position.x === 'number';
+}
+
+function plainPosition({x, y, z}) {
+	return {x, y, z};
+}
+
+/**
+ * Migrations of older documents, by the version they upgrade from.
+ */
+const MIGRATIONS = {
+	/**
+	 * Version 0 is the data older app versions kept under separate idb keys:
+	 * configuredLights holds whole bridge light objects, the calibration
+	 * lights were stored by key, v2 id or light number.
+	 */
+	0: function (stored) {
+		let lights = stored.configuredLights || [];
+		if(!Array.isArray(lights)) throw new LayoutError('The stored lights are no list');
+		let isReference = light => {
+			if(stored.calibrationLightKeys !== undefined) return stored.calibrationLightKeys.indexOf(light.key) !== -1;
+			if(stored.calibrationLightKey !== undefined) return light.key === stored.calibrationLightKey;
+			if(stored.calibrationLightId !== undefined) return light.id === stored.calibrationLightId;
+			return light.number === stored.calibrationLightNumber;
+		};
+		return {
+			format: FORMAT,
+			version: 1,
+			bridges: [],
+			lights: lights.filter(light => isPosition(light.position)).map(light => ({
+				uniqueid: light.uniqueid,
+				bridgeId: light.bridgeId,
+				name: light.name,
+				modelid: light.modelid,
+				position: plainPosition(light.position),
+				// Before shapes were fitted lights were spheres
+				shape: light.shape || (light.radius ? {type: 'sphere', radius: light.radius} : null),
+				reference: isReference(light)
+			})),
+			groups: stored.groupVolumes || [],
+			geometry: [],
+			sensors: []
+		};
+	}
+};
+
+/**
+ * Upgrades a layout document to the current version.
+ *
+ * Documents without version are treated as the idb data of older app
+ * versions, see MIGRATIONS[0].
+ *
+ * @param {Object} data layout document
+ * @return {Object} layout of the current version
+ * @throws {LayoutError} if the document is no layout, has collections that are no lists or is newer than this app
+ */
+function migrateLayout(data) {
+	if(data === null || typeof data !== 'object') throw new LayoutError('The layout is no JSON object');
+	let version = data.version === undefined ? 0 : data.version;
+	if(version > 0 && data.format !== FORMAT) throw new LayoutError(`Unknown layout format ${data.format}`);
+	if(typeof version !== 'number' || version > VERSION) throw new LayoutError(`Layout version ${version} is not supported, please update the app`);
+
+	let layout = data;
+	for (; version < VERSION; version++) {
+		layout = MIGRATIONS[version](layout);
+	}
+	// Reference geometry and sensors are optional, older layouts have none
+	layout.geometry = layout.geometry || [];
+	layout.sensors = layout.sensors || [];
+	['bridges', 'lights', 'groups', 'geometry', 'sensors'].forEach(collection => {
+		if(!Array.isArray(layout[collection])) throw new LayoutError(`The ${collection} of the layout are no list`);
+	});
+	return withRelativePositions(layout);
+}
+
+function withRelativePositions(layout) {
+	let references = layout.lights.filter(light => light.reference);
+	let origin = references.length > 0 ? centroid(references.map(light => light.position)) : undefined;
+	layout.lights.forEach(light => {
+		light.relativePosition = origin ? sub(light.position, origin) : undefined;
+	});
+	return layout;
+}
+
+// Index of the entry with the uniqueid of a light, lights keep it when moved
+// to another bridge. The bridge id only decides between entries of the same
+// light on several bridges.
+function entryIndex(entries, light) {
+	let indices = [];
+	entries.forEach((entry, index) => {
+		if(entry.uniqueid === light.uniqueid) indices.push(index);
+	});
+	let sameBridge = indices.find(index => entries[index].bridgeId === light.bridgeId);
+	return sameBridge !== undefined ? sameBridge : indices.length > 0 ? indices[0] : -1;
+}
+
+/**
+ * Finds the layout entry of a light or sensor device.
+ *
+ * Entries match by uniqueid, also those stored for another bridge or, in
+ * older versions, without a bridge id.
+ *
+ * @param {Object} layout
+ * @param {Object} light light or device with uniqueid and bridgeId
+ * @param {String} [collection] 'lights' or 'sensors'
+ * @return {Object|undefined} entry
+ */
+function findEntry(layout, light, collection = 'lights') {
+	return layout[collection][entryIndex(layout[collection], light)];
+}
+
+/**
+ * Creates a layout of the lights placed in the app.
+ *
+ * Entries of the previous layout for lights of bridges that aren't loaded
+ * are kept, so they survive sessions without those bridges.
+ *
+ * @param {Object} state
+ * @param {Array} state.bridges [{id, name}]
+ * @param {Array} state.lights configured lights with uniqueid, bridgeId, position and shape
+ * @param {Array} state.references keys of the calibration reference lights
+ * @param {Array} state.groups group volumes
+ * @param {Array} [state.geometry] reference geometry
+ * @param {Array} [state.sensors] placed sensor devices with uniqueid, bridgeId, kind, position and shape
+ * @param {Object} [previous] previous layout
+ * @return {Object} layout
+ */
+function createLayout(state, previous) {
+	let loaded = state.bridges.map(bridge => bridge.id);
+	let kept = previous ? previous.lights.filter(entry => loaded.indexOf(entry.bridgeId) === -1 &&
+		!state.lights.some(light => light.uniqueid === entry.uniqueid)) : [];
+	let sensors = (state.sensors || []).filter(device => isPosition(device.position));
+	let keptSensors = previous ? previous.sensors.filter(entry => loaded.indexOf(entry.bridgeId) === -1 &&
+		!sensors.some(device => device.uniqueid === entry.uniqueid)) : [];
+	let keptBridges = previous ? previous.bridges.filter(bridge => loaded.indexOf(bridge.id) === -1) : [];
+
+	return withRelativePositions({
+		format: FORMAT,
+		version: VERSION,
+		bridges: state.bridges.map(({id, name}) => ({id, name})).concat(keptBridges),
+		lights: state.lights.filter(light => isPosition(light.position)).map(light => ({
+			uniqueid: light.uniqueid,
+			bridgeId: light.bridgeId,
+			name: light.name,
+			modelid: light.modelid,
+			position: plainPosition(light.position),
+			shape: light.shape || null,
+			reference: state.references.indexOf(light.key) !== -1
+		})).concat(kept),
+		groups: JSON.parse(JSON.stringify(state.groups)),
+		geometry: JSON.parse(JSON.stringify(state.geometry || [])),
+		sensors: sensors.map(device => ({
+			uniqueid: device.uniqueid,
+			bridgeId: device.bridgeId,
+			name: device.name,
+			kind: device.kind,
+			position: plainPosition(device.position),
+			shape: device.shape || null
+		})).concat(keptSensors)
+	});
+}
+
+/**
+ * Merges an imported layout into the current one.
+ *
+ * Lights are matched by uniqueid, imported entries replace the current ones.
+ * If both layouts share placed reference lights, the imported layout is
+ * moved onto them with the transform a calibration with these references
+ * gives (see calibration.js), so a layout exported in another tracking space
+ * lands where the references are now.
+ *
+ * @param {Object} current
+ * @param {Object} imported migrated layout
+ * @return {Object} {layout, matched, added}
+ */
+function mergeLayouts(current, imported) {
+	let currentReferences = current.lights.filter(entry => entry.reference);
+	let references = imported.lights.filter(entry => entry.reference).map(entry => {
+		let other = currentReferences.find(other => other.uniqueid === entry.uniqueid);
+		return other && {key: entry.uniqueid, stored: entry.position, measured: other.position};
+	}).filter(reference => reference);
+	let calibration = references.length > 0 ? calibrate(references) : undefined;
+	let place = entry => {
+		if(!calibration) return Object.assign({}, entry);
+		return Object.assign({}, entry, {
+			position: applyTransform(calibration, entry.position),
+			shape: entry.shape ? rotateShape(entry.shape, direction => applyRotation(calibration, direction)) : entry.shape
+		});
+	};
+
+	let lights = current.lights.slice();
+	let matched = 0;
+	let added = 0;
+	imported.lights.forEach(entry => {
+		let merged = place(entry);
+		let index = entryIndex(lights, entry);
+		if(index === -1) {
+			lights.push(merged);
+			added++;
+		} else {
+			// Keep the bridge id of the current entry, the light may have moved to another bridge
+			lights[index] = Object.assign(merged, {bridgeId: lights[index].bridgeId || entry.bridgeId});
+			matched++;
+		}
+	});
+
+	let importedGroups = calibration ? imported.groups.map(group => transformVolume(calibration, group)) : imported.groups;
+	let groups = current.groups.filter(group => !imported.groups.some(other => other.name === group.name && other.type === group.type))
+		.concat(importedGroups);
+	let bridges = current.bridges.concat(imported.bridges.filter(bridge => !current.bridges.some(other => other.id === bridge.id)));
+	// Reference geometry is replaced as a whole, walls of two rooms don't mix
+	let geometry = imported.geometry.length === 0 ? current.geometry :
+		calibration ? imported.geometry.map(item => transformGeometry(calibration, item)) : imported.geometry;
+	let sensors = current.sensors.filter(entry => !imported.sensors.some(other => other.uniqueid === entry.uniqueid))
+		.concat(imported.sensors.map(place));
+
+	return {
+		layout: withRelativePositions({format: FORMAT, version: VERSION, bridges, lights, groups, geometry, sensors}),
+		matched,
+		added
+	};
+}
+
+// Identity of the entries of each collection, for rebaseLayout. A light can
+// have entries for several bridges, see createLayout.
+const IDENTITIES = {
+	bridges: entry => entry.id,
+	lights: entry => `${entry.bridgeId}/${entry.uniqueid}`,
+	groups: entry => entry.key,
+	sensors: entry => entry.uniqueid
+};
+
+function sameEntry(a, b) {
+	// Relative positions follow from the references, they change with them
+	let strip = entry => entry === undefined ? undefined : Object.assign({}, entry, {relativePosition: undefined});
+	return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+}
+
+function pickEntry(base, mine, theirs, onConflict) {
+	if(sameEntry(mine, base)) return theirs;
+	if(sameEntry(theirs, base) || sameEntry(mine, theirs)) return mine;
+	onConflict();
+	return theirs;
+}
+
+/**
+ * Applies the changes of a layout onto a layout changed by someone else at
+ * the same time (a three-way merge).
+ *
+ * Entries are compared one by one, eg. each light or group, and reference
+ * geometry as a whole. Entries only one side changed, added or removed take
+ * that change. Where both changed the same entry differently, theirs wins
+ * and the entry is reported as a conflict.
+ *
+ * @param {Object} base layout both changes started from
+ * @param {Object} mine layout with my changes
+ * @param {Object} theirs layout with their changes
+ * @return {Object} {layout, conflicts: [{collection, name}]}
+ */
+function rebaseLayout(base, mine, theirs) {
+	let conflicts = [];
+	let merged = {format: FORMAT, version: VERSION};
+
+	Object.keys(IDENTITIES).forEach(collection => {
+		let identity = IDENTITIES[collection];
+		let byId = entries => {
+			let map = {};
+			entries.forEach(entry => {
+				map[identity(entry)] = entry;
+			});
+			return map;
+		};
+		let [b, m, t] = [base, mine, theirs].map(layout => byId(layout[collection] || []));
+		// Their order first, then what only I added
+		let ids = Object.keys(t).concat(Object.keys(m).filter(id => t[id] === undefined));
+		merged[collection] = [];
+		ids.forEach(id => {
+			let entry = pickEntry(b[id], m[id], t[id], () => {
+				conflicts.push({collection, name: (t[id] || m[id]).name || id});
+			});
+			if(entry !== undefined) merged[collection].push(entry);
+		});
+	});
+	merged.geometry = pickEntry(base.geometry || [], mine.geometry || [], theirs.geometry || [], () => {
+		conflicts.push({collection: 'geometry', name: 'reference geometry'});
+	});
+
+	return {layout: withRelativePositions(JSON.parse(JSON.stringify(merged))), conflicts};
+}
+
+/**
+ * An empty layout.
+ */
+function emptyLayout() {
+	return {format: FORMAT, version: VERSION, bridges: [], lights: [], groups: [], geometry: [], sensors: []};
+}
+
+module.exports = {
+	migrateLayout,
+	createLayout,
+	mergeLayouts,
+	rebaseLayout,
+	findEntry,
+	emptyLayout,
+	LayoutError,
+	FORMAT,
+	VERSION
+};
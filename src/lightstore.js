@@ -0,0 +1,231 @@
+/**
+ * Store of the light states the app wants and the bridges have.
+ *
+ * Per light it keeps:
+ *  - the desired state, the user's real state. The store updates the object
+ *    passed to add in place, so the app can render it.
+ *  - the confirmed state, what the bridge reported or accepted last.
+ *  - overlays, temporary states shown on top of the desired state, like the
+ *    hover highlight or the colors while configuring. Removing an overlay
+ *    brings back the desired state exactly.
+ *
+ * flush sends each light only the fields in which the desired state with its
+ * overlays differs from the confirmed state.
+ *
+ *   let store = createLightStore({send: (key, changes, priority) => setLightState(…)});
+ *   store.add(light.key, light.state);
+ *   store.setOverlay(light.key, 'hover', state => ({bri: state.bri + 50}));
+ *   store.flush();
+ */
+const {colorAttributes, colorModeOf} = require('./color.js');
+
+const COLOR_FIELDS = ['xy', 'ct', 'hue', 'sat', 'colormode'];
+
+// Time after a write in which bridge reports of the written fields may still
+// show the state from before the write
+const SETTLE_TIME = 3000;
+
+function clone(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+function equal(a, b) {
+	return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merges state changes into a state. Color attributes without colormode set
+ * the color mode they belong to.
+ *
+ * @param {Object} state modified in place
+ * @param {Object} changes
+ * @return {Object} state
+ */
+function mergeState(state, changes) {
+	Object.assign(state, changes);
+	if(changes.colormode === undefined) {
+		let mode = colorModeOf(changes);
+		if(mode) state.colormode = mode;
+	}
+	return state;
+}
+
+/**
+ * Fields of a target state that differ from the current state of a light.
+ *
+ * Lights that are or stay off only get on, they don't accept other fields.
+ * Color attributes are sent in the target's color mode, all of them if the
+ * light is in another mode.
+ *
+ * @param {Object} target state
+ * @param {Object} current state
+ * @return {Object} changed fields, empty if none
+ */
+function diffState(target, current) {
+	let changes = {};
+	if(target.on !== undefined && target.on !== current.on) changes.on = target.on;
+	if(target.on === false) return changes;
+	if(target.bri !== undefined && target.bri !== current.bri) changes.bri = target.bri;
+	let color = colorAttributes(target);
+	let sameMode = colorModeOf(target) === colorModeOf(current);
+	Object.keys(color).forEach(field => {
+		if(color[field] !== undefined && (!sameMode || !equal(color[field], current[field]))) changes[field] = color[field];
+	});
+	return changes;
+}
+
+/**
+ * Creates a light state store.
+ *
+ * @param {Object} options
+ * @param {Function} options.send (key, changes, priority) => Promise, writes a light state
+ * @param {Number} [options.settleTime] see SETTLE_TIME
+ * @param {Function} [options.now] clock, for tests
+ * @return {Object} store
+ */
+function createLightStore({send, settleTime = SETTLE_TIME, now = Date.now}) {
+	let entries = {};
+
+	function entryOf(key) {
+		let entry = entries[key];
+		if(entry === undefined) throw new Error(`Unknown light ${key}`);
+		return entry;
+	}
+
+	function fieldGroup(field) {
+		return COLOR_FIELDS.indexOf(field) !== -1 ? 'color' : field;
+	}
+
+	function effective(entry) {
+		return entry.overlays.reduce((state, overlay) => {
+			let changes = typeof overlay.state === 'function' ? overlay.state(state) : overlay.state;
+			return mergeState(state, changes);
+		}, clone(entry.desired));
+	}
+
+	return {
+		/**
+		 * Adds a light with the state the bridge reported.
+		 *
+		 * @param {String} key light key
+		 * @param {Object} state desired state, updated in place from now on
+		 */
+		add: function (key, state) {
+			entries[key] = {desired: state, confirmed: clone(state), overlays: [], written: {}};
+		},
+
+		remove: function (key) {
+			delete entries[key];
+		},
+
+		has: function (key) {
+			return entries[key] !== undefined;
+		},
+
+		/**
+		 * Changes the desired state of a light.
+		 *
+		 * @param {String} key
+		 * @param {Object} changes
+		 */
+		set: function (key, changes) {
+			mergeState(entryOf(key).desired, changes);
+		},
+
+		/**
+		 * Takes in a state the bridge reported, eg. from the state sync.
+		 *
+		 * Fields that weren't just written by the store were changed by someone
+		 * else (a switch, another app, a group or scene) and become desired.
+		 *
+		 * @param {String} key
+		 * @param {Object} changes
+		 */
+		report: function (key, changes) {
+			let entry = entries[key];
+			if(entry === undefined) return;
+			Object.assign(entry.confirmed, changes);
+			let external = {};
+			Object.keys(changes).forEach(field => {
+				let written = entry.written[fieldGroup(field)];
+				if(written === undefined || now() - written > settleTime) external[field] = changes[field];
+			});
+			Object.assign(entry.desired, external);
+		},
+
+		/**
+		 * Shows a temporary state on a light. Overlays are applied in the order
+		 * they were set, setting an existing one replaces it in place.
+		 *
+		 * @param {String} key
+		 * @param {String} name
+		 * @param {Object|Function} state state changes, or a function of the state below
+		 */
+		setOverlay: function (key, name, state) {
+			let overlays = entryOf(key).overlays;
+			let overlay = overlays.find(overlay => overlay.name === name);
+			if(overlay) overlay.state = state;
+			else overlays.push({name, state});
+		},
+
+		clearOverlay: function (key, name) {
+			let entry = entries[key];
+			if(entry) entry.overlays = entry.overlays.filter(overlay => overlay.name !== name);
+		},
+
+		hasOverlay: function (key, name) {
+			return entryOf(key).overlays.some(overlay => overlay.name === name);
+		},
+
+		/**
+		 * State a light should show, the desired state with its overlays.
+		 */
+		effective: function (key) {
+			return effective(entryOf(key));
+		},
+
+		/**
+		 * Fields to send to a light, see diffState.
+		 */
+		diff: function (key) {
+			let entry = entryOf(key);
+			return diffState(effective(entry), entry.confirmed);
+		},
+
+		/**
+		 * Sends the changed fields of all lights, or of some.
+		 *
+		 * @param {Object} [options]
+		 * @param {Array} [options.keys] lights to send, all by default
+		 * @param {Number} [options.priority] passed to send
+		 * @param {Number} [options.transitiontime] added to each write
+		 * @return {Promise} resolves when all writes are done
+		 */
+		flush: function ({keys = Object.keys(entries), priority, transitiontime} = {}) {
+			return Promise.all(keys.filter(key => entries[key] !== undefined).map(key => {
+				let entry = entries[key];
+				let changes = diffState(effective(entry), entry.confirmed);
+				let fields = Object.keys(changes);
+				if(fields.length === 0) return Promise.resolve();
+
+				// Assume the write succeeds, so the next flush doesn't send it again
+				mergeState(entry.confirmed, changes);
+				fields.forEach(field => {
+					entry.written[fieldGroup(field)] = now();
+				});
+				let data = transitiontime === undefined ? changes : Object.assign({transitiontime}, changes);
+				return send(key, data, priority).catch(e => {
+					// Forget what the bridge has, so the next flush sends it again
+					fields.forEach(field => delete entry.confirmed[field]);
+					throw e;
+				});
+			}));
+		}
+	};
+}
+
+module.exports = {
+	createLightStore,
+	diffState,
+	mergeState
+};
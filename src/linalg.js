@@ -0,0 +1,141 @@
+/**
+ * Small vector and matrix helpers for plain {x, y, z} points.
+ *
+ * THREE is only available as a global in the browser, these also work in
+ * Node and on positions restored from idb.
+ */
+
+function vec(x = 0, y = 0, z = 0) {
+	return {x, y, z};
+}
+
+function add(a, b) {
+	return vec(a.x + b.x, a.y + b.y, a.z + b.z);
+}
+
+function sub(a, b) {
+	return vec(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function scale(a, s) {
+	return vec(a.x * s, a.y * s, a.z * s);
+}
+
+function dot(a, b) {
+	return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+	return vec(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+}
+
+function length(a) {
+	return Math.sqrt(dot(a, a));
+}
+
+function distance(a, b) {
+	return length(sub(a, b));
+}
+
+function normalize(a) {
+	let l = length(a);
+	return l > 0 ? scale(a, 1 / l) : vec();
+}
+
+function centroid(points) {
+	return scale(points.reduce(add, vec()), 1 / points.length);
+}
+
+/**
+ * Multiplies a 3x3 matrix (array of rows) with a vector.
+ */
+function transform(m, a) {
+	return vec(
+		m[0][0] * a.x + m[0][1] * a.y + m[0][2] * a.z,
+		m[1][0] * a.x + m[1][1] * a.y + m[1][2] * a.z,
+		m[2][0] * a.x + m[2][1] * a.y + m[2][2] * a.z
+	);
+}
+
+/**
+ * Converts a unit quaternion {w, x, y, z} to a 3x3 rotation matrix.
+ */
+function quaternionToMatrix({w, x, y, z}) {
+	return [
+		[1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+		[2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+		[2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+	];
+}
+
+/**
+ * Eigen decomposition of a symmetric matrix with the Jacobi method.
+ *
+ * @param {Array} matrix symmetric n×n matrix (array of rows), not modified
+ * @return {Object} {values, vectors} sorted by descending eigenvalue,
+ *  vectors[i] is the eigenvector of values[i]
+ */
+function symmetricEigen(matrix) {
+	let n = matrix.length;
+	let a = matrix.map(row => row.slice());
+	let v = a.map((row, i) => row.map((_, j) => i === j ? 1 : 0));
+
+	for (let sweep = 0; sweep < 50; sweep++) {
+		let off = 0;
+		for (let p = 0; p < n; p++) {
+			for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+		}
+		if(off < 1e-20) break;
+
+		for (let p = 0; p < n; p++) {
+			for (let q = p + 1; q < n; q++) {
+				if(Math.abs(a[p][q]) < 1e-30) continue;
+				let theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+				let t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+				let c = 1 / Math.sqrt(t * t + 1);
+				let s = t * c;
+
+				for (let k = 0; k < n; k++) {
+					let akp = a[k][p];
+					let akq = a[k][q];
+					a[k][p] = c * akp - s * akq;
+					a[k][q] = s * akp + c * akq;
+				}
+				for (let k = 0; k < n; k++) {
+					let apk = a[p][k];
+					let aqk = a[q][k];
+					a[p][k] = c * apk - s * aqk;
+					a[q][k] = s * apk + c * aqk;
+				}
+				for (let k = 0; k < n; k++) {
+					let vkp = v[k][p];
+					let vkq = v[k][q];
+					v[k][p] = c * vkp - s * vkq;
+					v[k][q] = s * vkp + c * vkq;
+				}
+			}
+		}
+	}
+
+	let order = a.map((row, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+	return {
+		values: order.map(i => a[i][i]),
+		vectors: order.map(i => v.map(row => row[i]))
+	};
+}
+
+module.exports = {
+	vec,
+	add,
+	sub,
+	scale,
+	dot,
+	cross,
+	length,
+	distance,
+	normalize,
+	centroid,
+	transform,
+	quaternionToMatrix,
+	symmetricEigen
+};
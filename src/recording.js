@@ -0,0 +1,161 @@
+/**
+ * Recordings of controller sessions, to replay them without a headset.
+ *
+ * A recording holds timestamped frames of the hand controller entities:
+ *
+ *   {
+ *     format: 'hue-vrcontrollers-recording',
+ *     version: 1,
+ *     duration, // in ms
+ *     frames: [
+ *       {t, hand: 'rightHand', pose: {position: {x, y, z}, rotation: {x, y, z}}},
+ *       {t, hand: 'rightHand', event: 'inputdown', detail: {input: 'trigger', type: 'vive-controls'}}
+ *     ]
+ *   }
+ *
+ * hand is the id of the entity, rotations are in degrees like A-Frame's
+ * rotation attribute. Events are the normalised controller-input events,
+ * so a recording replays the same on every controller type.
+ */
+
+const FORMAT = 'hue-vrcontrollers-recording';
+const VERSION = 1;
+
+const EVENTS = ['inputconnected', 'inputdown', 'inputup', 'inputaxis', 'inputchanged'];
+
+class RecordingError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'RecordingError';
+	}
+}
+
+function samePose(a, b) {
+	return ['position', 'rotation'].every(key => ['x', 'y', 'z'].every(axis => a[key][axis] === b[key][axis]));
+}
+
+/**
+ * Creates a recorder.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now] clock in ms
+ * @return {Object} recorder with addPose, addEvent and stop
+ */
+function createRecorder({now = Date.now} = {}) {
+	let start = now();
+	let frames = [];
+	let lastPoses = {};
+
+	return {
+		/**
+		 * Adds the pose of a hand, if it moved.
+		 */
+		addPose: function (hand, position, rotation) {
+			let pose = {
+				position: {x: position.x, y: position.y, z: position.z},
+				rotation: {x: rotation.x, y: rotation.y, z: rotation.z}
+			};
+			if(lastPoses[hand] && samePose(lastPoses[hand], pose)) return;
+			lastPoses[hand] = pose;
+			frames.push({t: now() - start, hand, pose});
+		},
+
+		addEvent: function (hand, event, detail) {
+			if(EVENTS.indexOf(event) === -1) return;
+			frames.push({t: now() - start, hand, event, detail: JSON.parse(JSON.stringify(detail || {}))});
+		},
+
+		/**
+		 * @return {Object} the recording
+		 */
+		stop: function () {
+			return {format: FORMAT, version: VERSION, duration: now() - start, frames: frames.slice()};
+		}
+	};
+}
+
+/**
+ * Checks that data is a recording this version can replay.
+ *
+ * @param {Object} data
+ * @return {Object} the recording
+ * @throws {RecordingError}
+ */
+function validateRecording(data) {
+	if(data === null || typeof data !== 'object' || data.format !== FORMAT) throw new RecordingError('Not a controller recording');
+	if(data.version > VERSION) throw new RecordingError(`Recording version ${data.version} is not supported, please update the app`);
+	if(!Array.isArray(data.frames)) throw new RecordingError('The recording has no frames');
+	return data;
+}
+
+/**
+ * Creates a player of a recording.
+ *
+ * The player doesn't keep time itself, advance it with the time that passed,
+ * eg. from an A-Frame tick or a test's fake clock. Frames are applied in
+ * order, every frame once.
+ *
+ * A manual clock (see clock.js) advances with the player. Its timers are
+ * called between the frames, before the frames of the same time, so the
+ * poses they sample are the same however the player is advanced.
+ *
+ * @param {Object} recording
+ * @param {Function} apply (frame) => applies a frame to the scene
+ * @param {Object} [options]
+ * @param {Object} [options.clock] manual clock of the timers sampling the scene
+ * @return {Object} player with advance, time and finished
+ */
+function createPlayer(recording, apply, {clock} = {}) {
+	validateRecording(recording);
+	let frames = recording.frames.slice().sort((a, b) => a.t - b.t);
+	let index = 0;
+	let time = 0;
+
+	function applyDue() {
+		while (index < frames.length && frames[index].t <= time) {
+			apply(frames[index++]);
+		}
+	}
+
+	return {
+		/**
+		 * Advances the playback time and applies the frames up to it.
+		 *
+		 * @param {Number} ms
+		 * @return {Boolean} whether the recording is finished
+		 */
+		advance: function (ms) {
+			let end = time + ms;
+			applyDue();
+			while (time < end) {
+				// Stop at every frame and timer, so the timers see the poses of their time
+				let step = end - time;
+				if(clock) {
+					step = Math.min(step, clock.untilNext(), index < frames.length ? frames[index].t - time : Infinity);
+					clock.advance(step);
+				}
+				time += step;
+				applyDue();
+			}
+			return this.finished;
+		},
+
+		get time() {
+			return time;
+		},
+
+		get finished() {
+			return index >= frames.length && time >= (recording.duration || 0);
+		}
+	};
+}
+
+module.exports = {
+	createRecorder,
+	createPlayer,
+	validateRecording,
+	RecordingError,
+	EVENTS,
+	FORMAT,
+	VERSION
+};
@@ -0,0 +1,257 @@
+/**
+ * Hue sensors as devices in the room, and bridge rules linking them to lights.
+ *
+ * The bridge lists the sensors of one physical device separately: a motion
+ * sensor is a ZLLPresence, a ZLLLightLevel and a ZLLTemperature sensor with
+ * the same MAC in their uniqueid. Devices join them:
+ *   {uniqueid, kind: 'motion' | 'dimmer' | 'tap', name, sensorIds: {presence, lightlevel, temperature, switch}}
+ *
+ * Rules are generated for a device and a target, a light {type: 'light', id}
+ * or a bridge group {type: 'group', id}, from templates like toggle or
+ * motion-on with timeout.
+ */
+
+// Device kind and role of the sensor types of physical devices
+const SENSOR_TYPES = {
+	ZLLPresence: {kind: 'motion', role: 'presence'},
+	ZLLLightLevel: {kind: 'motion', role: 'lightlevel'},
+	ZLLTemperature: {kind: 'motion', role: 'temperature'},
+	ZLLSwitch: {kind: 'dimmer', role: 'switch'},
+	ZGPSwitch: {kind: 'tap', role: 'switch'}
+};
+
+// Button events of the short releases, see the Hue sensors API
+const BUTTONS = {
+	dimmer: {toggle: 1002, dimUp: 2002, dimDown: 3002, off: 4002},
+	tap: {toggle: 34, dimUp: 16, dimDown: 17, off: 18}
+};
+
+const LABELS = {
+	toggle: 'toggle',
+	dimUp: 'dim up',
+	dimDown: 'dim down',
+	off: 'off',
+	motion: 'on with motion'
+};
+
+const DEFAULTS = {
+	timeout: 5, // minutes without motion until the lights go off
+	onlyWhenDark: true,
+	briStep: 30,
+	transitiontime: 4
+};
+
+const MAX_NAME_LENGTH = 32;
+
+/**
+ * Joins the sensors of a bridge into devices.
+ *
+ * @param {Object} sensors getSensors result
+ * @return {Array} devices, motion sensors without presence sensor are left out
+ */
+function sensorDevices(sensors) {
+	let devices = {};
+	Object.keys(sensors).forEach(id => {
+		let sensor = sensors[id];
+		let type = SENSOR_TYPES[sensor.type];
+		if(!type || !sensor.uniqueid) return;
+		// "00:17:88:01:02:00:af:28-02-0406", the part before the endpoint is the device
+		let uniqueid = sensor.uniqueid.split('-')[0];
+		let device = devices[uniqueid] = devices[uniqueid] || {uniqueid, kind: type.kind, name: sensor.name, sensorIds: {}};
+		device.sensorIds[type.role] = id;
+		// Light level and temperature sensors have generated names
+		if(type.role === 'presence' || type.role === 'switch') device.name = sensor.name;
+	});
+	return Object.keys(devices).map(uniqueid => devices[uniqueid])
+		.filter(device => device.kind !== 'motion' || device.sensorIds.presence !== undefined);
+}
+
+/**
+ * Current state of a device.
+ *
+ * @param {Object} device
+ * @param {Object} sensors sensors of the device's bridge
+ * @return {Object} {presence, dark, daylight, lightlevel, temperature, buttonevent, lastupdated, battery, reachable}, fields the device has
+ */
+function deviceStatus(device, sensors) {
+	let status = {};
+	Object.keys(device.sensorIds).forEach(role => {
+		let sensor = sensors[device.sensorIds[role]];
+		if(!sensor) return;
+		let state = sensor.state || {};
+		let config = sensor.config || {};
+		if(role === 'presence') status.presence = state.presence;
+		if(role === 'lightlevel') Object.assign(status, {dark: state.dark, daylight: state.daylight, lightlevel: state.lightlevel});
+		if(role === 'temperature' && state.temperature !== undefined) status.temperature = state.temperature / 100;
+		if(role === 'switch') Object.assign(status, {buttonevent: state.buttonevent, lastupdated: state.lastupdated});
+		if(config.battery !== undefined) status.battery = config.battery;
+		if(config.reachable !== undefined) status.reachable = status.reachable !== false && config.reachable;
+	});
+	return status;
+}
+
+/**
+ * Short description of a device state, for the label in the scene.
+ *
+ * @param {Object} status result of deviceStatus
+ * @return {String}
+ */
+function statusLabel(status) {
+	let parts = [];
+	if(status.reachable === false) parts.push('unreachable');
+	if(status.presence !== undefined) parts.push(status.presence ? 'motion' : 'no motion');
+	if(status.daylight !== undefined) parts.push(status.daylight ? 'daylight' : status.dark ? 'dark' : 'dim');
+	if(status.temperature !== undefined) parts.push(`${status.temperature.toFixed(1)} °C`);
+	if(status.battery !== undefined && status.battery !== null) parts.push(`${status.battery}% battery`);
+	return parts.join(', ');
+}
+
+/**
+ * Rule templates a device supports.
+ *
+ * @param {Object} device
+ * @return {Array} [{id, label}]
+ */
+function ruleTemplates(device) {
+	let ids = device.kind === 'motion' ? ['motion'] : Object.keys(BUTTONS[device.kind] || {});
+	return ids.map(id => ({id, label: LABELS[id]}));
+}
+
+function targetAction(target, body) {
+	let address = target.type === 'group' ? `/groups/${target.id}/action` : `/lights/${target.id}/state`;
+	return {address, method: 'PUT', body};
+}
+
+function targetOnCondition(target, on) {
+	let address = target.type === 'group' ? `/groups/${target.id}/state/any_on` : `/lights/${target.id}/state/on`;
+	return {address, operator: 'eq', value: String(on)};
+}
+
+function buttonConditions(device, button) {
+	let sensor = `/sensors/${device.sensorIds.switch}/state`;
+	return [
+		{address: `${sensor}/buttonevent`, operator: 'eq', value: String(button)},
+		{address: `${sensor}/lastupdated`, operator: 'dx'}
+	];
+}
+
+function ruleName(device, label) {
+	return `${device.name} ${label}`.slice(0, MAX_NAME_LENGTH);
+}
+
+function duration(minutes) {
+	let pad = value => ('0' + value).slice(-2);
+	let seconds = Math.round(minutes * 60);
+	return `PT${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Bridge rules of a template.
+ *
+ * A toggle needs two rules, one for each state of the target, as rules
+ * can't toggle. Motion-on turns the target on with motion (when it is dark,
+ * if the device has a light sensor) and off after the timeout without motion.
+ *
+ * @param {Object} device
+ * @param {String} template template id
+ * @param {Object} target {type: 'light' | 'group', id}
+ * @param {Object} [options] see DEFAULTS
+ * @return {Array} rule data for createRule
+ */
+function createRules(device, template, target, options) {
+	options = Object.assign({}, DEFAULTS, options);
+	let label = LABELS[template];
+
+	if(template === 'motion') {
+		let presence = `/sensors/${device.sensorIds.presence}/state/presence`;
+		let onConditions = [
+			{address: presence, operator: 'eq', value: 'true'},
+			{address: presence, operator: 'dx'}
+		];
+		if(options.onlyWhenDark && device.sensorIds.lightlevel !== undefined) {
+			onConditions.push({address: `/sensors/${device.sensorIds.lightlevel}/state/dark`, operator: 'eq', value: 'true'});
+		}
+		return [{
+			name: ruleName(device, 'motion'),
+			conditions: onConditions,
+			actions: [targetAction(target, {on: true})]
+		}, {
+			name: ruleName(device, 'no motion'),
+			conditions: [
+				{address: presence, operator: 'eq', value: 'false'},
+				{address: presence, operator: 'ddx', value: duration(options.timeout)}
+			],
+			actions: [targetAction(target, {on: false})]
+		}];
+	}
+
+	let button = (BUTTONS[device.kind] || {})[template];
+	if(button === undefined) throw new Error(`${device.name} has no ${label || template} button`);
+	let conditions = buttonConditions(device, button);
+
+	switch (template) {
+		case 'toggle':
+			return [{
+				name: ruleName(device, 'on'),
+				conditions: conditions.concat([targetOnCondition(target, false)]),
+				actions: [targetAction(target, {on: true})]
+			}, {
+				name: ruleName(device, 'off'),
+				conditions: conditions.concat([targetOnCondition(target, true)]),
+				actions: [targetAction(target, {on: false})]
+			}];
+		case 'dimUp':
+		case 'dimDown': {
+			let bri_inc = template === 'dimUp' ? options.briStep : -options.briStep;
+			return [{
+				name: ruleName(device, label),
+				conditions,
+				actions: [targetAction(target, {bri_inc, transitiontime: options.transitiontime})]
+			}];
+		}
+		default:
+			return [{
+				name: ruleName(device, label),
+				conditions,
+				actions: [targetAction(target, {on: false})]
+			}];
+	}
+}
+
+/**
+ * Ids of the rules that have conditions on a device's sensors.
+ *
+ * @param {Object} rules getRules result
+ * @param {Object} device
+ * @return {Array} rule ids
+ */
+function rulesOfDevice(rules, device) {
+	let prefixes = Object.keys(device.sensorIds).map(role => `/sensors/${device.sensorIds[role]}/`);
+	return Object.keys(rules).filter(id => (rules[id].conditions || []).some(condition =>
+		prefixes.some(prefix => condition.address.indexOf(prefix) === 0)));
+}
+
+/**
+ * Readable summary of a rule, eg. "buttonevent eq 1002, lastupdated dx → /groups/1/action on: true".
+ *
+ * @param {Object} rule
+ * @return {String}
+ */
+function ruleSummary(rule) {
+	let conditions = (rule.conditions || []).map(({address, operator, value}) =>
+		[address.split('/').pop(), operator].concat(value === undefined ? [] : [value]).join(' '));
+	let actions = (rule.actions || []).map(({address, body}) =>
+		`${address} ${Object.keys(body || {}).map(key => `${key}: ${JSON.stringify(body[key])}`).join(', ')}`);
+	return `${conditions.join(', ')} → ${actions.join('; ')}`;
+}
+
+module.exports = {
+	sensorDevices,
+	deviceStatus,
+	statusLabel,
+	ruleTemplates,
+	createRules,
+	rulesOfDevice,
+	ruleSummary,
+	DEFAULTS
+};
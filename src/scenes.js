@@ -0,0 +1,67 @@
+/**
+ * Hue scenes captured in and recalled from VR.
+ *
+ * Scenes are stored on the bridges, one scene per bridge since scenes can't
+ * span bridges. The spatial context of a capture, where the lights were and
+ * where it was captured from, is stored locally with the scene ids:
+ *   {key, name, refs: [{bridgeId, sceneId}], lights: {lightKey: {position, shape}}, viewpoint}
+ */
+const {colorAttributes} = require('./color.js');
+
+/**
+ * Scene light state of the current state of a light.
+ *
+ * @param {Object} state light state
+ * @return {Object} scene light state
+ */
+function sceneLightState(state) {
+	let lightState = {on: state.on};
+	if(state.bri !== undefined) lightState.bri = state.bri;
+	return Object.assign(lightState, colorAttributes(state));
+}
+
+/**
+ * Scene data per bridge for a snapshot of lights.
+ *
+ * @param {Array} lights lights with bridgeId, number and state
+ * @param {String} name scene name
+ * @return {Object} jsHue scene data keyed by bridge id
+ */
+function scenesByBridge(lights, name) {
+	let scenes = {};
+	lights.forEach(light => {
+		let scene = scenes[light.bridgeId] = scenes[light.bridgeId] || {name, lights: [], recycle: false, lightstates: {}};
+		scene.lights.push(String(light.number));
+		scene.lightstates[light.number] = sceneLightState(light.state);
+	});
+	return scenes;
+}
+
+/**
+ * Merges the scene lists of several bridges into menu items. Scenes with the
+ * same name on different bridges, eg. ones captured in VR, are one item.
+ *
+ * @param {Object} bridgeScenes getScenes results keyed by bridge id
+ * @return {Array} [{name, refs: [{bridgeId, sceneId}]}] sorted by name
+ */
+function sceneMenuItems(bridgeScenes) {
+	// Keyed by scene names from the bridges, eg. 'constructor'
+	let items = Object.create(null);
+	Object.keys(bridgeScenes).forEach(bridgeId => {
+		let scenes = bridgeScenes[bridgeId];
+		Object.keys(scenes)
+			.filter(sceneId => !scenes[sceneId].recycle)
+			.forEach(sceneId => {
+				let name = scenes[sceneId].name;
+				items[name] = items[name] || {name, refs: []};
+				items[name].refs.push({bridgeId, sceneId});
+			});
+	});
+	return Object.keys(items).sort((a, b) => a.localeCompare(b)).map(name => items[name]);
+}
+
+module.exports = {
+	sceneLightState,
+	scenesByBridge,
+	sceneMenuItems
+};
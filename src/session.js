@@ -0,0 +1,218 @@
+/**
+ * Shared sessions of several app instances over the session relay, see
+ * relay/room.js for the messages.
+ *
+ * Values set with set are versioned: a change based on an old version is
+ * rejected by the relay, then it is merged with the current value by the
+ * key's merge function and sent again. Patched values are merged field by
+ * field, the last write wins. Broadcasts aren't kept, eg. controller poses.
+ *
+ *   let session = createSession({url: 'ws://localhost:8002', room: 'home', name: 'desktop',
+ *     merge: {layout: (base, mine, theirs) => ({value, conflicts})}});
+ *   session.on('state', (key, value, from) => …);
+ *   session.set('layout', layout);
+ *   session.patch('lights/1', {on: true});
+ *   session.broadcast({poses});
+ */
+const createEmitter = require('./emitter.js');
+
+// Colors of the clients' hands in the scene, by client id
+const CLIENT_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4'];
+
+class SessionError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'SessionError';
+	}
+}
+
+/**
+ * Color of a client, the same in all clients.
+ *
+ * @param {Number} id client id
+ * @return {String}
+ */
+function clientColor(id) {
+	return CLIENT_COLORS[(id - 1) % CLIENT_COLORS.length];
+}
+
+/**
+ * URL of a room of the relay.
+ *
+ * @param {String} url relay address, with or without ws://
+ * @param {String} room
+ * @param {String} [name] client name
+ * @return {String}
+ */
+function roomUrl(url, room, name) {
+	let base = /^wss?:\/\//.test(url) ? url : `ws://${url}`;
+	return `${base.replace(/\/+$/, '')}/${encodeURIComponent(room)}${name ? `?name=${encodeURIComponent(name)}` : ''}`;
+}
+
+/**
+ * Joins a room of the relay.
+ *
+ * Emits open (state) once joined, with the shared values by key, clients
+ * (clients) when clients join or leave, state (key, value, from) for values
+ * others set or that were merged, patch (key, changes, from), broadcast
+ * (value, from), conflict (key, conflicts) after merging, error (error) and
+ * close.
+ *
+ * @param {Object} options
+ * @param {String} options.url relay address
+ * @param {String} options.room
+ * @param {String} [options.name] client name shown to the others
+ * @param {Object} [options.merge] (base, mine, theirs) => {value, conflicts} by key, theirs wins without
+ * @param {Function} [options.WebSocket] WebSocket implementation
+ * @return {Object} session
+ */
+function createSession({url, room, name, merge = {}, WebSocket: Socket = typeof WebSocket !== 'undefined' ? WebSocket : undefined}) {
+	if(Socket === undefined) throw new SessionError('No WebSocket implementation');
+	let emitter = createEmitter();
+	let socket = new Socket(roomUrl(url, room, name));
+	// Values as the relay has them, {value, version} by key
+	let synced = {};
+	// Set changes the relay hasn't confirmed yet, and changes made meanwhile
+	let inflight = {};
+	let queued = {};
+	let open = false;
+
+	function send(message) {
+		if(open) socket.send(JSON.stringify(message));
+	}
+
+	function sendSet(key, value) {
+		let base = synced[key] || {value: undefined, version: 0};
+		inflight[key] = {base: base.value, value};
+		send({type: 'set', key, value, base: base.version});
+	}
+
+	const HANDLERS = {
+		welcome: function ({id, clients, state}) {
+			session.id = id;
+			session.clients = clients;
+			synced = state;
+			open = true;
+			let values = {};
+			Object.keys(state).forEach(key => {
+				values[key] = state[key].value;
+			});
+			emitter.emit('open', values);
+		},
+
+		clients: function ({clients}) {
+			session.clients = clients;
+			emitter.emit('clients', clients);
+		},
+
+		state: function ({key, value, version, from}) {
+			synced[key] = {value, version};
+			if(from === session.id) {
+				// Our change was accepted, send what changed since
+				delete inflight[key];
+				if(queued[key] !== undefined) {
+					let next = queued[key];
+					delete queued[key];
+					sendSet(key, next);
+				}
+			} else if(inflight[key] === undefined) {
+				emitter.emit('state', key, value, from);
+			}
+			// Else our change comes back as conflict and is merged then
+		},
+
+		conflict: function ({key, value, version}) {
+			let pending = inflight[key];
+			synced[key] = {value, version};
+			delete inflight[key];
+			if(pending === undefined) return;
+			let mine = queued[key] !== undefined ? queued[key] : pending.value;
+			delete queued[key];
+			let result = merge[key] && value !== undefined ? merge[key](pending.base, mine, value) : {value, conflicts: []};
+			emitter.emit('state', key, result.value);
+			if(result.conflicts.length > 0) emitter.emit('conflict', key, result.conflicts);
+			if(merge[key]) sendSet(key, result.value);
+		},
+
+		patch: function ({key, value, version, from}) {
+			let entry = synced[key] = synced[key] || {value: {}, version: 0};
+			Object.assign(entry.value, value);
+			entry.version = version;
+			emitter.emit('patch', key, value, from);
+		},
+
+		broadcast: function ({value, from}) {
+			emitter.emit('broadcast', value, from);
+		},
+
+		error: function ({message}) {
+			emitter.emit('error', new SessionError(message));
+		}
+	};
+
+	socket.onmessage = evt => {
+		let message;
+		try {
+			message = JSON.parse(evt.data);
+		} catch (e) {
+			emitter.emit('error', new SessionError('Invalid message from the relay'));
+			return;
+		}
+		let handler = HANDLERS[message.type];
+		if(!handler) return;
+		try {
+			handler(message);
+		} catch (e) {
+			// Eg. a merge function that can't merge the value of another client
+			emitter.emit('error', e);
+		}
+	};
+	socket.onerror = () => emitter.emit('error', new SessionError(`Can't connect to the relay at ${url}`));
+	socket.onclose = () => {
+		open = false;
+		emitter.emit('close');
+	};
+
+	let session = Object.assign(emitter, {
+		id: undefined,
+		clients: [],
+
+		/**
+		 * Shared value of a key, as far as the relay confirmed it.
+		 */
+		get: function (key) {
+			return synced[key] && synced[key].value;
+		},
+
+		/**
+		 * Replaces a shared value. Changes made while the last one isn't
+		 * confirmed are sent after it.
+		 */
+		set: function (key, value) {
+			value = JSON.parse(JSON.stringify(value));
+			if(inflight[key] !== undefined) queued[key] = value;
+			else sendSet(key, value);
+		},
+
+		patch: function (key, changes) {
+			send({type: 'patch', key, value: changes});
+		},
+
+		broadcast: function (value) {
+			send({type: 'broadcast', value});
+		},
+
+		close: function () {
+			open = false;
+			socket.close();
+		}
+	});
+	return session;
+}
+
+module.exports = {
+	createSession,
+	clientColor,
+	roomUrl,
+	SessionError
+};
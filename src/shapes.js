@@ -0,0 +1,264 @@
+/**
+ * Fits light volumes to the outlines drawn with the controller.
+ *
+ * An outline is classified by the extents along its principal axes:
+ *  - point: small outlines, eg. a circle drawn around a bulb -> sphere
+ *  - line: one dominant axis, eg. a LED strip or floor lamp -> capsule
+ *  - plane: two dominant axes, eg. a ceiling panel -> disc or box
+ *
+ * Shapes only hold their type, size and orientation. Their center is the
+ * light's position, so moving a light (calibration, floor plan) moves its
+ * shape as well.
+ */
+const {vec, add, sub, scale, dot, cross, length, distance, normalize, centroid, symmetricEigen} = require('./linalg.js');
+
+const DEFAULTS = {
+	simplifyTolerance: 0.02, // max deviation of the simplified outline, in meters
+	pointSize: 0.6, // outlines smaller than this are points
+	lineRatio: 0.25, // second extent / first extent below this is a line
+	planeRatio: 0.3, // third extent / second extent below this is a plane
+	discAspect: 1.5, // planes with a smaller first / second extent are discs
+	padding: 1.2, // the volume is this much larger than the outline
+	minSize: 0.05 // min radius or thickness of a volume
+};
+
+function perpendicularDistance(point, start, end) {
+	let segment = sub(end, start);
+	let segmentLength = length(segment);
+	if(segmentLength === 0) return distance(point, start);
+	let t = Math.max(0, Math.min(1, dot(sub(point, start), segment) / (segmentLength * segmentLength)));
+	return distance(point, add(start, scale(segment, t)));
+}
+
+function douglasPeucker(points, tolerance) {
+	if(points.length < 3) return points;
+	let maxDistance = 0;
+	let index = 0;
+	for (let i = 1; i < points.length - 1; i++) {
+		let d = perpendicularDistance(points[i], points[0], points[points.length - 1]);
+		if(d > maxDistance) {
+			maxDistance = d;
+			index = i;
+		}
+	}
+	if(maxDistance <= tolerance) return [points[0], points[points.length - 1]];
+	let left = douglasPeucker(points.slice(0, index + 1), tolerance);
+	let right = douglasPeucker(points.slice(index), tolerance);
+	return left.slice(0, -1).concat(right);
+}
+
+/**
+ * Simplifies an outline with the Ramer-Douglas-Peucker algorithm.
+ *
+ * @param {Array} points [{x, y, z}] in drawing order
+ * @param {Number} [tolerance=0.02] max deviation in meters
+ * @return {Array} simplified points
+ */
+function simplifyOutline(points, tolerance = DEFAULTS.simplifyTolerance) {
+	points = points.map(({x, y, z}) => vec(x, y, z))
+		.filter((point, i, points) => i === 0 || distance(point, points[i - 1]) > 0);
+	// A closed outline would be simplified to its start and end point only.
+	let split = points.reduce((farthest, point, i) => distance(point, points[0]) > distance(points[farthest], points[0]) ? i : farthest, 0);
+	if(split === 0) return points.slice(0, 1);
+	return douglasPeucker(points.slice(0, split + 1), tolerance).slice(0, -1)
+		.concat(douglasPeucker(points.slice(split), tolerance));
+}
+
+/**
+ * Principal axes of a point set.
+ *
+ * @return {Object} {mean, axes: [3 unit vectors], min: [3], max: [3]} with
+ *  axes sorted by descending variance and the extents of the points along them
+ */
+function principalAxes(points) {
+	let mean = centroid(points);
+	let keys = ['x', 'y', 'z'];
+	let covariance = keys.map(a => keys.map(b => points.reduce((sum, point) => sum + (point[a] - mean[a]) * (point[b] - mean[b]), 0) / points.length));
+	let axes = symmetricEigen(covariance).vectors.map(([x, y, z]) => normalize(vec(x, y, z)));
+	// Keep the frame right-handed
+	axes[2] = cross(axes[0], axes[1]);
+
+	let min = [Infinity, Infinity, Infinity];
+	let max = [-Infinity, -Infinity, -Infinity];
+	points.forEach(point => {
+		axes.forEach((axis, i) => {
+			let t = dot(sub(point, mean), axis);
+			min[i] = Math.min(min[i], t);
+			max[i] = Math.max(max[i], t);
+		});
+	});
+	return {mean, axes, min, max};
+}
+
+/**
+ * Fits a shape to an outline.
+ *
+ * @param {Array} points outline points [{x, y, z}]
+ * @param {Object} [options] thresholds, see DEFAULTS
+ * @return {Object} {center, shape} where shape is
+ *  {type: 'sphere', radius} |
+ *  {type: 'capsule', radius, length, axes} |
+ *  {type: 'disc', radius, thickness, axes} |
+ *  {type: 'box', size: [3], axes}
+ *  and axes are the principal axes, the last one being the normal of planes
+ */
+function fitShape(points, options) {
+	options = Object.assign({}, DEFAULTS, options);
+	if(points.length === 0) throw new Error('Can not fit a shape to an empty outline');
+
+	let {mean, axes, min, max} = principalAxes(points);
+	let extents = min.map((m, i) => max[i] - m);
+	let center = axes.reduce((center, axis, i) => add(center, scale(axis, (min[i] + max[i]) / 2)), mean);
+	let pad = size => Math.max(size * options.padding, options.minSize);
+	let shape;
+
+	if(extents[0] < options.pointSize) {
+		let radius = points.reduce((radius, point) => Math.max(radius, distance(point, center)), 0);
+		shape = {type: 'sphere', radius: pad(radius)};
+	} else if(extents[1] < extents[0] * options.lineRatio) {
+		shape = {type: 'capsule', radius: pad(extents[1] / 2), length: extents[0], axes};
+	} else if(extents[2] < extents[1] * options.planeRatio) {
+		if(extents[0] < extents[1] * options.discAspect) {
+			shape = {type: 'disc', radius: pad(extents[0] / 2), thickness: pad(extents[2]), axes};
+		} else {
+			shape = {type: 'box', size: [pad(extents[0]), pad(extents[1]), pad(extents[2])], axes};
+		}
+	} else {
+		shape = {type: 'sphere', radius: pad(Math.max.apply(null, extents) / 2)};
+	}
+
+	return {center, shape};
+}
+
+/**
+ * Rotates a shape, eg. when the stored positions are calibrated.
+ *
+ * @param {Object} shape shape from fitShape
+ * @param {Function} rotate maps a direction {x, y, z} to the rotated direction
+ * @return {Object} rotated shape
+ */
+function rotateShape(shape, rotate) {
+	if(!shape.axes) return shape;
+	return Object.assign({}, shape, {axes: shape.axes.map(axis => normalize(rotate(axis)))});
+}
+
+/**
+ * Local axes of the A-Frame primitive that renders a shape, as world
+ * directions. Cylinders extend along their y axis, boxes have their
+ * width/height/depth along x/y/z.
+ */
+function primitiveAxes(shape) {
+	let [first, second, third] = shape.axes;
+	let x;
+	let y;
+	if(shape.type === 'capsule') {
+		x = second;
+		y = first;
+	} else {
+		// Discs and boxes have their normal as y axis
+		x = first;
+		y = third;
+	}
+	return [x, y, cross(x, y)];
+}
+
+/**
+ * A-Frame geometry attribute for a shape.
+ *
+ * @param {Object} [shape] shape from fitShape, a sphere of the given radius if missing
+ * @param {Number} [radius] radius of lights without shape
+ * @return {String} geometry attribute
+ */
+function shapeGeometry(shape, radius) {
+	if(!shape) return `primitive: sphere; radius: ${radius || 0.2}`;
+	switch (shape.type) {
+		case 'capsule':
+			return `primitive: cylinder; radius: ${shape.radius}; height: ${shape.length + 2 * shape.radius}`;
+		case 'disc':
+			return `primitive: cylinder; radius: ${shape.radius}; height: ${shape.thickness}`;
+		case 'box':
+			return `primitive: box; width: ${shape.size[0]}; height: ${shape.size[2]}; depth: ${shape.size[1]}`;
+		default:
+			return `primitive: sphere; radius: ${shape.radius}`;
+	}
+}
+
+/**
+ * A-Frame rotation attribute for a shape.
+ *
+ * A-Frame applies rotations in YXZ order, in degrees.
+ *
+ * @param {Object} [shape] shape from fitShape
+ * @return {String} rotation attribute
+ */
+function shapeRotation(shape) {
+	if(!shape || !shape.axes) return '0 0 0';
+	let [x, y, z] = primitiveAxes(shape);
+	// Rotation matrix with the axes as columns, m[row][column]
+	let m = [[x.x, y.x, z.x], [x.y, y.y, z.y], [x.z, y.z, z.z]];
+	let rx = Math.asin(-Math.max(-1, Math.min(1, m[1][2])));
+	let ry;
+	let rz;
+	if(Math.abs(m[1][2]) < 0.99999) {
+		ry = Math.atan2(m[0][2], m[2][2]);
+		rz = Math.atan2(m[1][0], m[1][1]);
+	} else {
+		ry = Math.atan2(-m[2][0], m[0][0]);
+		rz = 0;
+	}
+	return [rx, ry, rz].map(angle => (angle * 180 / Math.PI).toFixed(2)).join(' ');
+}
+
+/**
+ * Points on the outside of a shape, whose convex hull seen along any axis is
+ * the shape's silhouette. Used to draw shapes in the floor plan.
+ *
+ * @param {Object} [shape] shape from fitShape, a sphere of the given radius if missing
+ * @param {Object} center position of the light
+ * @param {Number} [radius] radius of lights without shape
+ * @param {Number} [segments] points per circle
+ * @return {Array} points {x, y, z}
+ */
+function shapePoints(shape, center, radius = 0.2, segments = 16) {
+	let circle = (c, u, v, r) => Array.from({length: segments}, (_, i) => {
+		let angle = i / segments * 2 * Math.PI;
+		return add(c, add(scale(u, r * Math.cos(angle)), scale(v, r * Math.sin(angle))));
+	});
+	let [X, Y, Z] = [vec(1, 0, 0), vec(0, 1, 0), vec(0, 0, 1)];
+	let sphere = (c, r) => circle(c, X, Y, r).concat(circle(c, X, Z, r), circle(c, Y, Z, r));
+	center = vec(center.x, center.y, center.z);
+
+	if(!shape) return sphere(center, radius);
+	switch (shape.type) {
+		case 'capsule': {
+			let half = scale(shape.axes[0], shape.length / 2);
+			return sphere(add(center, half), shape.radius).concat(sphere(sub(center, half), shape.radius));
+		}
+		case 'disc': {
+			let half = scale(shape.axes[2], shape.thickness / 2);
+			return circle(add(center, half), shape.axes[0], shape.axes[1], shape.radius)
+				.concat(circle(sub(center, half), shape.axes[0], shape.axes[1], shape.radius));
+		}
+		case 'box': {
+			let points = [];
+			[-1, 1].forEach(a => [-1, 1].forEach(b => [-1, 1].forEach(c => {
+				let offsets = [a, b, c].map((sign, i) => scale(shape.axes[i], sign * shape.size[i] / 2));
+				points.push(offsets.reduce(add, center));
+			})));
+			return points;
+		}
+		default:
+			return sphere(center, shape.radius);
+	}
+}
+
+module.exports = {
+	simplifyOutline,
+	fitShape,
+	rotateShape,
+	shapeGeometry,
+	shapeRotation,
+	shapePoints,
+	principalAxes,
+	DEFAULTS
+};
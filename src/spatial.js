@@ -0,0 +1,99 @@
+/**
+ * Spatial queries on room layouts, eg. the lights within 2 m of the sofa
+ * or the lights in the living room, for scripts and the command line tool.
+ *
+ * Places are found by name among the furniture of the reference geometry,
+ * the group volumes, the lights and the sensors of a layout, or are given
+ * as coordinates 'x,y,z' in meters:
+ *
+ *   let place = findPlace(layout, 'sofa');
+ *   let near = entriesNear(layout.lights, place, 2); // [{entry, distance}], nearest first
+ */
+const {distance} = require('./linalg.js');
+const {containsPosition} = require('./groups.js');
+
+function sameName(a, b) {
+	return a !== undefined && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Finds a place of a layout by name.
+ *
+ * @param {Object} layout migrated layout
+ * @param {String} name name of furniture, a room or zone, a light or a sensor, or 'x,y,z'
+ * @return {Object|undefined} {type: 'point', position} | {type: 'furniture', item} | {type: 'group', volume}, with name
+ */
+function findPlace(layout, name) {
+	let coordinates = name.split(',').map(parseFloat);
+	if(coordinates.length === 3 && coordinates.every(value => !isNaN(value))) {
+		let [x, y, z] = coordinates;
+		return {type: 'point', name, position: {x, y, z}};
+	}
+	let item = layout.geometry.find(item => item.type === 'furniture' && sameName(item.name, name));
+	if(item) return {type: 'furniture', name: item.name, item};
+	let volume = layout.groups.find(volume => sameName(volume.name, name));
+	if(volume) return {type: 'group', name: volume.name, volume};
+	let entry = layout.lights.concat(layout.sensors).find(entry => sameName(entry.name, name));
+	if(entry) return {type: 'point', name: entry.name, position: entry.position};
+}
+
+// Distance of a value to a range, 0 inside
+function outside(value, min, max) {
+	return Math.max(min - value, 0, value - max);
+}
+
+function distanceToSegment(p, a, b) {
+	let dx = b.x - a.x;
+	let dz = b.z - a.z;
+	let span = dx * dx + dz * dz;
+	let t = span === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / span));
+	return Math.hypot(p.x - a.x - t * dx, p.z - a.z - t * dz);
+}
+
+/**
+ * Distance of a position to a place, 0 inside furniture and group volumes.
+ *
+ * Furniture stands on the floor, up to its height.
+ *
+ * @param {Object} position {x, y, z}
+ * @param {Object} place result of findPlace
+ * @return {Number} meters
+ */
+function distanceToPlace(position, place) {
+	switch (place.type) {
+		case 'furniture': {
+			let {min, max, height} = place.item;
+			return Math.hypot(outside(position.x, min.x, max.x), outside(position.y, 0, height), outside(position.z, min.z, max.z));
+		}
+		case 'group': {
+			let {polygon, bottom, top} = place.volume;
+			let vertical = outside(position.y, bottom, top);
+			if(containsPosition(Object.assign({}, place.volume, {bottom: -Infinity, top: Infinity}), position)) return vertical;
+			let horizontal = Math.min.apply(null, polygon.map((a, i) => distanceToSegment(position, a, polygon[(i + 1) % polygon.length])));
+			return Math.hypot(horizontal, vertical);
+		}
+		default:
+			return distance(position, place.position);
+	}
+}
+
+/**
+ * Layout entries within a distance of a place.
+ *
+ * @param {Array} entries light or sensor entries with position
+ * @param {Object} place result of findPlace
+ * @param {Number} radius meters, 0 for the entries inside furniture or group volumes
+ * @return {Array} [{entry, distance}] nearest first
+ */
+function entriesNear(entries, place, radius) {
+	return entries
+		.map(entry => ({entry, distance: distanceToPlace(entry.position, place)}))
+		.filter(({distance}) => distance <= radius)
+		.sort((a, b) => a.distance - b.distance);
+}
+
+module.exports = {
+	findPlace,
+	distanceToPlace,
+	entriesNear
+};
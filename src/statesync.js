@@ -0,0 +1,310 @@
+/**
+ * Live model of the bridge's lights, groups and sensors.
+ *
+ * Keeps the model up to date by polling getFullState and diffing it against
+ * the previous poll, or by listening to the CLIP v2 event stream on bridges
+ * that support it. Changes are reported as events:
+ *
+ *   sync.on('light', (id, changes, light) => …)
+ *   sync.on('group', (id, changes, group) => …)
+ *   sync.on('sensor', (id, changes, sensor) => …)
+ *   sync.on('change', ({type, id, changes, resource}) => …)
+ *   sync.on('added' / 'removed', ({type, id, resource}) => …)
+ *   sync.on('mode', mode => …) 'poll' or 'eventstream'
+ *   sync.on('error', e => …)
+ *
+ * `changes` holds the changed fields per section of the resource, e.g.
+ * {state: {on: true, bri: 120}} for a light that was switched on.
+ */
+const createEmitter = require('./emitter.js');
+
+// Sections of a resource that are diffed, besides its name.
+const SECTIONS = ['state', 'config', 'action'];
+
+// Collections of the full state and the event type that reports them.
+const COLLECTIONS = {
+	lights: 'light',
+	groups: 'group',
+	sensors: 'sensor'
+};
+
+function clone(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+function equal(a, b) {
+	return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Computes the changed fields between two versions of a resource.
+ *
+ * @param {Object} previous previous resource
+ * @param {Object} current current resource
+ * @return {Object|null} changes per section, null if nothing changed
+ */
+function diffResource(previous, current) {
+	let changes = {};
+	let changed = false;
+
+	SECTIONS.forEach(section => {
+		let before = previous[section] || {};
+		let after = current[section] || {};
+		Object.keys(after).forEach(key => {
+			if(section === 'state' && key === 'lastupdated') return;
+			if(!equal(before[key], after[key])) {
+				changes[section] = changes[section] || {};
+				changes[section][key] = clone(after[key]);
+				changed = true;
+			}
+		});
+	});
+
+	// Sensors only report their lastupdated time when nothing else changed,
+	// eg. a tap switch pressed twice.
+	if(current.state && previous.state && current.state.lastupdated !== previous.state.lastupdated &&
+		current.state.lastupdated !== 'none') {
+		changes.state = changes.state || {};
+		changes.state.lastupdated = current.state.lastupdated;
+		changed = true;
+	}
+
+	if(previous.name !== current.name) {
+		changes.name = current.name;
+		changed = true;
+	}
+
+	return changed ? changes : null;
+}
+
+/**
+ * Converts a CLIP v2 resource update into v1 style changes.
+ *
+ * @param {Object} data v2 resource update from the event stream
+ * @return {Object|null} {type, id, changes} or null for resources the model doesn't hold
+ */
+function fromV2Update(data) {
+	if(!data.id_v1) return null;
+	let [, collection, id] = data.id_v1.split('/');
+	if(!COLLECTIONS[collection]) return null;
+
+	let state = {};
+	let config = {};
+	if(data.on) state[collection === 'groups' ? 'any_on' : 'on'] = data.on.on;
+	if(data.dimming) state.bri = Math.max(1, Math.round(data.dimming.brightness * 2.54));
+	if(data.color && data.color.xy) {
+		state.xy = [data.color.xy.x, data.color.xy.y];
+		state.colormode = 'xy';
+	}
+	if(data.color_temperature && data.color_temperature.mirek) {
+		state.ct = data.color_temperature.mirek;
+		state.colormode = 'ct';
+	}
+	if(data.motion) state.presence = data.motion.motion;
+	if(data.light_level) state.lightlevel = data.light_level.light_level;
+	if(data.temperature) state.temperature = Math.round(data.temperature.temperature * 100);
+	if(data.button && data.button.last_event) state.buttonevent = data.button.last_event;
+	if(data.device_power) config.battery = data.device_power.battery_level;
+
+	let changes = {};
+	if(Object.keys(state).length > 0) changes.state = state;
+	if(Object.keys(config).length > 0) changes.config = config;
+	if(Object.keys(changes).length === 0) return null;
+
+	// Group on/off is reported per group, v1 keeps it in the last action
+	if(collection === 'groups' && state.any_on !== undefined) {
+		changes.action = {on: state.any_on};
+	}
+
+	return {type: COLLECTIONS[collection], id, collection, changes};
+}
+
+/**
+ * Creates a state sync for one bridge user.
+ *
+ * @param {Object} hueUser jsHue user object
+ * @param {Object} [options]
+ * @param {String} [options.mode='auto'] 'poll', 'eventstream' or 'auto' (event stream if there is a v2 user)
+ * @param {Number} [options.interval=2000] ms between polls
+ * @param {Number} [options.resyncInterval=60000] ms between full polls while using the event stream
+ * @param {Object} [options.v2User] jsHueV2 user of the same bridge, needed for the event stream
+ * @return {Object} state sync
+ */
+function createStateSync(hueUser, options) {
+	options = Object.assign({
+		mode: 'auto',
+		interval: 2000,
+		resyncInterval: 60000
+	}, options);
+
+	let emitter = createEmitter();
+	let model = {lights: {}, groups: {}, sensors: {}};
+	let pollTimer = null;
+	let running = false;
+	// Counts the starts and stops, callbacks of an earlier run do nothing
+	let generation = 0;
+	let mode = null;
+	let stream = null;
+
+	function emitChange(type, id, changes, resource) {
+		emitter.emit(type, id, changes, resource);
+		emitter.emit('change', {type, id, changes, resource});
+	}
+
+	/**
+	 * Merges a full state into the model and emits events for all differences.
+	 */
+	function reconcile(fullState) {
+		Object.keys(COLLECTIONS).forEach(collection => {
+			let type = COLLECTIONS[collection];
+			let current = fullState[collection] || {};
+			let known = model[collection];
+
+			Object.keys(current).forEach(id => {
+				if(known[id] === undefined) {
+					known[id] = clone(current[id]);
+					emitter.emit('added', {type, id, resource: known[id]});
+					return;
+				}
+				let changes = diffResource(known[id], current[id]);
+				if(changes) {
+					known[id] = clone(current[id]);
+					emitChange(type, id, changes, known[id]);
+				}
+			});
+
+			Object.keys(known).forEach(id => {
+				if(current[id] === undefined) {
+					let resource = known[id];
+					delete known[id];
+					emitter.emit('removed', {type, id, resource});
+				}
+			});
+		});
+	}
+
+	function applyChanges(collection, type, id, changes) {
+		let resource = model[collection][id];
+		if(!resource) return;
+		let effective = {};
+		SECTIONS.forEach(section => {
+			if(!changes[section]) return;
+			resource[section] = resource[section] || {};
+			Object.keys(changes[section]).forEach(key => {
+				if(equal(resource[section][key], changes[section][key])) return;
+				resource[section][key] = changes[section][key];
+				effective[section] = effective[section] || {};
+				effective[section][key] = changes[section][key];
+			});
+		});
+		if(Object.keys(effective).length > 0) emitChange(type, id, effective, resource);
+	}
+
+	function current(run) {
+		return running && run === generation;
+	}
+
+	function poll() {
+		let run = generation;
+		return hueUser.getFullState().then(fullState => {
+			if(current(run)) reconcile(fullState);
+		}).catch(e => {
+			if(current(run)) emitter.emit('error', e);
+		});
+	}
+
+	function schedulePoll(interval) {
+		let run = generation;
+		clearTimeout(pollTimer);
+		if(!current(run)) return;
+		pollTimer = setTimeout(() => poll().then(() => {
+			if(current(run)) schedulePoll(interval);
+		}), interval);
+	}
+
+	function handleEvent(run, event) {
+		if(!current(run) || event.type !== 'update') return;
+		event.data.forEach(update => {
+			let converted = fromV2Update(update);
+			if(converted) applyChanges(converted.collection, converted.type, converted.id, converted.changes);
+		});
+	}
+
+	function setMode(newMode) {
+		mode = newMode;
+		emitter.emit('mode', mode);
+		schedulePoll(mode === 'eventstream' ? options.resyncInterval : options.interval);
+	}
+
+	async function startEventStream() {
+		let run = generation;
+		setMode('eventstream');
+		try {
+			stream = options.v2User.eventStream(event => handleEvent(run, event));
+			await stream.done;
+		} catch (e) {
+			if(!current(run)) return;
+			emitter.emit('error', e);
+		}
+		// Stream ended or failed, poll until the next start.
+		if(current(run)) setMode('poll');
+	}
+
+	let sync = {
+		model,
+
+		get mode() {
+			return mode;
+		},
+
+		/**
+		 * Starts syncing. Resolves after the initial full state was loaded.
+		 *
+		 * @return {Promise}
+		 */
+		start: async function () {
+			if(running) return;
+			running = true;
+			let run = ++generation;
+			await poll();
+			// Stopped while loading
+			if(!current(run)) return;
+
+			if(options.mode !== 'poll' && options.v2User) startEventStream();
+			else setMode('poll');
+		},
+
+		/**
+		 * Stops polling and closes the event stream.
+		 */
+		stop: function () {
+			running = false;
+			generation++;
+			clearTimeout(pollTimer);
+			if(stream) stream.close();
+			stream = null;
+		},
+
+		/**
+		 * Polls the full state right away, eg. after a write.
+		 *
+		 * @return {Promise}
+		 */
+		refresh: poll
+	};
+
+	['on', 'off'].forEach(method => {
+		sync[method] = function () {
+			emitter[method].apply(emitter, arguments);
+			return sync;
+		};
+	});
+
+	return sync;
+}
+
+module.exports = {
+	createStateSync,
+	diffResource,
+	fromV2Update
+};
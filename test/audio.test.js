@@ -0,0 +1,60 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {decodeWav, analyseSamples, lightStates} = require('../src/audio.js');
+
+// 1.2 s, 22.05 kHz 16 bit mono: a steady 4 kHz tone, and 60 Hz kicks at 0.3 and 0.8 s
+const BEATS = path.join(__dirname, 'fixtures', 'beats.wav');
+const KICKS = [0.3, 0.8];
+
+function beatTimes(frames, band) {
+	return frames.filter(frame => frame.beats[band]).map(frame => frame.time);
+}
+
+describe('decodeWav', () => {
+	it('decodes PCM samples', () => {
+		let {sampleRate, samples} = decodeWav(fs.readFileSync(BEATS));
+		assert.strictEqual(sampleRate, 22050);
+		assert.strictEqual(samples.length, 26460);
+		assert.ok(samples.every(sample => sample >= -1 && sample <= 1));
+	});
+
+	it('rejects other files', () => {
+		assert.throws(() => decodeWav(Buffer.from('RIFF....AVI LIST')), /Not a WAV file/);
+	});
+});
+
+describe('analyseSamples', () => {
+	let {sampleRate, samples} = decodeWav(fs.readFileSync(BEATS));
+	let frames = analyseSamples(samples, sampleRate);
+
+	it('finds a bass beat in the first block after each kick', () => {
+		let times = beatTimes(frames, 'bass');
+		assert.strictEqual(times.length, KICKS.length);
+		// Blocks end every 1024 samples, about 46 ms
+		times.forEach((time, i) => assert.ok(time > KICKS[i] && time - KICKS[i] < 0.05, `beat at ${time}`));
+	});
+
+	it('keeps steady sounds at full level without beats', () => {
+		assert.deepStrictEqual(beatTimes(frames, 'high'), []);
+		assert.ok(frames.every(frame => frame.levels.high > 0.99));
+	});
+
+	it('lets the bass level fall between the kicks', () => {
+		let beforeKick = frames.filter(frame => frame.time < KICKS[1]).pop();
+		assert.ok(beforeKick.levels.bass < 0.3);
+	});
+
+	it('gives the same frames on every run', () => {
+		assert.deepStrictEqual(analyseSamples(samples, sampleRate), frames);
+	});
+
+	it('flashes the lowest lights on the kicks', () => {
+		let lights = [{key: 'floor', position: {x: 0, y: 0.2, z: 0}}, {key: 'ceiling', position: {x: 0, y: 2.5, z: 0}}];
+		let beat = frames.find(frame => frame.beats.bass);
+		let states = lightStates(lights, beat, {axis: 'y'});
+		assert.strictEqual(states.floor.bri, 1);
+		assert.deepStrictEqual(states.floor.rgb, [1, 0.1, 0]);
+	});
+});
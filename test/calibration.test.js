@@ -0,0 +1,119 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {calibrate, applyTransform, applyRotation, transformVolume, transformGeometry, yawAngle} = require('../src/calibration.js');
+
+function assertClose(actual, expected, message) {
+	assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} ${actual} is not ${expected}`);
+}
+
+// A quarter turn to the left (x to -z) and a move by (1, 0.5, 2)
+function quarterTurn() {
+	let references = [{x: 0, y: 1, z: 0}, {x: 2, y: 1, z: 0}, {x: 0, y: 2, z: 3}].map((stored, i) => ({
+		key: `r${i}`,
+		stored,
+		measured: {x: stored.z + 1, y: stored.y + 0.5, z: -stored.x + 2}
+	}));
+	return calibrate(references);
+}
+
+function assertPoint(actual, expected, message) {
+	['x', 'y', 'z'].forEach(axis => assertClose(actual[axis], expected[axis], `${message || ''} ${axis}`));
+}
+
+// Rotation by angles around x, then y, then a move
+function rigid(pitch, yaw, move) {
+	return ({x, y, z}) => {
+		let [cp, sp, cy, sy] = [Math.cos(pitch), Math.sin(pitch), Math.cos(yaw), Math.sin(yaw)];
+		let [y1, z1] = [y * cp - z * sp, y * sp + z * cp];
+		return {x: x * cy + z1 * sy + move.x, y: y1 + move.y, z: -x * sy + z1 * cy + move.z};
+	};
+}
+
+function referencesOf(points, transform) {
+	return points.map((stored, i) => ({key: `r${i}`, stored, measured: transform(stored)}));
+}
+
+const POINTS = [{x: 0, y: 1, z: 0}, {x: 2, y: 1.5, z: 0.5}, {x: -1, y: 2, z: 3}, {x: 1, y: 0.2, z: -2}];
+
+describe('calibrate', () => {
+	it('moves by the offset of a single reference', () => {
+		let result = calibrate(referencesOf(POINTS.slice(0, 1), rigid(0, 0, {x: 1, y: -0.5, z: 2})));
+		assertPoint(applyTransform(result, {x: 5, y: 5, z: 5}), {x: 6, y: 4.5, z: 7});
+		assertClose(yawAngle(result), 0);
+	});
+
+	it('solves the yaw of two references', () => {
+		let transform = rigid(0, 0.6, {x: 1, y: 0, z: -3});
+		let result = calibrate(referencesOf(POINTS.slice(0, 2), transform));
+		assert.strictEqual(result.yawOnly, true);
+		assertClose(yawAngle(result), 0.6, 'yaw');
+		assertPoint(applyTransform(result, {x: 4, y: 2, z: -1}), transform({x: 4, y: 2, z: -1}));
+		assertClose(result.rms, 0, 'rms');
+		assert.strictEqual(result.poor, false);
+	});
+
+	it('solves a full rotation of three or more references', () => {
+		let transform = rigid(0.3, -1.2, {x: -2, y: 0.4, z: 1});
+		let result = calibrate(referencesOf(POINTS, transform), {yawOnly: false});
+		assert.strictEqual(result.yawOnly, false);
+		assertPoint(applyTransform(result, {x: 3, y: -1, z: 2}), transform({x: 3, y: -1, z: 2}));
+		assertPoint(applyRotation(result, {x: 0, y: 1, z: 0}), {x: Math.sin(0.3) * Math.sin(-1.2), y: Math.cos(0.3), z: Math.sin(0.3) * Math.cos(-1.2)}, 'up');
+		assert.ok(result.residuals.every(residual => residual.error < 1e-9));
+	});
+
+	it('only yaws by default, however many references', () => {
+		let transform = rigid(0, 2.5, {x: 0.5, y: 0, z: 0.5});
+		let result = calibrate(referencesOf(POINTS, transform));
+		assert.strictEqual(result.yawOnly, true);
+		assertClose(yawAngle(result), 2.5);
+		assertPoint(applyTransform(result, POINTS[3]), transform(POINTS[3]));
+	});
+
+	it('reports fits that don\'t match the references', () => {
+		let references = referencesOf(POINTS, rigid(0, 0.2, {x: 0, y: 0, z: 0}));
+		references[2].measured = {x: references[2].measured.x + 0.6, y: references[2].measured.y, z: references[2].measured.z};
+		let result = calibrate(references);
+		assert.strictEqual(result.poor, true);
+		assert.deepStrictEqual(result.residuals.map(residual => residual.key), ['r0', 'r1', 'r2', 'r3']);
+		assert.ok(result.rms > 0.1);
+	});
+
+	it('needs a reference', () => {
+		assert.throws(() => calibrate([]), /at least one reference/);
+	});
+});
+
+describe('transformVolume', () => {
+	it('turns the polygon and lifts bottom and top', () => {
+		let volume = {key: 'k', name: 'desk', polygon: [{x: 0, z: 0}, {x: 1, z: 0}, {x: 1, z: 2}], bottom: 0, top: 2};
+		let moved = transformVolume(quarterTurn(), volume);
+		[{x: 1, z: 2}, {x: 1, z: 1}, {x: 3, z: 1}].forEach((point, i) => {
+			assertClose(moved.polygon[i].x, point.x, 'x');
+			assertClose(moved.polygon[i].z, point.z, 'z');
+		});
+		assertClose(moved.bottom, 0.5);
+		assertClose(moved.top, 2.5);
+		assert.strictEqual(moved.name, 'desk');
+		assert.strictEqual(volume.bottom, 0);
+	});
+});
+
+describe('transformGeometry', () => {
+	it('moves the points of walls', () => {
+		let wall = transformGeometry(quarterTurn(), {type: 'wall', points: [{x: 0, z: 0}, {x: 2, z: 0}], height: 2.5});
+		[{x: 1, z: 2}, {x: 1, z: 0}].forEach((point, i) => {
+			assertClose(wall.points[i].x, point.x, 'x');
+			assertClose(wall.points[i].z, point.z, 'z');
+		});
+		assert.strictEqual(wall.height, 2.5);
+	});
+
+	it('keeps furniture boxes around the turned corners', () => {
+		let table = transformGeometry(quarterTurn(), {type: 'furniture', name: 'table', min: {x: 0, z: 0}, max: {x: 2, z: 1}, height: 0.7});
+		assertClose(table.min.x, 1, 'min x');
+		assertClose(table.min.z, 0, 'min z');
+		assertClose(table.max.x, 2, 'max x');
+		assertClose(table.max.z, 2, 'max z');
+		assert.strictEqual(table.name, 'table');
+	});
+});
@@ -0,0 +1,129 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {colorCapabilities, rgbToXy, xyToRgb, clampToGamut, xyToMired, colorState, namedColorState, stateToRgb, stateColor, GAMUTS} = require('../src/color.js');
+
+function assertClose(actual, expected, message, tolerance = 1e-4) {
+	assert.ok(Math.abs(actual - expected) < tolerance, `${message || ''} ${actual} is not ${expected}`);
+}
+
+function assertAllClose(actual, expected, message, tolerance) {
+	assert.strictEqual(actual.length, expected.length);
+	expected.forEach((value, i) => assertClose(actual[i], value, `${message || ''} [${i}]`, tolerance));
+}
+
+const COLOR = {colormodes: ['xy', 'ct'], gamut: GAMUTS.C, ct: {min: 153, max: 500}};
+const WHITE = {colormodes: ['ct'], gamut: null, ct: {min: 153, max: 454}};
+const DIMMABLE = {colormodes: [], gamut: null, ct: null};
+
+describe('colorCapabilities', () => {
+	it('takes the capabilities the bridge reports', () => {
+		let gamut = [[0.7, 0.3], [0.17, 0.7], [0.15, 0.05]];
+		let light = {type: 'Extended color light', modelid: 'LCT001', capabilities: {control: {colorgamut: gamut, ct: {min: 153, max: 500}}}};
+		assert.deepStrictEqual(colorCapabilities(light), {colormodes: ['xy', 'ct'], gamut, ct: {min: 153, max: 500}});
+	});
+
+	it('falls back to the gamut of the model and the modes of the type', () => {
+		assert.deepStrictEqual(colorCapabilities({type: 'Extended color light', modelid: 'LCT001'}), {colormodes: ['xy', 'ct'], gamut: GAMUTS.B, ct: {min: 153, max: 454}});
+		assert.deepStrictEqual(colorCapabilities({type: 'Color light', modelid: 'LST001'}), {colormodes: ['xy'], gamut: GAMUTS.A, ct: null});
+		assert.deepStrictEqual(colorCapabilities({type: 'Dimmable light', modelid: 'LWB004'}), DIMMABLE);
+	});
+});
+
+describe('rgbToXy', () => {
+	it('converts with the wide gamut matrix', () => {
+		assertAllClose(rgbToXy([1, 0, 0]), [0.70061, 0.29930]);
+		assertAllClose(rgbToXy([1, 1, 1]), [0.32273, 0.32902]);
+	});
+
+	it('gives black the white point', () => {
+		assert.deepStrictEqual(rgbToXy([0, 0, 0]), [0.3227, 0.329]);
+	});
+});
+
+describe('xyToRgb', () => {
+	it('gives back the brightest color of rgbToXy', () => {
+		[[1, 0.5, 0.2], [0.1, 0.4, 1], [0, 1, 0.3]].forEach(rgb => assertAllClose(xyToRgb(rgbToXy(rgb)), rgb, rgb.join()));
+	});
+
+	it('gives black for y = 0', () => {
+		assert.deepStrictEqual(xyToRgb([0.3, 0]), [0, 0, 0]);
+	});
+});
+
+describe('clampToGamut', () => {
+	it('keeps colors inside the gamut', () => {
+		assert.deepStrictEqual(clampToGamut([0.3227, 0.329], GAMUTS.C), [0.3227, 0.329]);
+		assert.deepStrictEqual(clampToGamut([0.8, 0.2]), [0.8, 0.2]);
+	});
+
+	it('moves colors beyond a corner to the corner', () => {
+		assert.deepStrictEqual(clampToGamut([0.8, 0.2], GAMUTS.C), GAMUTS.C[0]);
+		assert.deepStrictEqual(clampToGamut([0.4, 0.6], GAMUTS.B), GAMUTS.B[1]);
+	});
+
+	it('moves colors beyond a side onto the side, straight', () => {
+		let [red, , blue] = GAMUTS.B;
+		let xy = [0.45, 0.1];
+		let clamped = clampToGamut(xy, GAMUTS.B);
+		let side = [blue[0] - red[0], blue[1] - red[1]];
+		// On the line from red to blue…
+		assertClose((clamped[0] - red[0]) * side[1] - (clamped[1] - red[1]) * side[0], 0, 'on the side', 1e-12);
+		// …and moved perpendicular to it
+		assertClose((xy[0] - clamped[0]) * side[0] + (xy[1] - clamped[1]) * side[1], 0, 'perpendicular', 1e-12);
+	});
+});
+
+describe('xyToMired', () => {
+	it('approximates the color temperature', () => {
+		// D65 is 6504K
+		assertClose(xyToMired([0.3127, 0.329]), 1000000 / 6504, 'D65', 0.1);
+	});
+});
+
+describe('colorState', () => {
+	it('sends color lights the xy in their gamut, rounded', () => {
+		assert.deepStrictEqual(colorState(COLOR, [1, 0, 0]), {xy: [0.6915, 0.3083]});
+		assert.deepStrictEqual(colorState(Object.assign({}, COLOR, {gamut: GAMUTS.B}), [0, 1, 0]), {xy: [0.409, 0.518]});
+		assert.deepStrictEqual(colorState(COLOR, [1, 1, 1]), {xy: [0.3227, 0.329]});
+	});
+
+	it('sends white lights the color temperature of whites', () => {
+		assert.deepStrictEqual(colorState(WHITE, [1, 1, 1]), {ct: 167});
+	});
+
+	it('sends white lights the warmth of saturated colors', () => {
+		assert.deepStrictEqual(colorState(WHITE, [1, 0, 0]), {ct: 454});
+		assert.deepStrictEqual(colorState(WHITE, [0, 0, 1]), {ct: 153});
+	});
+
+	it('sends nothing to dimmable lights', () => {
+		assert.deepStrictEqual(colorState(DIMMABLE, [1, 0, 0]), {});
+	});
+});
+
+describe('namedColorState', () => {
+	it('understands names, hex colors and kelvin', () => {
+		assert.deepStrictEqual(namedColorState(COLOR, 'Red'), colorState(COLOR, [1, 0, 0]));
+		assert.deepStrictEqual(namedColorState(COLOR, '#0000ff'), colorState(COLOR, [0, 0, 1]));
+		assert.deepStrictEqual(namedColorState(WHITE, 'warm_white'), {ct: 370});
+		assert.deepStrictEqual(namedColorState(WHITE, '2700K'), {ct: 370});
+		assert.deepStrictEqual(namedColorState(WHITE, '10000 k'), {ct: 153});
+		assert.strictEqual(namedColorState(COLOR, 'octarine'), undefined);
+	});
+
+	it('sends whites as xy to color lights without color temperature', () => {
+		assert.ok(namedColorState({colormodes: ['xy'], gamut: GAMUTS.A, ct: null}, 'candle').xy);
+	});
+});
+
+describe('stateColor', () => {
+	it('colors lights like they look', () => {
+		assert.strictEqual(stateColor({on: true, bri: 254, colormode: 'hs', hue: 0, sat: 254}), '#ff0000');
+		assert.strictEqual(stateColor({on: true, bri: 0, hue: 0, sat: 254}), '#400000');
+		assert.strictEqual(stateColor({on: false, bri: 254, xy: [0.7, 0.3]}), '#333333');
+	});
+
+	it('clamps xy to the gamut of the light', () => {
+		assert.deepStrictEqual(stateToRgb({xy: [0.8, 0.2]}, COLOR), stateToRgb({xy: GAMUTS.C[0]}));
+	});
+});
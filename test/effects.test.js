@@ -0,0 +1,85 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {EFFECTS, effectStates, sendInterval, lightBounds} = require('../src/effects.js');
+
+function light(key, x, y = 0, z = 0) {
+	return {key, position: {x, y, z}};
+}
+
+function assertClose(actual, expected, message) {
+	assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} ${actual} is not ${expected}`);
+}
+
+describe('effectStates', () => {
+	it('moves the wave along its direction', () => {
+		let lights = [light('a', 0), light('b', 1.5)];
+		let start = effectStates('wave', lights, 0);
+		// Half a wavelength apart, the lights show opposite hues
+		assert.deepStrictEqual(start.a.rgb, [1, 0, 0]);
+		assert.deepStrictEqual(start.b.rgb.map(value => Math.round(value * 1000) / 1000), [0, 1, 1]);
+		// After 3 s at 0.5 m/s the wave moved on by 1.5 m
+		let later = effectStates('wave', lights, 3);
+		assert.deepStrictEqual(later.b.rgb, start.a.rgb);
+	});
+
+	it('lights up where the pulse is', () => {
+		let lights = [light('near', 0), light('far', 3)];
+		let states = effectStates('pulse', lights, 2, {origin: {x: 3, y: 0, z: 0}});
+		assertClose(states.near.bri, 1);
+		assertClose(states.far.bri, 0.02);
+	});
+
+	it('blends the gradient between its corners, clamped outside', () => {
+		let states = effectStates('gradient', [light('a', -1), light('b', 0.5), light('c', 2)], 0, {
+			from: {x: 0, y: 0, z: 0}, to: {x: 1, y: 0, z: 0}, fromColor: [1, 0, 0], toColor: [0, 0, 1]
+		});
+		assert.deepStrictEqual([states.a.rgb, states.b.rgb, states.c.rgb], [[1, 0, 0], [0.5, 0, 0.5], [0, 0, 1]]);
+	});
+
+	it('follows the target, dim without one', () => {
+		let lights = [light('a', 0), light('b', 3)];
+		let states = effectStates('follow', lights, 0, {target: {x: 0.75, y: 0, z: 0}});
+		assertClose(states.a.bri, 0.5);
+		assertClose(states.b.bri, 0.02);
+		assertClose(effectStates('follow', lights, 0).a.bri, 0.02);
+	});
+
+	it('flickers the same for the same position and time', () => {
+		let lights = [light('a', 1, 2, 3), light('b', 1, 2, 3), light('c', -1, 0, 2)];
+		let states = effectStates('flicker', lights, 1.3);
+		assert.deepStrictEqual(states.a, states.b);
+		assert.notStrictEqual(states.a.bri, states.c.bri);
+		Object.keys(states).forEach(key => assert.ok(states[key].bri >= 0.65 && states[key].bri <= 1));
+	});
+
+	it('keeps every effect within its ranges', () => {
+		let lights = [light('a', 0), light('b', 1.3, 2, -0.4), light('c', -3, 0.5, 2)];
+		Object.keys(EFFECTS).forEach(name => [0, 0.7, 12.5].forEach(t => {
+			let states = effectStates(name, lights, t);
+			Object.keys(states).forEach(key => {
+				let {rgb, bri} = states[key];
+				assert.ok(bri > 0 && bri <= 1, `${name} bri ${bri}`);
+				rgb.forEach(value => assert.ok(value >= 0 && value <= 1, `${name} rgb ${rgb}`));
+			});
+		}));
+	});
+
+	it('refuses unknown effects', () => {
+		assert.throws(() => effectStates('disco', [], 0), /Unknown effect disco/);
+	});
+});
+
+describe('sendInterval', () => {
+	it('updates every light of a bridge within its budget', () => {
+		assert.strictEqual(sendInterval(1), 100);
+		assert.strictEqual(sendInterval(5), 500);
+		assert.strictEqual(sendInterval(3, 7), 429);
+	});
+});
+
+describe('lightBounds', () => {
+	it('gives the box around the lights', () => {
+		assert.deepStrictEqual(lightBounds([light('a', 1, 2, -1), light('b', -1, 0.5, 3)]), {min: {x: -1, y: 0.5, z: -1}, max: {x: 1, y: 2, z: 3}});
+		assert.deepStrictEqual(lightBounds([]).max, {x: 0, y: 0, z: 0});
+	});
+});
@@ -0,0 +1,32 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {createBridge, ERRORS} = require('../emulator/bridge.js');
+
+function errorTypes(response) {
+	return response.body.map(item => item.error && item.error.type);
+}
+
+describe('emulated bridge', () => {
+	it('refuses usernames named like inherited properties', () => {
+		let bridge = createBridge({username: 'tester'});
+		['__proto__', 'constructor', 'toString'].forEach(username => {
+			assert.deepStrictEqual(errorTypes(bridge.handle('GET', `/api/${username}/lights`, null)), [ERRORS.UNAUTHORIZED_USER]);
+		});
+		assert.strictEqual(Object.prototype['last use date'], undefined);
+		assert.strictEqual(Object.keys(bridge.handle('GET', '/api/tester/lights', null).body).length, 3);
+	});
+
+	it('keeps users created with such names to themselves', () => {
+		let bridge = createBridge({linkButton: true});
+		bridge.handle('POST', '/api', JSON.stringify({devicetype: 'test', username: '__proto__'}));
+		assert.strictEqual(Object.prototype.name, undefined);
+		assert.strictEqual(Object.keys(bridge.handle('GET', '/api/__proto__/lights', null).body).length, 3);
+	});
+
+	it('rejects scene lights that aren\'t a list', () => {
+		let bridge = createBridge({username: 'tester'});
+		let response = bridge.handle('POST', '/api/tester/scenes', JSON.stringify({name: 'x', lights: ['1']}));
+		let id = response.body[0].success.id;
+		assert.deepStrictEqual(errorTypes(bridge.handle('PUT', `/api/tester/scenes/${id}`, JSON.stringify({lights: 5}))), [ERRORS.INVALID_VALUE]);
+	});
+});
@@ -0,0 +1,116 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {createGestureRecognizer, recognizeGesture} = require('../src/gestures.js');
+
+// Evenly spaced samples on a straight line from start to end
+function stroke(start, end, duration, count = 10) {
+	return Array.from({length: count + 1}, (_, i) => ({
+		x: start.x + (end.x - start.x) * i / count,
+		y: start.y + (end.y - start.y) * i / count,
+		z: start.z + (end.z - start.z) * i / count,
+		t: duration * i / count
+	}));
+}
+
+// Samples of a vertical circle in front of the user, turning by the given angle
+function loop(angle, radius = 0.15, count = 24) {
+	return Array.from({length: count + 1}, (_, i) => {
+		let a = angle * i / count;
+		return {x: radius * Math.cos(a), y: 1.2 + radius * Math.sin(a), z: -0.5, t: i * 20};
+	});
+}
+
+const START = {x: 0, y: 1.2, z: -0.4};
+
+function moved(x, y, z) {
+	return {x: START.x + x, y: START.y + y, z: START.z + z};
+}
+
+describe('recognizeGesture', () => {
+	it('recognises vertical swipes with their height', () => {
+		let gesture = recognizeGesture(stroke(START, moved(0.02, 0.3, 0), 600));
+		assert.deepStrictEqual([gesture.type, gesture.duration], ['swipe-up', 600]);
+		assert.ok(Math.abs(gesture.amount - 0.3) < 1e-9);
+		assert.strictEqual(recognizeGesture(stroke(START, moved(0, -0.2, 0.03), 600)).type, 'swipe-down');
+	});
+
+	it('recognises fast horizontal flicks to the right of the facing direction', () => {
+		assert.strictEqual(recognizeGesture(stroke(START, moved(0.3, 0, 0), 200)).type, 'flick-right');
+		assert.strictEqual(recognizeGesture(stroke(START, moved(-0.3, 0.02, 0), 200)).type, 'flick-left');
+		// Facing +x, the right is +z
+		let gesture = recognizeGesture(stroke(START, moved(0, 0, 0.3), 200), {forward: {x: 1, y: 0, z: 0}});
+		assert.strictEqual(gesture.type, 'flick-right');
+		assert.ok(Math.abs(gesture.amount - 0.3) < 1e-9);
+	});
+
+	it('ignores slow horizontal strokes', () => {
+		assert.strictEqual(recognizeGesture(stroke(START, moved(0.3, 0, 0), 1000)), null);
+	});
+
+	it('ignores short, diagonal or winding strokes', () => {
+		assert.strictEqual(recognizeGesture(stroke(START, moved(0, 0.1, 0), 200)), null);
+		assert.strictEqual(recognizeGesture(stroke(START, moved(0.3, 0.3, 0), 200)), null);
+		let zigzag = stroke(START, moved(0, 0.3, 0), 600).map((sample, i) => Object.assign(sample, {x: i % 2 ? 0.1 : 0}));
+		assert.strictEqual(recognizeGesture(zigzag), null);
+	});
+
+	it('recognises closed loops as circles', () => {
+		assert.deepStrictEqual(recognizeGesture(loop(2 * Math.PI)), {type: 'circle', duration: 480});
+		assert.strictEqual(recognizeGesture(loop(-1.8 * Math.PI)).type, 'circle');
+	});
+
+	it('ignores loops of less than most of a turn', () => {
+		assert.strictEqual(recognizeGesture(loop(1.2 * Math.PI)), null);
+	});
+
+	it('recognises holding still', () => {
+		let samples = stroke(START, moved(0.01, 0, 0), 1000);
+		assert.deepStrictEqual(recognizeGesture(samples), {type: 'hold', duration: 1000});
+	});
+
+	it('needs two samples', () => {
+		assert.strictEqual(recognizeGesture([]), null);
+		assert.strictEqual(recognizeGesture([Object.assign({t: 0}, START)]), null);
+	});
+});
+
+describe('createGestureRecognizer', () => {
+	function record(recognizer) {
+		let gestures = [];
+		recognizer.on('gesture', gesture => gestures.push(gesture.type));
+		return gestures;
+	}
+
+	it('reports gestures when the stroke ends', () => {
+		let recognizer = createGestureRecognizer();
+		let gestures = record(recognizer);
+		recognizer.start();
+		stroke(START, moved(0, 0.3, 0), 600).forEach(sample => recognizer.addSample(sample));
+		assert.deepStrictEqual(gestures, []);
+		assert.strictEqual(recognizer.end().type, 'swipe-up');
+		assert.deepStrictEqual(gestures, ['swipe-up']);
+	});
+
+	it('reports holds once while sampling', () => {
+		let recognizer = createGestureRecognizer();
+		let gestures = record(recognizer);
+		recognizer.start();
+		stroke(START, START, 2000, 40).forEach(sample => recognizer.addSample(sample));
+		assert.deepStrictEqual(gestures, ['hold']);
+		assert.strictEqual(recognizer.end(), null);
+		assert.deepStrictEqual(gestures, ['hold']);
+	});
+
+	it('ignores samples outside of strokes', () => {
+		let recognizer = createGestureRecognizer();
+		let gestures = record(recognizer);
+		stroke(START, moved(0, 0.3, 0), 600).forEach(sample => recognizer.addSample(sample));
+		assert.strictEqual(recognizer.end(), null);
+		recognizer.start();
+		recognizer.addSample(Object.assign({t: 0}, START));
+		recognizer.cancel();
+		recognizer.addSample(Object.assign({t: 600}, moved(0, 0.3, 0)));
+		assert.strictEqual(recognizer.end(), null);
+		assert.deepStrictEqual(gestures, []);
+	});
+});
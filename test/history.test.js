@@ -0,0 +1,91 @@
+const {describe, it, beforeEach} = require('node:test');
+const assert = require('assert');
+const {createHistory, lightsEntry} = require('../src/history.js');
+
+function light(key, state) {
+	return {key, state};
+}
+
+describe('createHistory', () => {
+	let time;
+	let history;
+
+	beforeEach(() => {
+		time = 0;
+		history = createHistory({now: () => time, limit: 3});
+	});
+
+	it('undoes and redoes in order', () => {
+		history.push({type: 'layout', label: 'place a', before: 1, after: 2});
+		history.push({type: 'layout', label: 'place b', before: 2, after: 3});
+		assert.strictEqual(history.undoLabel, 'place b');
+		assert.strictEqual(history.undo().before, 2);
+		assert.strictEqual(history.undo().before, 1);
+		assert.strictEqual(history.undo(), undefined);
+		assert.strictEqual(history.redoLabel, 'place a');
+		assert.strictEqual(history.redo().after, 2);
+		assert.strictEqual(history.undoLabel, 'place a');
+	});
+
+	it('drops the undone changes on a new change', () => {
+		history.push({type: 'layout', label: 'place a', before: 1, after: 2});
+		history.undo();
+		history.push({type: 'layout', label: 'place b', before: 1, after: 3});
+		assert.strictEqual(history.redoLabel, undefined);
+	});
+
+	it('keeps the latest changes up to the limit', () => {
+		['a', 'b', 'c', 'd'].forEach(label => history.push({type: 'layout', label, before: 0, after: 0}));
+		assert.deepStrictEqual([history.undo(), history.undo(), history.undo(), history.undo()].map(entry => entry && entry.label), ['d', 'c', 'b', undefined]);
+	});
+
+	it('merges quick changes with the same merge key', () => {
+		let state = {on: true, bri: 100};
+		history.push(lightsEntry([light('b/1', state)], {bri: 120}, 'brightness', 'control/bri'));
+		time = 500;
+		history.push(lightsEntry([light('b/1', {on: true, bri: 120})], {bri: 140}, 'brightness', 'control/bri'));
+		time = 1400;
+		history.push(lightsEntry([light('b/1', {on: true, bri: 140})], {bri: 160}, 'brightness', 'control/bri'));
+		let entry = history.undo();
+		assert.deepStrictEqual([entry.before, entry.after], [{'b/1': {bri: 100}}, {'b/1': {bri: 160}}]);
+		assert.strictEqual(history.undo(), undefined);
+	});
+
+	it('doesn\'t merge changes after the merge time', () => {
+		history.push(lightsEntry([light('b/1', {bri: 100})], {bri: 120}, 'brightness', 'control/bri'));
+		time = 1001;
+		history.push(lightsEntry([light('b/1', {bri: 120})], {bri: 140}, 'brightness', 'control/bri'));
+		assert.deepStrictEqual(history.undo().before, {'b/1': {bri: 120}});
+		assert.deepStrictEqual(history.undo().before, {'b/1': {bri: 100}});
+	});
+
+	it('continues a stored history', () => {
+		history.push({type: 'layout', label: 'place a', before: 1, after: 2});
+		history.push({type: 'layout', label: 'place b', before: 2, after: 3});
+		history.undo();
+		let restored = createHistory({stored: JSON.parse(JSON.stringify(history.toJSON()))});
+		assert.strictEqual(restored.undoLabel, 'place a');
+		assert.strictEqual(restored.redoLabel, 'place b');
+	});
+
+	it('hands out copies of its entries', () => {
+		history.push({type: 'layout', label: 'place a', before: {x: 1}, after: {x: 2}});
+		history.undo().before.x = 5;
+		assert.strictEqual(history.redo().before.x, 1);
+	});
+});
+
+describe('lightsEntry', () => {
+	it('keeps all color fields of a color change', () => {
+		let state = {on: true, bri: 100, colormode: 'ct', ct: 300, xy: [0.4, 0.4]};
+		let entry = lightsEntry([light('b/1', state)], {xy: [0.6, 0.3], transitiontime: 2}, 'color red');
+		assert.deepStrictEqual(entry.before, {'b/1': {xy: [0.4, 0.4], ct: 300, colormode: 'ct'}});
+		assert.deepStrictEqual(entry.after, {'b/1': {xy: [0.6, 0.3]}});
+	});
+
+	it('resolves relative brightness changes', () => {
+		let entry = lightsEntry([light('b/1', {bri: 240}), light('b/2', {bri: 10})], {bri_inc: 30}, 'brighter');
+		assert.deepStrictEqual(entry.after, {'b/1': {bri: 254}, 'b/2': {bri: 40}});
+		assert.deepStrictEqual(entry.before, {'b/1': {bri: 240}, 'b/2': {bri: 10}});
+	});
+});
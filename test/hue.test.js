@@ -0,0 +1,138 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool reads its config path when loaded
+const CONFIG = path.join(os.tmpdir(), `hue-vrcontrollers-test-${process.pid}.json`);
+process.env.HUE_CONFIG = CONFIG;
+
+const {COMMANDS, parseArgs, parseState} = require('../bin/hue.js');
+const {createBridge} = require('../emulator/bridge.js');
+const {createServer} = require('../emulator/server.js');
+const {emptyLayout} = require('../src/layout.js');
+
+const COLOR = {colormodes: ['xy', 'ct'], gamut: [[0.6915, 0.3083], [0.17, 0.7], [0.1532, 0.0475]], ct: {min: 153, max: 500}};
+
+describe('parseArgs', () => {
+	it('splits arguments and options', () => {
+		assert.deepStrictEqual(parseArgs(['light', 'desk', '--bri', '50%', 'on', '--json']), {args: ['light', 'desk', 'on'], options: {bri: '50%', json: true}});
+	});
+
+	it('needs values for options', () => {
+		assert.throws(() => parseArgs(['lights', '--bridge']), {name: 'UsageError', message: '--bridge needs a value'});
+	});
+});
+
+describe('parseState', () => {
+	it('switches lights on and off', () => {
+		assert.deepStrictEqual(parseState(['off'], {}, COLOR), {on: false});
+		assert.deepStrictEqual(parseState(['on'], {transition: '1.5'}, COLOR), {on: true, transitiontime: 15});
+	});
+
+	it('switches lights on for brightness and color', () => {
+		assert.deepStrictEqual(parseState([], {bri: '50%'}, COLOR), {bri: 127, on: true});
+		assert.deepStrictEqual(parseState([], {bri: '300', color: 'red'}, COLOR), {bri: 254, xy: [0.6915, 0.3083], on: true});
+	});
+
+	it('rejects unknown colors and empty states', () => {
+		assert.throws(() => parseState([], {color: 'octarine'}, COLOR), /Unknown color octarine/);
+		assert.throws(() => parseState([], {bri: 'bright'}, COLOR), /Invalid brightness bright/);
+		assert.throws(() => parseState([], {transition: '2'}, COLOR), /Nothing to set/);
+		assert.throws(() => parseState(['dim'], {}, COLOR), /Unknown argument dim/);
+	});
+});
+
+describe('commands', () => {
+	let bridge;
+	let server;
+	let address;
+
+	before(() => {
+		bridge = createBridge({linkButton: true, type: 'mixed'});
+		server = createServer(bridge);
+		return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+			address = `127.0.0.1:${server.address().port}`;
+		});
+	});
+
+	after(() => {
+		server.close();
+		if(fs.existsSync(CONFIG)) fs.unlinkSync(CONFIG);
+	});
+
+	// Runs a command line, resolves with what it printed
+	function run(...argv) {
+		let {args, options} = parseArgs(argv);
+		let lines = [];
+		let log = console.log;
+		console.log = line => lines.push(line);
+		return Promise.resolve().then(() => COMMANDS[args[0]](args.slice(1), options)).then(() => {
+			console.log = log;
+			return lines;
+		}, e => {
+			console.log = log;
+			throw e;
+		});
+	}
+
+	it('needs a paired bridge', () => {
+		return assert.rejects(run('lights'), /No bridge paired yet/);
+	});
+
+	it('stores the paired bridge', () => {
+		return run('pair', address).then(() => {
+			let {bridges} = JSON.parse(fs.readFileSync(CONFIG, 'utf8'));
+			assert.deepStrictEqual(bridges.map(({id, address}) => ({id, address})), [{id: bridge.state.config.bridgeid, address}]);
+			assert.ok(bridge.state.config.whitelist[bridges[0].username]);
+		});
+	});
+
+	it('lists lights', () => {
+		return run('lights').then(lines => {
+			assert.deepStrictEqual(lines, [
+				'1\tHue light 1\tExtended color light\toff',
+				'2\tHue light 2\tColor light\toff',
+				'3\tHue light 3\tColor temperature light\toff'
+			]);
+		});
+	});
+
+	it('sets lights by name, in their color mode', () => {
+		return run('light', 'hue light 3', '--color', 'candle', '--bri', '100%').then(() => {
+			let {state} = bridge.state.lights['3'];
+			assert.deepStrictEqual([state.on, state.bri, state.colormode, state.ct], [true, 254, 'ct', 454]);
+		});
+	});
+
+	it('rejects unknown lights', () => {
+		return assert.rejects(run('light', 'porch', 'on'), {name: 'UsageError', message: 'No light porch, see the list of lights'});
+	});
+
+	it('sets all lights with group 0', () => {
+		return run('group', '0', 'on').then(() => run('lights', '--json')).then(lines => {
+			let lights = JSON.parse(lines[0]);
+			assert.deepStrictEqual(Object.keys(lights).map(id => lights[id].state.on), [true, true, true]);
+		});
+	});
+
+	it('sets the lights near a place of the layout', () => {
+		let file = path.join(os.tmpdir(), `hue-vrcontrollers-layout-${process.pid}.json`);
+		let layout = Object.assign(emptyLayout(), {
+			lights: [
+				{uniqueid: bridge.state.lights['1'].uniqueid, name: 'Reading lamp', position: {x: 1, y: 1, z: 0}},
+				{uniqueid: bridge.state.lights['2'].uniqueid, name: 'Hallway', position: {x: 8, y: 2, z: 0}},
+				{uniqueid: 'elsewhere', name: 'Desk', position: {x: 0, y: 1, z: 1}}
+			],
+			geometry: [{type: 'furniture', name: 'Sofa', min: {x: 0, z: -1}, max: {x: 2, z: 0}, height: 0.8}]
+		});
+		fs.writeFileSync(file, JSON.stringify(layout));
+		return run('near', file, 'sofa', '2', 'off').then(lines => {
+			fs.unlinkSync(file);
+			assert.deepStrictEqual(lines, ['1\tReading lamp\t0.20 m\ton 100%', '-\tDesk\t1.02 m\tnot on a paired bridge']);
+			assert.strictEqual(bridge.state.lights['1'].state.on, false);
+			assert.strictEqual(bridge.state.lights['2'].state.on, true);
+		});
+	});
+});
@@ -0,0 +1,62 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {inputsOf, bindingsFor, actionsFor, inputOfEvent, primaryAxis, INPUTS} = require('../src/input.js');
+
+describe('inputsOf', () => {
+	it('lists the inputs of a controller type', () => {
+		assert.deepStrictEqual(inputsOf('vive-controls'), ['trigger', 'grip', 'primary', 'primaryTouch', 'menu']);
+		assert.deepStrictEqual(inputsOf('gamepad'), ['trigger', 'grip', 'primary', 'primaryTouch', 'secondary', 'menu', 'faceA', 'faceB']);
+		assert.deepStrictEqual(inputsOf('unknown'), INPUTS);
+	});
+});
+
+describe('bindingsFor', () => {
+	it('takes the defaults of the type and the stored changes', () => {
+		let bindings = bindingsFor('oculus-touch-controls', {'oculus-touch-controls': {undo: 'secondary'}, 'vive-controls': {undo: 'grip'}});
+		assert.strictEqual(bindings.menu, 'faceB');
+		assert.strictEqual(bindings.effect, 'faceA');
+		assert.strictEqual(bindings.undo, 'secondary');
+		assert.strictEqual(bindings.redo, undefined);
+	});
+
+	it('drops bindings to inputs the controller lacks and unknown actions', () => {
+		let bindings = bindingsFor('vive-controls', {'vive-controls': {undo: 'faceA', dance: 'grip'}});
+		// The Vive has no button left for effects
+		assert.strictEqual(bindings.effect, undefined);
+		assert.strictEqual(bindings.undo, undefined);
+		assert.strictEqual(bindings.dance, undefined);
+	});
+});
+
+describe('actionsFor', () => {
+	let bindings = bindingsFor('vive-controls');
+
+	it('gives every action bound to an input', () => {
+		assert.deepStrictEqual(actionsFor(bindings, 'trigger'), ['configure', 'toggle']);
+		assert.deepStrictEqual(actionsFor(bindings, 'grip'), ['gesture']);
+		assert.deepStrictEqual(actionsFor(bindings, 'secondary'), []);
+	});
+
+	it('doesn\'t toggle while drawing an outline', () => {
+		assert.deepStrictEqual(actionsFor(bindings, 'trigger', 'outline'), ['configure']);
+		assert.deepStrictEqual(actionsFor(bindings, 'grip', 'outline'), ['gesture']);
+	});
+});
+
+describe('inputOfEvent', () => {
+	it('translates component events to inputs', () => {
+		assert.deepStrictEqual(inputOfEvent('vive-controls', 'trackpaddown'), {input: 'primary', down: true});
+		assert.deepStrictEqual(inputOfEvent('vive-controls', 'trackpadtouchend'), {input: 'primaryTouch', down: false});
+		assert.deepStrictEqual(inputOfEvent('oculus-touch-controls', 'ybuttonup'), {input: 'faceB', down: false});
+		assert.strictEqual(inputOfEvent('vive-controls', 'menutouchstart'), undefined);
+		assert.strictEqual(inputOfEvent('gamepad', 'triggerdown'), undefined);
+	});
+});
+
+describe('primaryAxis', () => {
+	it('picks the primary axis with y pointing up', () => {
+		assert.deepStrictEqual(primaryAxis('vive-controls', [0.5, 0.25]), [0.5, 0.25]);
+		assert.deepStrictEqual(primaryAxis('windows-motion-controls', [0.9, 0.9, 0.5, 0.25]), [0.5, -0.25]);
+		assert.strictEqual(primaryAxis('windows-motion-controls', [0.9, 0.9]), undefined);
+	});
+});
@@ -0,0 +1,128 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const jsHue = require('../src/jshue.js');
+const {createBridge} = require('../emulator/bridge.js');
+const {createEmulatorFetch} = require('../emulator/fetch.js');
+
+const HOST = 'localhost:8000';
+
+function pair(options) {
+	let bridge = createBridge(Object.assign({linkButton: true}, options));
+	let hue = jsHue({fetch: createEmulatorFetch(bridge, {host: HOST})});
+	return hue.bridge(HOST).pair('jshue#test').then(username => ({bridge, hue, user: hue.bridge(HOST).user(username)}));
+}
+
+describe('jsHue responses', () => {
+	it('resolves partly successful writes with the successes and errors', () => {
+		return pair({type: 'white'}).then(({bridge, user}) => {
+			return user.setLightState(1, {on: true, bri: 100, sat: 254}).then(response => {
+				assert.deepStrictEqual(response.filter(item => item.error).map(item => item.error.type), [6]);
+				assert.strictEqual(response.filter(item => item.success).length, 2);
+				assert.strictEqual(bridge.state.lights['1'].state.bri, 100);
+			});
+		});
+	});
+
+	it('rejects responses with only errors as typed errors', () => {
+		return pair().then(({hue}) => {
+			return assert.rejects(hue.bridge(HOST).user('unknown').getLights(), error => {
+				assert.ok(error instanceof jsHue.errors.UnauthorizedUser);
+				assert.strictEqual(error.response.length, 1);
+				return true;
+			});
+		});
+	});
+
+	it('rejects pairing without the link button', () => {
+		let bridge = createBridge();
+		let hue = jsHue({fetch: createEmulatorFetch(bridge, {host: HOST})});
+		return assert.rejects(hue.bridge(HOST).createUser('jshue#test'), jsHue.errors.LinkButtonNotPressed);
+	});
+});
+
+describe('jsHue scheduler', () => {
+	// Records the state writes and answers them with a success
+	function recorder(rates) {
+		let writes = [];
+		let fetch = (url, init) => {
+			writes.push({light: url.split('/')[6], body: JSON.parse(init.body), time: Date.now()});
+			return Promise.resolve({json: () => Promise.resolve([{success: {}}])});
+		};
+		let user = jsHue({fetch, rates}).bridge(HOST).user('tester');
+		return {writes, user};
+	}
+
+	it('merges writes to a light while one is queued', () => {
+		let {writes, user} = recorder();
+		let sent = [
+			user.setLightState(1, {on: true}),
+			user.setLightState(1, {bri: 100, xy: [0.3, 0.3]}),
+			user.setLightState(1, {ct: 300}),
+			user.setLightState(1, {bri: 120})
+		];
+		return Promise.all(sent).then(() => {
+			assert.deepStrictEqual(writes.map(write => write.body), [{on: true}, {bri: 120, ct: 300}]);
+		});
+	});
+
+	it('adds increments to queued values within their range', () => {
+		let {writes, user} = recorder();
+		let sent = [
+			user.setLightState(1, {on: true}),
+			user.setLightState(1, {bri: 200, ct: 170, hue: 65000}),
+			user.setLightState(1, {bri_inc: 100, ct_inc: -50})
+		];
+		return Promise.all(sent).then(() => {
+			// hue/sat and ct exclude each other
+			assert.deepStrictEqual(writes[1].body, {bri: 254, ct: 153});
+		});
+	});
+
+	it('adds up increments without queued values', () => {
+		let {writes, user} = recorder();
+		let sent = [
+			user.setLightState(1, {on: true}),
+			user.setLightState(1, {bri_inc: 10}),
+			user.setLightState(1, {bri_inc: 20, xy_inc: [0.1, -0.1]})
+		];
+		return Promise.all(sent).then(() => {
+			assert.deepStrictEqual(writes[1].body, {bri_inc: 30, xy_inc: [0.1, -0.1]});
+		});
+	});
+
+	it('wraps the hue around', () => {
+		let {writes, user} = recorder();
+		let sent = [
+			user.setLightState(1, {on: true}),
+			user.setLightState(1, {hue: 65000}),
+			user.setLightState(1, {hue_inc: 1000})
+		];
+		return Promise.all(sent).then(() => {
+			assert.deepStrictEqual(writes[1].body, {hue: 464});
+		});
+	});
+
+	it('sends no more writes than the rate allows', () => {
+		let {writes, user} = recorder({light: 20});
+		let sent = [1, 2, 3].map(id => user.setLightState(id, {on: true}));
+		return Promise.all(sent).then(() => {
+			let gaps = writes.slice(1).map((write, i) => write.time - writes[i].time);
+			gaps.forEach(gap => assert.ok(gap >= 45, `${gap} ms between writes`));
+		});
+	});
+
+	it('sends writes of higher priority first', () => {
+		let {writes, user} = recorder({light: 20});
+		let sent = [
+			user.setLightState(1, {on: true}),
+			user.setLightState(2, {on: true}, jsHue.PRIORITY.BACKGROUND),
+			user.setLightState(3, {on: true}),
+			user.setLightState(4, {on: true}, jsHue.PRIORITY.INTERACTION),
+			// Merged writes keep the higher priority
+			user.setLightState(2, {bri: 10}, jsHue.PRIORITY.INTERACTION)
+		];
+		return Promise.all(sent).then(() => {
+			assert.deepStrictEqual(writes.map(write => write.light), ['1', '2', '4', '3']);
+		});
+	});
+});
@@ -0,0 +1,37 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const jsHueV2 = require('../src/jshue2.js');
+
+function respond(status, json) {
+	return Promise.resolve({ok: status < 400, status, json: () => Promise.resolve(json)});
+}
+
+describe('jsHueV2', () => {
+	it('sends requests with the fetch it was given', () => {
+		let requests = [];
+		let fetch = (url, init) => {
+			requests.push({url, init});
+			return respond(200, {errors: [], data: [{id: 'abc', type: 'light'}]});
+		};
+		return jsHueV2({fetch}).bridge('10.0.0.2').user('key').getLights().then(lights => {
+			assert.deepStrictEqual(lights, [{id: 'abc', type: 'light'}]);
+			assert.strictEqual(requests[0].url, 'https://10.0.0.2/clip/v2/resource/light');
+			assert.strictEqual(requests[0].init.headers['hue-application-key'], 'key');
+		});
+	});
+
+	it('rejects responses with errors', () => {
+		let fetch = () => respond(403, {errors: [{description: 'unauthorized user'}], data: []});
+		return assert.rejects(jsHueV2({fetch}).bridge('10.0.0.2').user('key').getLights(), error => {
+			assert.ok(error instanceof jsHueV2.Error);
+			assert.strictEqual(error.message, 'unauthorized user');
+			assert.strictEqual(error.status, 403);
+			return true;
+		});
+	});
+
+	it('tells bridges that speak v2', () => {
+		assert.strictEqual(jsHueV2.supportsV2({modelid: 'BSB002', swversion: '1948086000'}), true);
+		assert.strictEqual(jsHueV2.supportsV2({modelid: 'BSB001', swversion: '1948086000'}), false);
+	});
+});
@@ -0,0 +1,134 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {emptyLayout, findEntry, mergeLayouts, rebaseLayout, migrateLayout, LayoutError, FORMAT} = require('../src/layout.js');
+
+function layoutWith(lights) {
+	return Object.assign(emptyLayout(), {lights});
+}
+
+function entry(uniqueid, bridgeId, x) {
+	return {uniqueid, bridgeId, name: uniqueid, position: {x, y: 1, z: 0}, shape: null, reference: false};
+}
+
+describe('findEntry', () => {
+	it('finds the entry of a light that moved to another bridge', () => {
+		let layout = layoutWith([entry('00:17:88:01:00:00:00:01-0b', 'A', 1)]);
+		assert.strictEqual(findEntry(layout, {uniqueid: '00:17:88:01:00:00:00:01-0b', bridgeId: 'B'}).position.x, 1);
+	});
+
+	it('prefers the entry of the light\'s bridge', () => {
+		let layout = layoutWith([entry('u1', 'A', 1), entry('u1', 'B', 2)]);
+		assert.strictEqual(findEntry(layout, {uniqueid: 'u1', bridgeId: 'B'}).position.x, 2);
+		assert.strictEqual(findEntry(layout, {uniqueid: 'u1', bridgeId: 'C'}).position.x, 1);
+	});
+
+	it('finds entries without bridge id', () => {
+		let layout = layoutWith([entry('u1', undefined, 1)]);
+		assert.strictEqual(findEntry(layout, {uniqueid: 'u1', bridgeId: 'A'}).position.x, 1);
+		assert.strictEqual(findEntry(layout, {uniqueid: 'u2', bridgeId: 'A'}), undefined);
+	});
+});
+
+describe('mergeLayouts', () => {
+	it('matches imported lights by uniqueid across bridges', () => {
+		let {layout, matched, added} = mergeLayouts(layoutWith([entry('u1', 'B', 1)]), layoutWith([entry('u1', 'A', 5)]));
+		assert.deepStrictEqual([matched, added], [1, 0]);
+		assert.strictEqual(layout.lights.length, 1);
+		assert.strictEqual(layout.lights[0].position.x, 5);
+		assert.strictEqual(layout.lights[0].bridgeId, 'B');
+	});
+
+	it('applies layouts imported into an empty layout to lights of other bridges', () => {
+		let {layout} = mergeLayouts(emptyLayout(), layoutWith([entry('u1', 'A', 5)]));
+		assert.strictEqual(findEntry(layout, {uniqueid: 'u1', bridgeId: 'B'}).position.x, 5);
+	});
+});
+
+function reference(uniqueid, position) {
+	return Object.assign(entry(uniqueid, 'A', 0), {position, reference: true});
+}
+
+function assertNear(actual, expected) {
+	['x', 'y', 'z'].forEach(axis => assert.ok(Math.abs(actual[axis] - expected[axis]) < 1e-9, `${axis}: ${actual[axis]} is not ${expected[axis]}`));
+}
+
+describe('mergeLayouts with shared references', () => {
+	it('moves the imported layout onto a single reference', () => {
+		let current = layoutWith([reference('r1', {x: 1, y: 1, z: 1})]);
+		let imported = layoutWith([reference('r1', {x: 0, y: 1, z: 0}), entry('u1', 'A', 2)]);
+		assertNear(findEntry(mergeLayouts(current, imported).layout, {uniqueid: 'u1'}).position, {x: 3, y: 1, z: 1});
+	});
+
+	it('turns the imported layout onto two references', () => {
+		// The imported tracking space is turned a quarter to the left (x to -z) and moved by (1, 0, 2)
+		let turn = ({x, y, z}) => ({x: z + 1, y, z: -x + 2});
+		let current = layoutWith([reference('r1', turn({x: 0, y: 1, z: 0})), reference('r2', turn({x: 2, y: 1, z: 0}))]);
+		let imported = Object.assign(layoutWith([
+			reference('r1', {x: 0, y: 1, z: 0}),
+			reference('r2', {x: 2, y: 1, z: 0}),
+			Object.assign(entry('u1', 'A', 0), {position: {x: 1, y: 2, z: 3}, shape: {type: 'capsule', axes: [{x: 1, y: 0, z: 0}, {x: 0, y: 1, z: 0}, {x: 0, y: 0, z: 1}]}})
+		]), {
+			groups: [{key: 'k', name: 'desk', type: 'Room', polygon: [{x: 0, z: 0}, {x: 1, z: 0}, {x: 1, z: 1}], bottom: 0, top: 2, groups: []}],
+			sensors: [{uniqueid: 's1', bridgeId: 'A', name: 'motion', kind: 'motion', position: {x: 2, y: 0, z: 0}, shape: null}]
+		});
+		let {layout} = mergeLayouts(current, imported);
+		let light = findEntry(layout, {uniqueid: 'u1'});
+		assertNear(light.position, turn({x: 1, y: 2, z: 3}));
+		assertNear(light.shape.axes[0], {x: 0, y: 0, z: -1});
+		assertNear(findEntry(layout, {uniqueid: 's1'}, 'sensors').position, turn({x: 2, y: 0, z: 0}));
+		assertNear(Object.assign({y: 0}, layout.groups[0].polygon[1]), turn({x: 1, y: 0, z: 0}));
+		// The imported layout stays as it was
+		assert.deepStrictEqual(imported.lights[2].position, {x: 1, y: 2, z: 3});
+	});
+});
+
+describe('migrateLayout', () => {
+	it('upgrades the idb data of older versions', () => {
+		let layout = migrateLayout({configuredLights: [{key: 'A/1', uniqueid: 'u1', bridgeId: 'A', number: 1, position: {x: 1, y: 2, z: 3}, radius: 0.1}], calibrationLightNumber: 1});
+		assert.strictEqual(layout.version, 1);
+		assert.deepStrictEqual(layout.lights[0].shape, {type: 'sphere', radius: 0.1});
+		assert.strictEqual(layout.lights[0].reference, true);
+	});
+
+	it('refuses collections that are no lists', () => {
+		['bridges', 'lights', 'groups', 'geometry', 'sensors'].forEach(collection => {
+			let data = Object.assign(emptyLayout(), {[collection]: {}});
+			assert.throws(() => migrateLayout(data), LayoutError, collection);
+		});
+		assert.throws(() => migrateLayout({configuredLights: 'lamp'}), LayoutError);
+		assert.throws(() => migrateLayout({format: FORMAT, version: 1}), LayoutError);
+	});
+
+	it('refuses other documents and newer versions', () => {
+		assert.throws(() => migrateLayout(null), LayoutError);
+		assert.throws(() => migrateLayout({format: 'other', version: 1}), LayoutError);
+		assert.throws(() => migrateLayout(Object.assign(emptyLayout(), {version: 2})), /please update the app/);
+	});
+});
+
+describe('rebaseLayout', () => {
+	it('takes the changes of both sides', () => {
+		let base = layoutWith([entry('u1', 'A', 1), entry('u2', 'A', 2)]);
+		let mine = layoutWith([entry('u1', 'A', 5), entry('u2', 'A', 2)]);
+		let theirs = layoutWith([entry('u1', 'A', 1), entry('u2', 'A', 6), entry('u3', 'A', 7)]);
+		let {layout, conflicts} = rebaseLayout(base, mine, theirs);
+		assert.deepStrictEqual(layout.lights.map(light => [light.uniqueid, light.position.x]), [['u1', 5], ['u2', 6], ['u3', 7]]);
+		assert.deepStrictEqual(conflicts, []);
+	});
+
+	it('keeps the entries of a light on several bridges apart', () => {
+		let base = layoutWith([entry('u1', 'A', 1), entry('u1', 'B', 2)]);
+		let mine = layoutWith([entry('u1', 'A', 5), entry('u1', 'B', 2)]);
+		let theirs = layoutWith([entry('u1', 'A', 1), entry('u1', 'B', 6)]);
+		let {layout, conflicts} = rebaseLayout(base, mine, theirs);
+		assert.deepStrictEqual(layout.lights.map(light => [light.bridgeId, light.position.x]), [['A', 5], ['B', 6]]);
+		assert.deepStrictEqual(conflicts, []);
+	});
+
+	it('reports entries both sides changed, theirs wins', () => {
+		let base = layoutWith([entry('u1', 'A', 1)]);
+		let {layout, conflicts} = rebaseLayout(base, layoutWith([entry('u1', 'A', 5)]), layoutWith([entry('u1', 'A', 6)]));
+		assert.strictEqual(layout.lights[0].position.x, 6);
+		assert.deepStrictEqual(conflicts, [{collection: 'lights', name: 'u1'}]);
+	});
+});
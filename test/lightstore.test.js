@@ -0,0 +1,172 @@
+const {describe, it, beforeEach} = require('node:test');
+const assert = require('assert');
+const {createLightStore, diffState} = require('../src/lightstore.js');
+
+function lightState() {
+	return {on: true, bri: 100, colormode: 'xy', xy: [0.3, 0.3], ct: 300, hue: 0, sat: 0};
+}
+
+describe('diffState', () => {
+	it('gives the changed fields', () => {
+		assert.deepStrictEqual(diffState(Object.assign(lightState(), {bri: 200}), lightState()), {bri: 200});
+		assert.deepStrictEqual(diffState(lightState(), lightState()), {});
+	});
+
+	it('only switches lights off, without other fields', () => {
+		assert.deepStrictEqual(diffState({on: false, bri: 10, xy: [0.5, 0.4]}, lightState()), {on: false});
+	});
+
+	it('sends the color of the target mode', () => {
+		// Same ct, but the light shows xy
+		assert.deepStrictEqual(diffState({on: true, bri: 100, colormode: 'ct', ct: 300}, lightState()), {ct: 300});
+		assert.deepStrictEqual(diffState({on: true, bri: 100, xy: [0.5, 0.4]}, lightState()), {xy: [0.5, 0.4]});
+		assert.deepStrictEqual(diffState({on: true, bri: 100, colormode: 'hs', hue: 1000, sat: 0}, lightState()), {hue: 1000, sat: 0});
+	});
+});
+
+describe('createLightStore', () => {
+	let time;
+	let sent;
+	let store;
+	let state;
+
+	beforeEach(() => {
+		time = 0;
+		sent = [];
+		store = createLightStore({
+			send: (key, changes) => {
+				sent.push({key, changes});
+				return Promise.resolve();
+			},
+			settleTime: 3000,
+			now: () => time
+		});
+		state = lightState();
+		store.add('b/1', state);
+	});
+
+	it('sends only what differs from the bridge, once', () => {
+		store.set('b/1', {bri: 200});
+		return store.flush().then(() => store.flush()).then(() => {
+			assert.deepStrictEqual(sent, [{key: 'b/1', changes: {bri: 200}}]);
+			assert.strictEqual(state.bri, 200);
+		});
+	});
+
+	it('sets the color mode of the color changed', () => {
+		store.set('b/1', {ct: 400});
+		assert.strictEqual(state.colormode, 'ct');
+		assert.deepStrictEqual(store.diff('b/1'), {ct: 400});
+	});
+
+	it('sends again what failed to send', () => {
+		let fail = true;
+		store = createLightStore({
+			send: (key, changes) => {
+				sent.push(changes);
+				return fail ? Promise.reject(new Error('offline')) : Promise.resolve();
+			},
+			now: () => time
+		});
+		store.add('b/1', lightState());
+		store.set('b/1', {bri: 10});
+		return store.flush().then(() => assert.fail('flush should fail'), () => {
+			fail = false;
+			return store.flush();
+		}).then(() => {
+			assert.deepStrictEqual(sent, [{bri: 10}, {bri: 10}]);
+		});
+	});
+
+	it('adds the transition time to each write', () => {
+		store.set('b/1', {on: false});
+		return store.flush({transitiontime: 4}).then(() => {
+			assert.deepStrictEqual(sent[0].changes, {transitiontime: 4, on: false});
+		});
+	});
+
+	describe('overlays', () => {
+		it('show on top of the desired state without changing it', () => {
+			store.setOverlay('b/1', 'configure', {bri: 254, xy: [0.7, 0.3]});
+			assert.deepStrictEqual(store.diff('b/1'), {bri: 254, xy: [0.7, 0.3]});
+			assert.strictEqual(state.bri, 100);
+			assert.deepStrictEqual(state.xy, [0.3, 0.3]);
+		});
+
+		it('bring back the desired state exactly when cleared', () => {
+			store.setOverlay('b/1', 'configure', {bri: 254, colormode: 'ct', ct: 153});
+			return store.flush().then(() => {
+				store.clearOverlay('b/1', 'configure');
+				assert.deepStrictEqual(store.effective('b/1'), lightState());
+				return store.flush();
+			}).then(() => {
+				assert.deepStrictEqual(sent.map(({changes}) => changes), [{bri: 254, ct: 153}, {bri: 100, xy: [0.3, 0.3]}]);
+			});
+		});
+
+		it('apply in the order they were set, replaced in place', () => {
+			store.setOverlay('b/1', 'hover', current => ({bri: current.bri + 50}));
+			store.setOverlay('b/1', 'effect', {bri: 10});
+			assert.strictEqual(store.effective('b/1').bri, 10);
+			store.setOverlay('b/1', 'hover', current => ({bri: current.bri + 20}));
+			assert.strictEqual(store.effective('b/1').bri, 10);
+			store.clearOverlay('b/1', 'effect');
+			assert.strictEqual(store.effective('b/1').bri, 120);
+			assert.ok(store.hasOverlay('b/1', 'hover'));
+			assert.ok(!store.hasOverlay('b/1', 'effect'));
+		});
+
+		it('follow changes of the desired state below them', () => {
+			store.setOverlay('b/1', 'hover', current => ({bri: current.bri + 50}));
+			store.set('b/1', {bri: 150});
+			assert.strictEqual(store.effective('b/1').bri, 200);
+		});
+	});
+
+	describe('reports', () => {
+		it('take in changes made elsewhere as desired', () => {
+			store.report('b/1', {on: false, bri: 30});
+			assert.strictEqual(state.on, false);
+			assert.strictEqual(state.bri, 30);
+			assert.deepStrictEqual(store.diff('b/1'), {});
+		});
+
+		it('keep written fields while they settle', () => {
+			store.set('b/1', {bri: 200, xy: [0.5, 0.4]});
+			return store.flush().then(() => {
+				// The bridge still reports the state from before the write
+				time = 1000;
+				store.report('b/1', {bri: 100, xy: [0.3, 0.3], on: false});
+				assert.strictEqual(state.bri, 200);
+				assert.deepStrictEqual(state.xy, [0.5, 0.4]);
+				// Not written, so it was switched off elsewhere
+				assert.strictEqual(state.on, false);
+			});
+		});
+
+		it('take in written fields after they settled', () => {
+			store.set('b/1', {bri: 200});
+			return store.flush().then(() => {
+				time = 3001;
+				store.report('b/1', {bri: 50});
+				assert.strictEqual(state.bri, 50);
+			});
+		});
+
+		it('settle the color fields together', () => {
+			store.set('b/1', {ct: 400});
+			return store.flush().then(() => {
+				time = 1000;
+				store.report('b/1', {colormode: 'xy', xy: [0.3, 0.3]});
+				assert.strictEqual(state.colormode, 'ct');
+				assert.strictEqual(state.ct, 400);
+			});
+		});
+
+		it('ignore unknown lights', () => {
+			store.report('b/2', {on: false});
+			assert.strictEqual(store.has('b/2'), false);
+			assert.throws(() => store.set('b/2', {on: false}), /Unknown light b\/2/);
+		});
+	});
+});
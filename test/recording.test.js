@@ -0,0 +1,80 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {createRecorder, createPlayer, validateRecording, RecordingError} = require('../src/recording.js');
+const {createManualClock} = require('../src/clock.js');
+
+// Moves the right hand along x for a second with the trigger held
+function recordSweep() {
+	let clock = createManualClock();
+	let recorder = createRecorder({now: clock.now});
+	let rotation = {x: 0, y: 0, z: 0};
+	recorder.addEvent('rightHand', 'inputdown', {input: 'trigger'});
+	for (let t = 0; t <= 1000; t += 20) {
+		recorder.addPose('rightHand', {x: t / 1000, y: 1, z: 0}, rotation);
+		// Unchanged poses aren't recorded
+		recorder.addPose('rightHand', {x: t / 1000, y: 1, z: 0}, rotation);
+		if(t < 1000) clock.advance(20);
+	}
+	recorder.addEvent('rightHand', 'inputup', {input: 'trigger'});
+	return recorder.stop();
+}
+
+// Samples the hand position every 50 ms while the trigger is held, like
+// the app does for outlines
+function replay(recording, step) {
+	let clock = createManualClock();
+	let position;
+	let samples = [];
+	let sampling = null;
+	let player = createPlayer(recording, frame => {
+		if(frame.pose) position = frame.pose.position;
+		else if(frame.event === 'inputdown') sampling = clock.setInterval(() => samples.push(position.x), 50);
+		else if(frame.event === 'inputup') clock.clearInterval(sampling);
+	}, {clock});
+	while (!player.advance(step));
+	return samples;
+}
+
+describe('createRecorder', () => {
+	it('records the frames with their time', () => {
+		let recording = recordSweep();
+		assert.strictEqual(recording.duration, 1000);
+		assert.strictEqual(recording.frames.length, 53);
+		assert.deepStrictEqual(recording.frames[0], {t: 0, hand: 'rightHand', event: 'inputdown', detail: {input: 'trigger'}});
+		assert.strictEqual(recording.frames[2].t, 20);
+	});
+});
+
+describe('createPlayer', () => {
+	it('applies every frame once, in order', () => {
+		let applied = [];
+		let player = createPlayer(recordSweep(), frame => applied.push(frame.t));
+		player.advance(500);
+		assert.strictEqual(applied[applied.length - 1], 500);
+		assert.strictEqual(player.finished, false);
+		assert.strictEqual(player.advance(600), true);
+		assert.deepStrictEqual(applied, applied.slice().sort((a, b) => a - b));
+		assert.strictEqual(applied.length, 53);
+	});
+
+	it('runs the timers of a manual clock before the frames of their time', () => {
+		let samples = replay(recordSweep(), 16);
+		assert.strictEqual(samples.length, 20);
+		// The sample at 100 ms runs before the pose of 100 ms is applied
+		assert.deepStrictEqual(samples.slice(0, 2), [0.04, 0.08]);
+	});
+
+	it('samples the same whatever the steps', () => {
+		let recording = recordSweep();
+		let [first, ...others] = [7, 16, 90, 1000].map(step => replay(recording, step));
+		others.forEach(other => assert.deepStrictEqual(other, first));
+	});
+});
+
+describe('validateRecording', () => {
+	it('refuses other documents and newer versions', () => {
+		assert.throws(() => validateRecording({format: 'other'}), RecordingError);
+		assert.throws(() => validateRecording(Object.assign(recordSweep(), {version: 2})), /please update the app/);
+		assert.throws(() => validateRecording(Object.assign(recordSweep(), {frames: {}})), /no frames/);
+	});
+});
@@ -0,0 +1,98 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {sensorDevices, deviceStatus, statusLabel, ruleTemplates, createRules, rulesOfDevice, ruleSummary} = require('../src/rules.js');
+
+const SENSORS = {
+	1: {type: 'Daylight', name: 'Daylight', state: {daylight: true}},
+	4: {type: 'ZLLPresence', name: 'Hall sensor', uniqueid: '00:17:88:01:02:00:af:28-02-0406', state: {presence: true}, config: {battery: 80, reachable: true}},
+	5: {type: 'ZLLLightLevel', name: 'Hue ambient light sensor 1', uniqueid: '00:17:88:01:02:00:af:28-02-0400', state: {dark: true, daylight: false, lightlevel: 100}, config: {battery: 80, reachable: true}},
+	6: {type: 'ZLLTemperature', name: 'Hue temperature sensor 1', uniqueid: '00:17:88:01:02:00:af:28-02-0402', state: {temperature: 2150}, config: {battery: 80, reachable: true}},
+	7: {type: 'ZLLSwitch', name: 'Desk dimmer', uniqueid: '00:17:88:01:10:3e:32:b1-02-fc00', state: {buttonevent: 1002, lastupdated: '2017-11-02T10:00:00'}, config: {battery: 100, reachable: false}},
+	// A light level sensor without its motion sensor
+	8: {type: 'ZLLLightLevel', name: 'Lonely', uniqueid: '00:17:88:01:02:00:00:01-02-0400', state: {}}
+};
+
+function devices() {
+	return sensorDevices(SENSORS);
+}
+
+describe('sensorDevices', () => {
+	it('joins the sensors of a device', () => {
+		assert.deepStrictEqual(devices(), [
+			{uniqueid: '00:17:88:01:02:00:af:28', kind: 'motion', name: 'Hall sensor', sensorIds: {presence: '4', lightlevel: '5', temperature: '6'}},
+			{uniqueid: '00:17:88:01:10:3e:32:b1', kind: 'dimmer', name: 'Desk dimmer', sensorIds: {switch: '7'}}
+		]);
+	});
+});
+
+describe('deviceStatus', () => {
+	it('collects the state of all sensors of a device', () => {
+		let [motion, dimmer] = devices();
+		let status = deviceStatus(motion, SENSORS);
+		assert.deepStrictEqual(status, {presence: true, dark: true, daylight: false, lightlevel: 100, temperature: 21.5, battery: 80, reachable: true});
+		assert.strictEqual(statusLabel(status), 'motion, dark, 21.5 °C, 80% battery');
+		assert.strictEqual(statusLabel(deviceStatus(dimmer, SENSORS)), 'unreachable, 100% battery');
+	});
+});
+
+describe('createRules', () => {
+	let light = {type: 'light', id: 3};
+	let group = {type: 'group', id: 1};
+
+	it('offers the templates of the device kind', () => {
+		let [motion, dimmer] = devices();
+		assert.deepStrictEqual(ruleTemplates(motion).map(template => template.id), ['motion']);
+		assert.deepStrictEqual(ruleTemplates(dimmer).map(template => template.id), ['toggle', 'dimUp', 'dimDown', 'off']);
+	});
+
+	it('toggles with one rule per state of the target', () => {
+		let [, dimmer] = devices();
+		let rules = createRules(dimmer, 'toggle', group);
+		assert.deepStrictEqual(rules.map(rule => rule.name), ['Desk dimmer on', 'Desk dimmer off']);
+		assert.deepStrictEqual(rules[0].conditions, [
+			{address: '/sensors/7/state/buttonevent', operator: 'eq', value: '1002'},
+			{address: '/sensors/7/state/lastupdated', operator: 'dx'},
+			{address: '/groups/1/state/any_on', operator: 'eq', value: 'false'}
+		]);
+		assert.deepStrictEqual(rules[1].actions, [{address: '/groups/1/action', method: 'PUT', body: {on: false}}]);
+	});
+
+	it('dims by the brightness step', () => {
+		let [, dimmer] = devices();
+		let [rule] = createRules(dimmer, 'dimDown', light, {briStep: 20});
+		assert.deepStrictEqual(rule.actions, [{address: '/lights/3/state', method: 'PUT', body: {bri_inc: -20, transitiontime: 4}}]);
+	});
+
+	it('switches on with motion in the dark and off after the timeout', () => {
+		let [motion] = devices();
+		let [on, off] = createRules(motion, 'motion', light, {timeout: 1.5});
+		assert.deepStrictEqual(on.conditions.map(condition => condition.address), ['/sensors/4/state/presence', '/sensors/4/state/presence', '/sensors/5/state/dark']);
+		assert.deepStrictEqual(off.conditions[1], {address: '/sensors/4/state/presence', operator: 'ddx', value: 'PT00:01:30'});
+		assert.strictEqual(createRules(motion, 'motion', light, {onlyWhenDark: false})[0].conditions.length, 2);
+	});
+
+	it('keeps rule names within the bridge limit', () => {
+		let [, dimmer] = devices();
+		let long = Object.assign({}, dimmer, {name: 'The dimmer switch next to the kitchen door'});
+		createRules(long, 'toggle', light).forEach(rule => assert.ok(rule.name.length <= 32));
+	});
+
+	it('refuses buttons the device doesn\'t have', () => {
+		let [, dimmer] = devices();
+		assert.throws(() => createRules(dimmer, 'scene', light), /Desk dimmer has no scene button/);
+	});
+});
+
+describe('rulesOfDevice', () => {
+	it('finds the rules with conditions on the device\'s sensors', () => {
+		let [motion, dimmer] = devices();
+		let rules = {
+			1: createRules(dimmer, 'off', {type: 'light', id: 3})[0],
+			2: createRules(motion, 'motion', {type: 'light', id: 3})[1],
+			3: {name: 'other', conditions: [{address: '/sensors/70/state/buttonevent', operator: 'dx'}], actions: []}
+		};
+		assert.deepStrictEqual(rulesOfDevice(rules, dimmer), ['1']);
+		assert.deepStrictEqual(rulesOfDevice(rules, motion), ['2']);
+		assert.strictEqual(ruleSummary(rules[1]), 'buttonevent eq 4002, lastupdated dx → /lights/3/state on: false');
+	});
+});
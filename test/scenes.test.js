@@ -0,0 +1,36 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {sceneMenuItems, scenesByBridge} = require('../src/scenes.js');
+
+describe('sceneMenuItems', () => {
+	it('merges scenes of the same name on different bridges', () => {
+		let items = sceneMenuItems({
+			a: {1: {name: 'Relax'}, 2: {name: 'Bright'}},
+			b: {7: {name: 'Relax'}}
+		});
+		assert.deepStrictEqual(items, [
+			{name: 'Bright', refs: [{bridgeId: 'a', sceneId: '2'}]},
+			{name: 'Relax', refs: [{bridgeId: 'a', sceneId: '1'}, {bridgeId: 'b', sceneId: '7'}]}
+		]);
+	});
+
+	it('leaves out recycled scenes', () => {
+		assert.deepStrictEqual(sceneMenuItems({a: {1: {name: 'Old', recycle: true}}}), []);
+	});
+
+	it('lists scenes named like inherited properties', () => {
+		let items = sceneMenuItems({a: {1: {name: 'constructor'}, 2: {name: 'toString'}}});
+		assert.deepStrictEqual(items.map(item => item.refs.length), [1, 1]);
+	});
+});
+
+describe('scenesByBridge', () => {
+	it('gives one scene per bridge with the light states', () => {
+		let scenes = scenesByBridge([
+			{bridgeId: 'a', number: 1, state: {on: true, bri: 100, colormode: 'ct', ct: 300}},
+			{bridgeId: 'b', number: 4, state: {on: false}}
+		], 'Evening');
+		assert.deepStrictEqual(scenes.a, {name: 'Evening', lights: ['1'], recycle: false, lightstates: {1: {on: true, bri: 100, ct: 300}}});
+		assert.deepStrictEqual(scenes.b.lightstates, {4: {on: false}});
+	});
+});
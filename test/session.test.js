@@ -0,0 +1,167 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {createSession, roomUrl} = require('../src/session.js');
+const {createRoom} = require('../relay/room.js');
+
+// WebSocket stand-in connected to a room in this process. Messages arrive
+// asynchronously and in order, like over the network.
+function socketTo(room) {
+	return class {
+		constructor(url) {
+			let name = new URL(url).searchParams.get('name');
+			setTimeout(() => {
+				this.id = room.join({name, send: message => setTimeout(() => this.onmessage({data: JSON.stringify(message)}))});
+			});
+		}
+
+		send(text) {
+			setTimeout(() => room.handle(this.id, JSON.parse(text)));
+		}
+
+		close() {
+			room.leave(this.id);
+			setTimeout(() => this.onclose());
+		}
+	};
+}
+
+function wait(ms = 50) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Lists merge by adding the entries the other side added
+function mergeLists(base, mine, theirs) {
+	let value = theirs.concat(mine.filter(item => theirs.indexOf(item) === -1 && (base || []).indexOf(item) === -1));
+	return {value, conflicts: []};
+}
+
+function join(room, name, merge) {
+	let session = createSession({url: 'localhost:8002', room: 'home', name, merge, WebSocket: socketTo(room)});
+	let events = [];
+	['state', 'patch', 'broadcast', 'conflict', 'error'].forEach(type => session.on(type, (...args) => events.push([type].concat(args))));
+	return new Promise(resolve => session.on('open', values => resolve({session, events, values})));
+}
+
+describe('roomUrl', () => {
+	it('adds the room and name to the relay address', () => {
+		assert.strictEqual(roomUrl('host:8002/', 'living room', 'desk top'), 'ws://host:8002/living%20room?name=desk%20top');
+		assert.strictEqual(roomUrl('wss://relay', 'home'), 'wss://relay/home');
+	});
+});
+
+describe('createSession', () => {
+	it('welcomes later clients with the shared values', () => {
+		let room = createRoom();
+		return join(room, 'a').then(({session}) => {
+			session.set('layout', ['lamp']);
+			return wait();
+		}).then(() => join(room, 'b')).then(({session, values}) => {
+			assert.deepStrictEqual(values, {layout: ['lamp']});
+			assert.deepStrictEqual(session.clients.map(client => client.name), ['a', 'b']);
+		});
+	});
+
+	it('merges changes made at the same time on both sides', () => {
+		let room = createRoom();
+		let merge = {layout: mergeLists};
+		return Promise.all([join(room, 'a', merge), join(room, 'b', merge)]).then(([a, b]) => {
+			a.session.set('layout', ['lamp']);
+			b.session.set('layout', ['strip']);
+			return wait().then(() => {
+				assert.deepStrictEqual(a.session.get('layout'), ['lamp', 'strip']);
+				assert.deepStrictEqual(b.session.get('layout'), ['lamp', 'strip']);
+				// Each side hears of the other's change
+				assert.deepStrictEqual(a.events.filter(([type]) => type === 'state').map(([, , value]) => value), [['lamp', 'strip']]);
+				assert.deepStrictEqual(b.events.filter(([type]) => type === 'state').map(([, , value]) => value), [['lamp', 'strip']]);
+			});
+		});
+	});
+
+	it('sends changes made while one is unconfirmed after it', () => {
+		let room = createRoom();
+		return join(room, 'a').then(({session}) => {
+			session.set('layout', [1]);
+			session.set('layout', [1, 2]);
+			session.set('layout', [1, 2, 3]);
+			return wait().then(() => {
+				assert.deepStrictEqual(session.get('layout'), [1, 2, 3]);
+			});
+		});
+	});
+
+	it('reports the conflicts of merges', () => {
+		let room = createRoom();
+		let merge = {layout: (base, mine, theirs) => ({value: theirs, conflicts: ['lamp']})};
+		return Promise.all([join(room, 'a', merge), join(room, 'b', merge)]).then(([a, b]) => {
+			a.session.set('layout', ['a']);
+			b.session.set('layout', ['b']);
+			return wait().then(() => {
+				assert.deepStrictEqual(b.events.filter(([type]) => type === 'conflict'), [['conflict', 'layout', ['lamp']]]);
+				assert.deepStrictEqual(b.session.get('layout'), ['a']);
+			});
+		});
+	});
+
+	it('reports merges that fail as errors', () => {
+		let room = createRoom();
+		let merge = {layout: () => {
+			throw new Error('no layout');
+		}};
+		return Promise.all([join(room, 'a', merge), join(room, 'b', merge)]).then(([a, b]) => {
+			a.session.set('layout', ['a']);
+			b.session.set('layout', ['b']);
+			return wait().then(() => {
+				assert.deepStrictEqual(b.events.filter(([type]) => type === 'error').map(([, e]) => e.message), ['no layout']);
+			});
+		});
+	});
+
+	it('passes on patches and broadcasts to the others', () => {
+		let room = createRoom();
+		return Promise.all([join(room, 'a'), join(room, 'b')]).then(([a, b]) => {
+			a.session.patch('lights/1', {on: true});
+			a.session.broadcast({hands: []});
+			return wait().then(() => {
+				assert.deepStrictEqual(b.events, [['patch', 'lights/1', {on: true}, a.session.id], ['broadcast', {hands: []}, a.session.id]]);
+				assert.deepStrictEqual(b.session.get('lights/1'), {on: true});
+				assert.deepStrictEqual(a.events, []);
+			});
+		});
+	});
+});
+
+describe('createRoom', () => {
+	function client(room) {
+		let received = [];
+		let id = room.join({name: 'test', send: message => received.push(message)});
+		return {id, received};
+	}
+
+	it('answers messages of unknown or inherited types with an error', () => {
+		let room = createRoom();
+		let {id, received} = client(room);
+		[{type: '__proto__', key: 'a'}, {type: 'toString', key: 'a'}, null, 5].forEach(message => room.handle(id, message));
+		assert.deepStrictEqual(received.slice(1).map(message => message.type), ['error', 'error', 'error', 'error']);
+	});
+
+	it('keeps keys named like inherited properties', () => {
+		let room = createRoom();
+		let {id} = client(room);
+		room.handle(id, {type: 'patch', key: 'toString', value: {on: true}});
+		room.handle(id, {type: 'set', key: '__proto__', value: 1, base: 0});
+		let {received} = client(room);
+		assert.deepStrictEqual(received[0].state.toString, {value: {on: true}, version: 1});
+		assert.deepStrictEqual(Object.getOwnPropertyDescriptor(received[0].state, '__proto__').value, {value: 1, version: 1});
+	});
+
+	it('rejects sets based on an old version', () => {
+		let room = createRoom();
+		let {id, received} = client(room);
+		room.handle(id, {type: 'set', key: 'layout', value: 1, base: 0});
+		room.handle(id, {type: 'set', key: 'layout', value: 2, base: 0});
+		assert.deepStrictEqual(received.slice(1).map(({type, value, version}) => ({type, value, version})), [
+			{type: 'state', value: 1, version: 1},
+			{type: 'conflict', value: 1, version: 1}
+		]);
+	});
+});
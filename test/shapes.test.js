@@ -0,0 +1,149 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {simplifyOutline, fitShape, rotateShape, principalAxes} = require('../src/shapes.js');
+
+function assertClose(actual, expected, message, tolerance = 1e-6) {
+	assert.ok(Math.abs(actual - expected) < tolerance, `${message || ''} ${actual} is not ${expected}`);
+}
+
+function assertPoint(actual, expected, message, tolerance) {
+	['x', 'y', 'z'].forEach(axis => assertClose(actual[axis], expected[axis], `${message || ''} ${axis}`, tolerance));
+}
+
+// Principal axes have no sign, so only check they are parallel
+function assertParallel(axis, direction, message) {
+	let dot = axis.x * direction.x + axis.y * direction.y + axis.z * direction.z;
+	let length = Math.hypot(direction.x, direction.y, direction.z);
+	assertClose(Math.abs(dot), length, message);
+}
+
+function point(center, u, v, a, b) {
+	return {x: center.x + u.x * a + v.x * b, y: center.y + u.y * a + v.y * b, z: center.z + u.z * a + v.z * b};
+}
+
+// Outline drawn around a circle of the plane spanned by the unit vectors u and v
+function circle(center, u, v, radius, count = 32) {
+	return Array.from({length: count}, (_, i) => {
+		let angle = i / count * 2 * Math.PI;
+		return point(center, u, v, radius * Math.cos(angle), radius * Math.sin(angle));
+	});
+}
+
+// Outline drawn around a rectangle, starting at a corner
+function rectangle(center, u, v, width, height, perSide = 8) {
+	let corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+	return corners.reduce((points, [a, b], i) => {
+		let [c, d] = corners[(i + 1) % 4];
+		return points.concat(Array.from({length: perSide}, (_, j) => {
+			let t = j / perSide;
+			return point(center, u, v, (a + (c - a) * t) * width / 2, (b + (d - b) * t) * height / 2);
+		}));
+	}, []);
+}
+
+const YAW = 0.5;
+const U = {x: Math.cos(YAW), y: 0, z: -Math.sin(YAW)};
+const V = {x: Math.sin(YAW), y: 0, z: Math.cos(YAW)};
+const UP = {x: 0, y: 1, z: 0};
+const CENTER = {x: 1, y: 2.5, z: -1};
+
+describe('principalAxes', () => {
+	it('sorts the axes by their extent', () => {
+		let {mean, axes, min, max} = principalAxes(rectangle(CENTER, U, V, 2, 0.8));
+		assertPoint(mean, CENTER);
+		assertParallel(axes[0], U, 'first');
+		assertParallel(axes[1], V, 'second');
+		assertParallel(axes[2], UP, 'normal');
+		[2, 0.8, 0].forEach((extent, i) => assertClose(max[i] - min[i], extent, `extent ${i}`));
+	});
+
+	it('gives a right-handed frame', () => {
+		let {axes} = principalAxes(rectangle(CENTER, V, UP, 1.5, 0.5));
+		let [a, b, c] = axes;
+		assertPoint(c, {x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x});
+	});
+});
+
+describe('fitShape', () => {
+	it('fits spheres to small outlines', () => {
+		let {center, shape} = fitShape(circle(CENTER, U, UP, 0.1));
+		assertPoint(center, CENTER);
+		assert.strictEqual(shape.type, 'sphere');
+		assertClose(shape.radius, 0.12, 'radius');
+	});
+
+	it('fits capsules to outlines along a line', () => {
+		let direction = {x: 2 / 3, y: 1 / 3, z: 2 / 3};
+		let side = {x: -1 / Math.sqrt(2), y: 0, z: 1 / Math.sqrt(2)};
+		let points = [-1.5, -0.5, 0.5, 1.5].reduce((points, t) => points.concat([
+			point(CENTER, direction, side, t, -0.05),
+			point(CENTER, direction, side, t, 0.05)
+		]), []);
+		let {center, shape} = fitShape(points);
+		assertPoint(center, CENTER);
+		assert.strictEqual(shape.type, 'capsule');
+		assertClose(shape.length, 3, 'length');
+		assertClose(shape.radius, 0.06, 'radius');
+		assertParallel(shape.axes[0], direction, 'axis');
+	});
+
+	it('fits boxes to long outlines in a plane', () => {
+		let {center, shape} = fitShape(rectangle(CENTER, U, V, 2, 0.8));
+		assertPoint(center, CENTER);
+		assert.strictEqual(shape.type, 'box');
+		[2.4, 0.96, 0.05].forEach((size, i) => assertClose(shape.size[i], size, `size ${i}`));
+		assertParallel(shape.axes[0], U, 'first');
+		assertParallel(shape.axes[2], UP, 'normal');
+	});
+
+	it('fits discs to round outlines in a plane', () => {
+		let normal = {x: 0, y: Math.cos(0.3), z: Math.sin(0.3)};
+		let tilted = {x: 0, y: -Math.sin(0.3), z: Math.cos(0.3)};
+		let {center, shape} = fitShape(circle(CENTER, {x: 1, y: 0, z: 0}, tilted, 0.5));
+		assertPoint(center, CENTER, 'center', 0.01);
+		assert.strictEqual(shape.type, 'disc');
+		assertClose(shape.radius, 0.6, 'radius', 0.01);
+		assertClose(shape.thickness, 0.05, 'thickness');
+		assertParallel(shape.axes[2], normal, 'normal');
+	});
+
+	it('fits spheres to outlines spread in all directions', () => {
+		let points = rectangle(CENTER, U, V, 1, 0.9).map(p => point(p, UP, UP, 0.4, 0))
+			.concat(rectangle(CENTER, U, V, 1, 0.9).map(p => point(p, UP, UP, -0.4, 0)));
+		let {center, shape} = fitShape(points);
+		assertPoint(center, CENTER);
+		assert.strictEqual(shape.type, 'sphere');
+		assertClose(shape.radius, 0.6, 'radius');
+	});
+
+	it('needs points', () => {
+		assert.throws(() => fitShape([]), /empty outline/);
+	});
+});
+
+describe('simplifyOutline', () => {
+	it('keeps the corners of closed outlines', () => {
+		let points = simplifyOutline(rectangle(CENTER, U, V, 2, 0.8), 0.01);
+		assert.strictEqual(points.length, 5);
+		points.slice(0, 4).forEach((corner, i) => assertPoint(corner, rectangle(CENTER, U, V, 2, 0.8, 1)[i], `corner ${i}`));
+	});
+
+	it('drops repeated points', () => {
+		assert.deepStrictEqual(simplifyOutline([CENTER, CENTER, CENTER]), [CENTER]);
+	});
+});
+
+describe('rotateShape', () => {
+	it('rotates the axes of shapes', () => {
+		let {shape} = fitShape(rectangle(CENTER, U, V, 2, 0.8));
+		let rotated = rotateShape(shape, ({x, y, z}) => ({x: -z, y, z: x}));
+		assertParallel(rotated.axes[0], {x: -U.z, y: 0, z: U.x}, 'first');
+		assertParallel(rotated.axes[2], UP, 'normal');
+		assert.deepStrictEqual(rotated.size, shape.size);
+	});
+
+	it('keeps spheres', () => {
+		let shape = {type: 'sphere', radius: 0.3};
+		assert.strictEqual(rotateShape(shape, () => assert.fail('rotated a sphere')), shape);
+	});
+});
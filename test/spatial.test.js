@@ -0,0 +1,64 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {findPlace, distanceToPlace, entriesNear} = require('../src/spatial.js');
+const {emptyLayout} = require('../src/layout.js');
+
+function layout() {
+	return Object.assign(emptyLayout(), {
+		lights: [
+			{uniqueid: 'u1', name: 'Reading lamp', position: {x: 1, y: 1, z: 0}},
+			{uniqueid: 'u2', name: 'Ceiling', position: {x: 3, y: 2.5, z: 0}},
+			{uniqueid: 'u3', name: 'Hallway', position: {x: 8, y: 2, z: 0}}
+		],
+		sensors: [{uniqueid: 's1', name: 'Hall sensor', position: {x: 8, y: 2, z: 1}}],
+		groups: [{key: 'k', name: 'Living room', type: 'Room', polygon: [{x: 0, z: -2}, {x: 5, z: -2}, {x: 5, z: 2}, {x: 0, z: 2}], bottom: 0, top: 3, groups: []}],
+		geometry: [
+			{type: 'wall', points: [{x: 0, z: -2}, {x: 5, z: -2}], height: 3},
+			{type: 'furniture', name: 'Sofa', min: {x: 0, z: -1}, max: {x: 2, z: 0}, height: 0.8}
+		]
+	});
+}
+
+describe('findPlace', () => {
+	it('finds furniture, rooms, lights and sensors by name', () => {
+		assert.strictEqual(findPlace(layout(), ' sofa').type, 'furniture');
+		assert.strictEqual(findPlace(layout(), 'living room').volume.key, 'k');
+		assert.deepStrictEqual(findPlace(layout(), 'hall sensor').position, {x: 8, y: 2, z: 1});
+		assert.strictEqual(findPlace(layout(), 'kitchen'), undefined);
+	});
+
+	it('takes coordinates', () => {
+		assert.deepStrictEqual(findPlace(layout(), '1, 0,-2.5'), {type: 'point', name: '1, 0,-2.5', position: {x: 1, y: 0, z: -2.5}});
+	});
+});
+
+describe('distanceToPlace', () => {
+	it('is 0 inside furniture and the distance to its box outside', () => {
+		let sofa = findPlace(layout(), 'sofa');
+		assert.strictEqual(distanceToPlace({x: 1, y: 0.5, z: -0.5}, sofa), 0);
+		assert.strictEqual(distanceToPlace({x: 1, y: 1.8, z: -0.5}, sofa), 1);
+		assert.strictEqual(distanceToPlace({x: 5, y: 0.8, z: 4}, sofa), 5);
+	});
+
+	it('measures to the walls and floor or ceiling of rooms', () => {
+		let room = findPlace(layout(), 'living room');
+		assert.strictEqual(distanceToPlace({x: 2, y: 1, z: 0}, room), 0);
+		assert.strictEqual(distanceToPlace({x: 2, y: 4, z: 0}, room), 1);
+		assert.strictEqual(distanceToPlace({x: 8, y: 1, z: 0}, room), 3);
+		// 5 m from the corner, 4 m above the ceiling
+		assert.strictEqual(distanceToPlace({x: 8, y: 7, z: 6}, room), Math.hypot(5, 4));
+	});
+});
+
+describe('entriesNear', () => {
+	it('lists the entries within the radius, nearest first', () => {
+		let near = entriesNear(layout().lights, findPlace(layout(), 'sofa'), 2.5);
+		assert.deepStrictEqual(near.map(({entry}) => entry.name), ['Reading lamp', 'Ceiling']);
+		assert.ok(Math.abs(near[0].distance - 0.2) < 1e-9);
+	});
+
+	it('lists the entries inside with radius 0', () => {
+		let inside = entriesNear(layout().lights, findPlace(layout(), 'living room'), 0);
+		assert.deepStrictEqual(inside.map(({entry}) => entry.uniqueid), ['u1', 'u2']);
+	});
+});
@@ -0,0 +1,129 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {createStateSync, diffResource, fromV2Update} = require('../src/statesync.js');
+
+function light(on, bri) {
+	return {name: 'Lamp', state: {on, bri, reachable: true}};
+}
+
+// A getFullState answered by hand, in any order
+function fakeUser() {
+	let requests = [];
+	return {
+		requests,
+		getFullState: () => new Promise((resolve, reject) => requests.push({resolve, reject}))
+	};
+}
+
+// A v2 user whose event streams stay open until closed
+function fakeV2User() {
+	let listeners = [];
+	return {
+		listeners,
+		eventStream: listener => {
+			listeners.push(listener);
+			let close;
+			let done = new Promise(resolve => {
+				close = resolve;
+			});
+			return {done, close};
+		}
+	};
+}
+
+function update(on) {
+	return {type: 'update', data: [{id: 'abc', id_v1: '/lights/1', type: 'light', on: {on}}]};
+}
+
+describe('diffResource', () => {
+	it('gives the changed fields per section', () => {
+		assert.deepStrictEqual(diffResource(light(false, 100), light(true, 100)), {state: {on: true}});
+		assert.deepStrictEqual(diffResource(light(true, 100), Object.assign(light(true, 100), {name: 'Desk'})), {name: 'Desk'});
+		assert.strictEqual(diffResource(light(true, 100), light(true, 100)), null);
+	});
+
+	it('reports switches pressed again by their time only', () => {
+		let before = {name: 'Tap', state: {buttonevent: 34, lastupdated: '2017-11-02T10:00:00'}};
+		let after = {name: 'Tap', state: {buttonevent: 34, lastupdated: '2017-11-02T10:00:05'}};
+		assert.deepStrictEqual(diffResource(before, after), {state: {lastupdated: '2017-11-02T10:00:05'}});
+	});
+});
+
+describe('fromV2Update', () => {
+	it('converts light updates to v1 fields', () => {
+		let converted = fromV2Update({id_v1: '/lights/3', on: {on: true}, dimming: {brightness: 50}, color: {xy: {x: 0.3, y: 0.4}}});
+		assert.deepStrictEqual(converted, {type: 'light', id: '3', collection: 'lights', changes: {state: {on: true, bri: 127, xy: [0.3, 0.4], colormode: 'xy'}}});
+	});
+
+	it('converts group and sensor updates', () => {
+		assert.deepStrictEqual(fromV2Update({id_v1: '/groups/1', on: {on: false}}).changes, {state: {any_on: false}, action: {on: false}});
+		assert.deepStrictEqual(fromV2Update({id_v1: '/sensors/5', temperature: {temperature: 21.5}, device_power: {battery_level: 80}}).changes,
+			{state: {temperature: 2150}, config: {battery: 80}});
+	});
+
+	it('skips resources without v1 counterpart or fields', () => {
+		assert.strictEqual(fromV2Update({id: 'abc', type: 'zone'}), null);
+		assert.strictEqual(fromV2Update({id_v1: '/scenes/abc', on: {on: true}}), null);
+		assert.strictEqual(fromV2Update({id_v1: '/lights/3', owner: {}}), null);
+	});
+});
+
+describe('createStateSync', () => {
+	it('reports the differences between polls', () => {
+		let user = fakeUser();
+		let sync = createStateSync(user, {mode: 'poll'});
+		let events = [];
+		['light', 'added', 'removed'].forEach(type => sync.on(type, (...args) => events.push([type].concat(args.slice(0, 2)))));
+		let started = sync.start();
+		user.requests[0].resolve({lights: {1: light(false, 100), 2: light(false, 10)}});
+		return started.then(() => {
+			let refreshed = sync.refresh();
+			user.requests[1].resolve({lights: {1: light(true, 100), 3: light(true, 1)}});
+			return refreshed;
+		}).then(() => {
+			sync.stop();
+			assert.deepStrictEqual(events.map(([type, detail]) => [type, typeof detail === 'object' ? detail.id : detail]), [
+				['added', '1'], ['added', '2'], ['light', '1'], ['added', '3'], ['removed', '2']
+			]);
+			assert.deepStrictEqual(events[2][2], {state: {on: true}});
+			assert.strictEqual(sync.model.lights['1'].state.on, true);
+		});
+	});
+
+	it('ignores polls of an earlier run', () => {
+		let user = fakeUser();
+		let sync = createStateSync(user, {mode: 'poll'});
+		let first = sync.start();
+		sync.stop();
+		let second = sync.start();
+		user.requests[1].resolve({lights: {1: light(true, 200)}});
+		user.requests[0].resolve({lights: {1: light(false, 5)}});
+		return Promise.all([first, second]).then(() => {
+			sync.stop();
+			assert.strictEqual(sync.model.lights['1'].state.bri, 200);
+		});
+	});
+
+	it('ignores event streams of an earlier run', () => {
+		let user = fakeUser();
+		let v2User = fakeV2User();
+		let sync = createStateSync(user, {v2User});
+		let changes = [];
+		sync.on('light', (id, change) => changes.push(change.state.on));
+		let started = sync.start();
+		user.requests[0].resolve({lights: {1: light(false, 100)}});
+		return started.then(() => {
+			sync.stop();
+			let restarted = sync.start();
+			user.requests[1].resolve({lights: {1: light(false, 100)}});
+			return restarted;
+		}).then(() => {
+			assert.strictEqual(sync.mode, 'eventstream');
+			v2User.listeners[0](update(true));
+			assert.deepStrictEqual(changes, []);
+			v2User.listeners[1](update(true));
+			assert.deepStrictEqual(changes, [true]);
+			sync.stop();
+		});
+	});
+});